@@ -87,7 +87,8 @@ console.log('Module directory:', MODULE_DIRECTORY);
 console.log('Working directory:', WORKING_DIRECTORY);
 
 // Currently, these external solvers are supported:
-const SUPPORTED_SOLVERS = ['gurobi', 'cplex', 'scip', 'lp_solve'];
+const SUPPORTED_SOLVERS = ['gurobi', 'cplex', 'scip', 'highs', 'lp_solve',
+    'builtin'];
 
 const
     // Load the MILP solver (dependent on Node.js: `fs`, `os` and `path`)
@@ -113,21 +114,36 @@ const usage = `
 Usage:  node console [options]
 
 Possible options are:
+  benchmark             will run the loaded model, solving each block with every
+                        installed solver, and report their performance
   channel=[identifier]  will start listening at the specified channel
                         (FUTURE OPTION)
   check                 will report whether current version is up-to-date
   data-dir=[path]       will look for series data files in [path] instead of
                         (Linny-R)/user/data
+  expressions           will compute all expressions of the loaded model, both
+                        interpreted and compiled, and compare time and results
+                        (exits with code 1 if results differ)
   model=[path]          will load model file specified by [path]
                         (relative paths are searched for in (Linny-R)/user/models)
   report=[name]         will write run results to [name]-series.txt and
                         [name]-stats.txt in (workspace)/reports
   run                   will run the loaded model
+  seed=[number]         will seed the random number generator with [number]
+                        (overrides the random seed set in the model)
   solver=[name]         will select solver [name], or warn if not found
-                        (name choices: Gurobi, CPLEX, MOSEK, SCIP or LP_solve)
+                        (name choices: Gurobi, CPLEX, MOSEK, SCIP, HiGHS, LP_solve
+                        or Builtin)
+  units                 will check the loaded model for inconsistent scale units
   user=[identifier]     user ID will be used to log onto remote servers
   verbose               will output solver messages to the console
+  worker=[number]       will run as worker [number] of a parallel experiment
+                        (used internally by the workers option)
+  workers=[number]      will perform experiment runs in parallel, using at most
+                        [number] worker processes at a time
   workspace=[path]      will create workspace in [path] instead of (Linny-R)/user
+  xresults=[path]       will save the model, including the experiment results,
+                        to the file specified by [path]
   xrun=[title#list]     will perform experiment runs in given range
                         (list is comma-separated sequence of run numbers)
 `;
@@ -213,20 +229,32 @@ class ConsoleMonitor {
           VM.max_solver_time + ' seconds');
     }
     try {
-      const data = SOLVER.solveBlock(
-          new URLSearchParams({
-            action: 'solve',
-            user: VM.solver_user,
-            token: VM.solver_token,
-            block: VM.block_count,
-            round: VM.round_sequence[VM.current_round],
-            columns: VM.columnsInBlock,
-            data: VM.lines,
-            solver: MODEL.preferred_solver,
-            timeout: top,
-            inttol: MODEL.integer_tolerance,
-            mipgap: MODEL.MIP_gap
-          }));
+      const sp = new URLSearchParams({
+          action: 'solve',
+          user: VM.solver_user,
+          token: VM.solver_token,
+          block: VM.block_count,
+          round: VM.round_sequence[VM.current_round],
+          columns: VM.columnsInBlock,
+          data: VM.lines,
+          solver: MODEL.preferred_solver,
+          timeout: top,
+          inttol: MODEL.integer_tolerance,
+          mipgap: MODEL.MIP_gap,
+          start: VM.start_values,
+          profile: MODEL.solverProfileParameters,
+          duals: MODEL.compute_duals && VM.supportsDuals
+        });
+      let data;
+      if(SETTINGS.benchmark) {
+        // Compare all installed solvers, and then continue with the result
+        // of the reference solver.
+        const report = SOLVER.benchmark(sp);
+        for(const line of SOLVER.benchmarkTable(report)) console.log(line);
+        data = report.result;
+      } else {
+        data = SOLVER.solveBlock(sp);
+      }
       VM.processServerResponse(data);
       const msg =
           `Solving block #${VM.blockWithRound} took ${VM.elapsedTime} seconds.`;
@@ -256,6 +284,7 @@ class ConsoleMonitor {
   showCallStack() {}
   hideCallStack() {}
   setRunMessages() {}
+  abortSolverJob() {}
 
 } // END of class ConsoleMonitor
 
@@ -762,15 +791,22 @@ function commandLineSettings() {
   // Set default settings, and then check the command line arguments.
   const settings = {
       cli_name: (PLATFORM.startsWith('win') ? 'Command Prompt' : 'Terminal'),
+      benchmark: false,
       check: false,
       data_path: '',
+      expressions: false,
       preferred_solver: '',
       report: '',
       run: false,
+      seed: 0,
       x_title: '',
       x_list: false,
+      x_results: '',
+      worker: 0,
+      workers: 1,
       solver: '',
       solver_path: '',
+      units: false,
       user_dir: path.join(WORKING_DIRECTORY, 'user'),
       verbose: false
     };
@@ -781,8 +817,15 @@ function commandLineSettings() {
       show_usage = true;
     } else if(lca === 'check') {
       settings.check = true;
+    } else if(lca === 'benchmark') {
+      settings.benchmark = true;
+      settings.run = true;
+    } else if(lca === 'expressions') {
+      settings.expressions = true;
     } else if(lca === 'run') {
       settings.run = true;
+    } else if(lca === 'units') {
+      settings.units = true;
     } else if(lca === 'verbose') {
       settings.verbose = true;
     } else {
@@ -858,6 +901,24 @@ function commandLineSettings() {
         } else {
           console.log(`WARNING: Invalid report file name "{$rfn}"`);
         }
+      } else if(av[0] === 'seed') {
+        const n = parseInt(av[1]);
+        if(isNaN(n) || n < 1) {
+          console.log(`WARNING: Invalid random seed "${av[1]}"`);
+        } else {
+          settings.seed = n;
+        }
+      } else if(av[0] === 'worker' || av[0] === 'workers') {
+        const n = parseInt(av[1]);
+        if(isNaN(n) || n < 1) {
+          console.log(`WARNING: Invalid number of workers "${av[1]}"`);
+        } else {
+          settings[av[0]] = n;
+        }
+      } else if(av[0] === 'xresults') {
+        // NOTE: Use original argument to preserve upper/lower case.
+        const a = process.argv[i];
+        settings.x_results = a.substring(a.indexOf('=') + 1).trim();
       } else if(av[0] === 'xrun') {
         if(!av[1].trim()) {
           // NOTE: `x_title` = TRUE indicates: list available experiments.
@@ -931,13 +992,18 @@ function createWorkspace() {
       reports: path.join(SETTINGS.user_dir, 'reports'),
       solver_output: path.join(SETTINGS.user_dir, 'solver'),
     };
+  // Worker processes must not share solver files, so each worker has its
+  // own solver output directory.
+  if(SETTINGS.worker) {
+    ws.solver_output = path.join(ws.solver_output, 'worker-' + SETTINGS.worker);
+  }
   // Create these sub-directories if not aready there
   try {
     for(let p in ws) if(ws.hasOwnProperty(p)) {
       try {
         fs.accessSync(ws[p]);
       } catch(e) {
-        fs.mkdirSync(ws[p]);
+        fs.mkdirSync(ws[p], {recursive: true});
         console.log('Created workspace sub-directory:', ws[p]);
       }
     }
@@ -953,6 +1019,109 @@ function createWorkspace() {
   return ws;
 }
 
+function runExperimentInParallel(x, runs) {
+  // Perform the runs of experiment `x` that are numbered in `runs` (all
+  // runs if this list is empty) by worker processes, and merge their
+  // results into the experiment.
+  if(!runs.length) runs = x.combinations.map((c, i) => i);
+  let workers = Math.min(SETTINGS.workers, runs.length);
+  // NOTE: LP_solve uses fixed paths for its files.
+  if(SOLVER.id === 'lp_solve' && workers > 1) {
+    console.log('WARNING: LP_solve does not support parallel runs');
+    workers = 1;
+  }
+  const
+      queue = runs.slice(),
+      results = {},
+      xi = MODEL.experiments.indexOf(x) + 1,
+      t0 = new Date().getTime();
+  let active = 0;
+  const finish = () => {
+      // Merge the run results into the experiment.
+      x.clearRuns();
+      x.inferVariables();
+      for(const r of runs.slice().sort((a, b) => a - b)) {
+        if(results[r]) x.runs.push(results[r]);
+      }
+      x.time_started = t0;
+      x.time_stopped = new Date().getTime();
+      x.completed = x.runs.length === x.combinations.length;
+      console.log(`\nExperiment "${x.title}": ${x.runs.length} of ` +
+          `${pluralS(runs.length, 'run')} completed in ` +
+          `${(x.time_stopped - t0) / 1000} seconds`);
+      if(SETTINGS.x_results) {
+        FILE_MANAGER.writeStringToFile(MODEL.asXML, SETTINGS.x_results);
+      }
+    };
+  const startWorker = (w) => {
+      // Let worker `w` perform the first run in the queue.
+      const
+          r = queue.shift(),
+          dir = path.join(WORKSPACE.solver_output, 'worker-' + w),
+          rpath = path.join(dir, 'runs.xml'),
+          lpath = path.join(dir, 'console.log'),
+          args = [process.argv[1], 'model=' + SETTINGS.model_path,
+              `xrun=${xi}#${r}`, 'worker=' + w,
+              'workspace=' + SETTINGS.user_dir];
+      if(SETTINGS.preferred_solver) {
+        args.push('solver=' + SETTINGS.preferred_solver);
+      }
+      if(SETTINGS.data_path) args.push('data-dir=' + SETTINGS.data_path);
+      if(SETTINGS.seed) args.push('seed=' + SETTINGS.seed);
+      if(SETTINGS.password) args.push('password=' + SETTINGS.password);
+      let log;
+      try {
+        fs.mkdirSync(dir, {recursive: true});
+        // Delete results of a previous run (if any).
+        if(fs.existsSync(rpath)) fs.unlinkSync(rpath);
+        log = fs.openSync(lpath, 'a');
+      } catch(err) {
+        console.log(err.message);
+        console.log('ERROR: No access to worker directory', dir);
+        if(!active) finish();
+        return;
+      }
+      active++;
+      console.log(`Run ${r} started by worker ${w}`);
+      const wp = child_process.spawn(process.execPath, args,
+          {stdio: ['ignore', log, log], windowsHide: true});
+      wp.on('error', (err) => console.log('WARNING: Worker error:', err.message));
+      wp.on('close', (code) => {
+          fs.closeSync(log);
+          active--;
+          let n = 0;
+          try {
+            const root = parseXML(fs.readFileSync(rpath, 'utf8'));
+            for(let ci = 0; ci < root.childNodes.length; ci++) {
+              const c = root.childNodes.item(ci);
+              if(c.nodeName === 'experiment-run') {
+                const xr = new ExperimentRun(x, r);
+                xr.initFromXML(c);
+                results[xr.number] = xr;
+                n++;
+              }
+            }
+          } catch(err) {
+            // No results file, or invalid XML.
+          }
+          if(n) {
+            console.log(`Run ${r} completed by worker ${w}`);
+          } else {
+            console.log(`WARNING: Run ${r} failed (exit code ${code})` +
+                ` -- see ${lpath}`);
+          }
+          if(queue.length) {
+            startWorker(w);
+          } else if(!active) {
+            finish();
+          }
+        });
+    };
+  console.log(`Performing ${pluralS(runs.length, 'run')} using ` +
+      pluralS(workers, 'worker'));
+  for(let w = 1; w <= workers; w++) startWorker(w);
+}
+
 function checkForUpdates() {
   // Check for newer version of the Node.js package `linny-r`
   // NOTE: use `info` as shorthand for the global constant
@@ -1022,12 +1191,35 @@ global.EXPERIMENT_MANAGER = new ExperimentManager();
 global.MONITOR = new ConsoleMonitor();
 global.RECEIVER = new ConsoleReceiver();
 global.IO_CONTEXT = null;
+// NOTE: MODEL must be defined before the model is created, as some of its
+// methods check whether MODEL exists.
+global.MODEL = null;
 global.MODEL = new LinnyRModel();
 // Connect the virtual machine (may prompt for password).
 MONITOR.connectToServer();
 // Load the model if specified.
 if(SETTINGS.model_path) {
   FILE_MANAGER.loadModel(SETTINGS.model_path, (model) => {
+      // Random seed on the command line overrides the model setting.
+      if(SETTINGS.seed) model.random_seed = SETTINGS.seed;
+      // Comparing expression evaluation does not involve solving.
+      if(SETTINGS.expressions) {
+        const cmp = VM.compareExpressionEvaluation();
+        for(const line of cmp.lines) console.log(line);
+        // Results that differ are errors, so that this comparison can
+        // serve as a test.
+        if(cmp.differences) process.exitCode = 1;
+        return;
+      }
+      // Likewise, checking scale units does not involve solving.
+      if(SETTINGS.units) {
+        const uc = new UnitChecker(model);
+        uc.check();
+        console.log(pluralS(uc.issues.length, 'unit inconsistency',
+            'unit inconsistencies') + ' found');
+        for(const line of uc.reportLines) console.log(line);
+        return;
+      }
       // Command `run` takes precedence over `xrun`.
       if(SETTINGS.run) {
         MONITOR.show_log = SETTINGS.verbose;
@@ -1095,14 +1287,12 @@ if(SETTINGS.model_path) {
                 console.log(od[1]);
                 VM.callback = null;
               };
-            if(SETTINGS.x_runs.length === 0) {
-              // Perform complete experiment.
-              EXPERIMENT_MANAGER.startExperiment();
-            } else {
-              // Announce, and then perform, only the selected runs.
-              console.log('Runs:', SETTINGS.x_runs);
-              for(let i = SETTINGS.x_runs.length - 1; i >= 0; i--) {
-                const rc = x.combinations[SETTINGS.x_runs[i]];
+            const runs = SETTINGS.x_runs || [];
+            if(runs.length) {
+              // Announce only the selected runs.
+              console.log('Runs:', runs);
+              for(let i = runs.length - 1; i >= 0; i--) {
+                const rc = x.combinations[runs[i]];
                 if(!rc) {
                   console.log(
                       'WARNING: For this experiment, run number range is ' +
@@ -1110,17 +1300,29 @@ if(SETTINGS.model_path) {
                   return;
                 }
               }
-              SETTINGS.run_index = 0;
-              EXPERIMENT_MANAGER.callback = () => {
-                  SETTINGS.run_index++;
-                  if(SETTINGS.run_index < SETTINGS.x_runs.length) {
-                    EXPERIMENT_MANAGER.startExperiment(
-                        SETTINGS.x_runs[SETTINGS.run_index]);
-                  } else {
-                    VM.callback = null;
-                  }
+            }
+            if(SETTINGS.worker) {
+              // Workers write their run results to their solver output
+              // directory.
+              EXPERIMENT_MANAGER.completion_callback = (x) => {
+                  let xml = '';
+                  for(const xr of x.runs) xml += xr.asXML;
+                  FILE_MANAGER.writeStringToFile(`<runs>${xml}</runs>`,
+                      path.join(WORKSPACE.solver_output, 'runs.xml'));
                 };
-              EXPERIMENT_MANAGER.startExperiment(SETTINGS.x_runs[0]);
+            } else if(SETTINGS.x_results) {
+              EXPERIMENT_MANAGER.completion_callback = () => {
+                  FILE_MANAGER.writeStringToFile(MODEL.asXML,
+                      SETTINGS.x_results);
+                };
+            }
+            if(SETTINGS.workers > 1 && !SETTINGS.worker) {
+              runExperimentInParallel(x, runs);
+            } else if(runs.length) {
+              EXPERIMENT_MANAGER.startRuns(runs);
+            } else {
+              // Perform complete experiment.
+              EXPERIMENT_MANAGER.startExperiment();
             }
           }
         }
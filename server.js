@@ -46,6 +46,7 @@ const
     
     // Get the required built-in Node.js modules.
     child_process = require('child_process'),
+    crypto = require('crypto'),
     fs = require('fs'),
     http = require('http'),
     os = require('os'),
@@ -142,7 +143,8 @@ function checkNodeModule(name) {
 }
 
 // Currently, these external solvers are supported:
-const SUPPORTED_SOLVERS = ['gurobi', 'mosek', 'cplex', 'scip', 'lp_solve'];
+const SUPPORTED_SOLVERS = ['gurobi', 'mosek', 'cplex', 'scip', 'highs', 'lp_solve',
+    'builtin'];
 
 // Load class MILPSolver.
 const MILPSolver = require('./static/scripts/linny-r-milp.js');
@@ -150,16 +152,27 @@ const MILPSolver = require('./static/scripts/linny-r-milp.js');
 
 // Default settings are used unless these are overruled by arguments on the
 // command line. Possible arguments are:
+//  - cache=[number]    will cache the results of up to [number] solved blocks
 //  - port=[number]     will make the server listen at port [number]
+//  - rate=[number]     will limit the number of blocks per user per minute
 //  - solver=[name]     will select solver [name], or warn if not found
+//  - users=[path]      will require users to log on with the credentials
+//                      in the user file [path]
 //  - workspace=[path]  will create workspace in [path] instead of (main)/user
 const SETTINGS = commandLineSettings();
+
+// In multi-user mode, the user file defines who may use the solver.
+const USERS = readUserFile();
     
 // The workspace defines the paths to directories where Linny-R can write files.
 const WORKSPACE = createWorkspace();
     
 // Initialize the solver.
 const SOLVER = new MILPSolver(SETTINGS.preferred_solver, WORKSPACE);
+SOLVER.cache_size = SETTINGS.cache_size;
+if(SOLVER.cache_size) {
+  console.log('Solver cache size:', SOLVER.cache_size, 'blocks');
+}
 
 // Create launch script.
 createLaunchScript();
@@ -172,9 +185,9 @@ const SERVER = http.createServer((req, res) => {
       let body = '';
       // @@TO DO: For big data requests, string may become too long.
       req.on('data', (data) => body += data);
-      req.on('end', () => processRequest(req, res, u.pathname, body));
+      req.on('end', () => safelyProcessRequest(req, res, u.pathname, body));
     } else if(req.method === 'GET') {
-      processRequest(req, res, u.pathname, u.search);
+      safelyProcessRequest(req, res, u.pathname, u.search);
     }
   });
 
@@ -373,6 +386,168 @@ function pluralS(n, s) {
   return (n === 0 ? 'No ' : n + ' ') + s + (n === 1 ? '' : 's');
 }
 
+// Multi-user mode
+// ===============
+// When the server is started with the users=[path] option, it authenticates
+// users against the credentials in the user file, and then issues session
+// tokens. All solver actions then require a valid token. This permits
+// sharing one solver (license) between the Linny-R browsers on a network.
+// The user file is a JSON object that maps user names to an object with
+// the salt and hash of their password, and optionally a time limit (in
+// seconds per block) and a rate limit (blocks per minute) for that user.
+// Only users marked as "admin" in this file may change the default solver
+// or purge the solution cache, as these actions affect all users.
+// NOTE: Users are added via the adduser=[name:password] option.
+
+const
+    // Sessions expire when the user has not made a solver request for
+    // this number of milliseconds.
+    SESSION_TIMEOUT = 8 * 3600 * 1000,
+    // Session tokens map to the user name and the time of the last request.
+    // NOTE: Objects without prototype, so that tokens and user names
+    // such as "constructor" do not match inherited properties.
+    SESSIONS = Object.create(null),
+    // Times at which users submitted blocks during the last minute.
+    SUBMISSIONS = Object.create(null);
+
+function readUserFile() {
+  // Return the user credentials when the server runs in multi-user mode,
+  // otherwise NULL. When the adduser option is set, add this user to the
+  // user file, and then exit.
+  if(!SETTINGS.users_file) {
+    if(SETTINGS.add_user) {
+      console.log('ERROR: Option adduser requires option users=[path]');
+      process.exit();
+    }
+    return null;
+  }
+  let users = {};
+  if(fs.existsSync(SETTINGS.users_file)) {
+    try {
+      users = JSON.parse(fs.readFileSync(SETTINGS.users_file, 'utf8'));
+    } catch(err) {
+      console.log('ERROR: Failed to read user file', SETTINGS.users_file);
+      console.log(err.message);
+      process.exit();
+    }
+  } else if(!SETTINGS.add_user) {
+    console.log('ERROR: User file not found:', SETTINGS.users_file);
+    process.exit();
+  }
+  if(SETTINGS.add_user) {
+    const
+        i = SETTINGS.add_user.indexOf(':'),
+        name = SETTINGS.add_user.substring(0, i).trim(),
+        pwd = SETTINGS.add_user.substring(i + 1);
+    if(!name || !pwd) {
+      console.log('ERROR: Option adduser must be of the form name:password');
+      process.exit();
+    }
+    const salt = crypto.randomBytes(16).toString('hex');
+    // NOTE: Limits that have been set for an existing user are preserved.
+    users[name] = Object.assign(users[name] || {},
+        {salt: salt, hash: passwordHash(pwd, salt)});
+    try {
+      fs.writeFileSync(SETTINGS.users_file, JSON.stringify(users, null, 2));
+      console.log(`User "${name}" added to`, SETTINGS.users_file);
+    } catch(err) {
+      console.log('ERROR: Failed to write user file', SETTINGS.users_file);
+      console.log(err.message);
+    }
+    process.exit();
+  }
+  console.log('Multi-user mode:', pluralS(Object.keys(users).length, 'user'));
+  if(SETTINGS.rate_limit) {
+    console.log('Rate limit:', SETTINGS.rate_limit, 'blocks per minute');
+  }
+  return users;
+}
+
+function passwordHash(pwd, salt) {
+  // Return the hash of password `pwd` with `salt` as hexadecimal string.
+  return crypto.scryptSync(pwd, salt, 64).toString('hex');
+}
+
+function userRecord(user) {
+  // Return the credentials of `user` as defined in the user file, or NULL
+  // if no such user exists or the user entry is invalid.
+  // NOTE: Only own properties of USERS are considered, so that names such
+  // as "constructor" or "__proto__" do not match inherited properties.
+  if(!USERS || !Object.prototype.hasOwnProperty.call(USERS, user)) {
+    return null;
+  }
+  const u = USERS[user];
+  if(!u || typeof u.salt !== 'string' || typeof u.hash !== 'string') {
+    return null;
+  }
+  return u;
+}
+
+function isAdministrator(user) {
+  // Return TRUE if `user` may perform actions that affect all users.
+  // NOTE: In single-user mode, there is no user name, and the local user
+  // may do anything.
+  if(!USERS) return true;
+  const u = userRecord(user);
+  return !!u && u.admin === true;
+}
+
+function logOn(sp) {
+  // Return a new session token if the user name and password passed via
+  // `sp` are valid, otherwise an empty string.
+  const
+      user = sp.get('user'),
+      pwd = sp.get('password'),
+      u = userRecord(user);
+  if(!u || !pwd) return '';
+  const
+      hash = Buffer.from(passwordHash(pwd, u.salt), 'hex'),
+      valid = Buffer.from(u.hash, 'hex');
+  if(hash.length !== valid.length || !crypto.timingSafeEqual(hash, valid)) {
+    logAction(`Failed logon by user "${user}"`);
+    return '';
+  }
+  // Remove expired sessions.
+  const t = Date.now() - SESSION_TIMEOUT;
+  for(const k of Object.keys(SESSIONS)) {
+    if(SESSIONS[k].time < t) delete SESSIONS[k];
+  }
+  const token = crypto.randomBytes(24).toString('hex');
+  SESSIONS[token] = {user: user, time: Date.now()};
+  logAction(`User "${user}" logged on`);
+  return token;
+}
+
+function sessionUser(token) {
+  // Return the name of the user of session `token`, or an empty string if
+  // the token is invalid or has expired.
+  const session = SESSIONS[token];
+  if(!session) return '';
+  if(Date.now() - session.time > SESSION_TIMEOUT) {
+    delete SESSIONS[token];
+    return '';
+  }
+  session.time = Date.now();
+  return session.user;
+}
+
+function withinRateLimit(user, n=1) {
+  // Return TRUE if `user` may submit `n` more blocks, i.e., has submitted
+  // at most as many blocks during the last minute as the rate limit
+  // permits minus `n`.
+  const
+      u = userRecord(user),
+      limit = (u && u.rate) || SETTINGS.rate_limit;
+  if(!limit) return true;
+  const
+      t = Date.now(),
+      times = (SUBMISSIONS[user] || []).filter((s) => s > t - 60000);
+  SUBMISSIONS[user] = times;
+  if(times.length + n > limit) return false;
+  for(let i = 0; i < n; i++) times.push(t);
+  return true;
+}
+
 // File browser functionality
 // ==========================
 // For loading and saving models via the File browser, Linny-R communicates
@@ -1433,6 +1608,22 @@ const STATIC_FILES = {
       ]
   };
 
+function safelyProcessRequest(req, res, cmd, data) {
+  // Process the request, but catch errors so that a single bad request
+  // cannot crash the server.
+  try {
+    processRequest(req, res, cmd, data);
+  } catch(err) {
+    console.log('ERROR while processing request', cmd);
+    console.log(err);
+    if(!res.headersSent) {
+      serveJSON(res, {error: 'Server failed to process request'});
+    } else if(!res.writableEnded) {
+      res.end();
+    }
+  }
+}
+
 function processRequest(req, res, cmd, data) {
   // Make correct response to request.
   // NOTE: `data` is a string of form field1=value1&field2=value2& ... etc.
@@ -1448,11 +1639,19 @@ function processRequest(req, res, cmd, data) {
     const
         sp = new URLSearchParams(data),
         action = sp.get('action');
-    // NOTE: On remote servers, solver actions require authentication.
+    // NOTE: In multi-user mode, solver actions require authentication.
+    let user = '';
+    if(USERS && action !== 'logon') {
+      user = sessionUser(sp.get('token'));
+      if(!user) {
+        serveJSON(res, {error: 'Not logged on to server', authenticate: true});
+        return;
+      }
+    }
     if(action === 'logon') {
-      // No authentication -- simply return the passed token, "local host"
-      // as server name, the name of the solver, the list of installed
-      // solvers, and some more server-dependent properties.
+      // Return the session token, the server name, the name of the solver,
+      // the list of installed solvers, and some more server-dependent
+      // properties. Without authentication, the token is "local host".
       const json = {
           token: 'local host',
           server: 'local host',
@@ -1469,6 +1668,24 @@ function processRequest(req, res, cmd, data) {
           // this property, or set it to NULL.
           autosave: {minutes: 10, hours: 24}
         };
+      if(USERS) {
+        // Logon without credentials only informs the browser that users
+        // must authenticate.
+        if(!sp.get('password')) {
+          json.token = '';
+          json.authenticate = true;
+        } else {
+          json.token = logOn(sp);
+          if(!json.token) {
+            serveJSON(res, {error: 'Invalid user name or password'});
+            return;
+          }
+          json.server = os.hostname();
+          // Users may have a personal solver time limit.
+          const tl = userRecord(sp.get('user')).time_limit;
+          if(tl) json.time_limit = tl;
+        }
+      }
       // Get default model properties from JSON file in user directory
       // (if it exists).
       const defaults = readDefaultsFile();
@@ -1494,19 +1711,60 @@ function processRequest(req, res, cmd, data) {
       serveJSON(res, json);
     } else if(action === 'change') {
       const sid = sp.get('solver');
-      if(SOLVER.changeDefault(sid)) {
+      if(!isAdministrator(user)) {
+        servePlainText(res, 'WARNING: Only an administrator can change ' +
+            'the default solver');
+      } else if(SOLVER.changeDefault(sid)) {
         servePlainText(res, 'Default solver set to ' + SOLVER.name);
       } else {
         servePlainText(res, 'WARNING: Failed to change solver to ' + sid);
       }
-    } else if(action === 'solve') {
-      serveJSON(res, SOLVER.solveBlock(sp));
+    } else if(action === 'solve' || action === 'benchmark') {
+      if(user) {
+        // NOTE: A benchmark queues a solver job for each solver that can
+        // read the model, so it counts as that many blocks.
+        const n = (action === 'solve' ? 1 :
+            Math.max(1, SOLVER.benchmarkSolvers(sp.get('data') || '').length));
+        if(!withinRateLimit(user, n)) {
+          serveJSON(res, {error: 'Rate limit exceeded -- please try again ' +
+              'in a minute'});
+          return;
+        }
+        // Enforce the user's time limit (if any).
+        const
+            u = userRecord(user),
+            tl = (u ? u.time_limit : 0);
+        if(tl && !(parseInt(sp.get('timeout')) <= tl)) sp.set('timeout', tl);
+      }
+      // NOTE: The block is solved asynchronously, so the response is the
+      // status of the new solver job; its results must be polled for.
+      // A benchmark queues a job for each installed solver, and its result
+      // is the benchmark report.
+      if(action === 'solve') {
+        serveJSON(res, SOLVER.submitJob(sp, user));
+      } else {
+        serveJSON(res, SOLVER.submitBenchmark(sp, user));
+      }
+    } else if(action === 'status') {
+      serveJSON(res, SOLVER.jobStatus(sp.get('job'), user));
+    } else if(action === 'abort') {
+      serveJSON(res, SOLVER.abortJob(sp.get('job'), user));
+    } else if(action === 'purge') {
+      // Remove all solutions from the solver cache.
+      if(isAdministrator(user)) {
+        serveJSON(res, SOLVER.purgeCache());
+      } else {
+        serveJSON(res, {error: 'Only an administrator can purge the ' +
+            'solver cache'});
+      }
     } else {
       // Invalid action => return JSON with error message.
       const msg = `Invalid action: "${action}"`;
       console.log(msg);
       serveJSON(res, {error: msg});
     }
+  } else if(cmd === 'solver-log') {
+    streamSolverLog(req, res, new URLSearchParams(data));
   } else if(cmd === 'shutdown') {
     // Shut down this server WITHOUT updating, and show page with
     // "shut down" message and restart button.
@@ -1548,6 +1806,38 @@ function processRequest(req, res, cmd, data) {
   }
 }
 
+function streamSolverLog(req, res, sp) {
+  // Stream the log of the solver job specified by `sp` as server-sent
+  // events, so that the browser can display it while the solver runs.
+  // Each event passes the new log lines and the progress (incumbent, bound
+  // and gap) parsed from these lines. The stream ends with a "done" event
+  // when the job is no longer running.
+  // NOTE: In multi-user mode, the session token must be passed as well.
+  const
+      job = sp.get('job'),
+      user = (USERS ? sessionUser(sp.get('token')) : '');
+  let offset = 0;
+  res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+  const
+      send = () => {
+          const log = SOLVER.jobLog(job, offset, user);
+          offset = log.offset;
+          if(log.lines.length) res.write(`data: ${JSON.stringify(log)}\n\n`);
+          if(log.done) {
+            clearInterval(timer);
+            res.end('event: done\ndata: {}\n\n');
+          }
+        },
+      timer = setInterval(send, 500);
+  // Stop streaming when the browser closes the connection.
+  req.on('close', () => clearInterval(timer));
+  send();
+}
+
 function servePlainText(res, msg) {
   // Serve string `msg` as plain text.
   res.setHeader('Content-Type', 'text/plain');
@@ -1613,6 +1903,12 @@ function commandLineSettings() {
       launch: false,
       port: 5050,
       preferred_solver: '',
+      // By default, solved blocks are not cached.
+      cache_size: 0,
+      // By default, users need not log on, and have no rate limit.
+      users_file: '',
+      add_user: '',
+      rate_limit: 0,
       user_dir: path.join(WORKING_DIRECTORY, 'user')
     };
   const
@@ -1621,12 +1917,21 @@ function commandLineSettings() {
       usage = `Usage:  ${app} server [options]
 
 Possible options are:
+  adduser=[name:pwd] will add user [name] with password [pwd] to the user file
+                     specified by the users option, and then exit
+  cache=[number]     will cache the results of up to [number] solved blocks
+                     (default is 0: no caching)
   help               will display these command line options
   launch             will open the Linny-R GUI in a browser window
   port=[number]      will listen at the specified port number
                      (default is 5050; number must be unique for each server)
+  rate=[number]      will limit the number of blocks that each user can submit
+                     per minute (default is 0: no limit)
   solver=[name]      will select solver [name], or warn if not found
-                     (name choices: Gurobi, MOSEK, CPLEX, SCIP or LP_solve)
+                     (name choices: Gurobi, MOSEK, CPLEX, SCIP, HiGHS, LP_solve
+                     or Builtin)
+  users=[path]       will require users to log on with the credentials in the
+                     user file specified by [path] (multi-user mode)
   verbose            will output solver messages to the console
   workspace=[path]   will create workspace in [path] instead of (Linny-R)/user
 `;
@@ -1645,6 +1950,25 @@ Possible options are:
         } else {
           settings.port = n;
         }
+      } else if(av[0] === 'cache') {
+        const n = parseInt(av[1]);
+        if(isNaN(n) || n < 0) {
+          console.log(`WARNING: Invalid cache size ${av[1]}`);
+        } else {
+          settings.cache_size = n;
+        }
+      } else if(av[0] === 'rate') {
+        const n = parseInt(av[1]);
+        if(isNaN(n) || n < 0) {
+          console.log(`WARNING: Invalid rate limit ${av[1]}`);
+        } else {
+          settings.rate_limit = n;
+        }
+      } else if(av[0] === 'users' || av[0] === 'adduser') {
+        // NOTE: Paths, user names and passwords are case-sensitive.
+        const a = process.argv[i];
+        settings[av[0] === 'users' ? 'users_file' : 'add_user'] =
+            a.substring(a.indexOf('=') + 1).trim();
       } else if(av[0] === 'solver') {
         if(SUPPORTED_SOLVERS.indexOf(av[1]) < 0) {
           console.log(`WARNING: Unknown solver "${av[1]}"`);
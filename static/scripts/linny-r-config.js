@@ -61,6 +61,16 @@ const CONFIGURATION = {
     
     // NOTE: The following properties can *NOT* be configured via the browser.
     
+    // By default, expressions are compiled to JavaScript functions, which
+    // compute much faster than the VM instruction interpreter. Set to FALSE
+    // to always use the interpreter.
+    compile_expressions: true,
+    
+    // By default, the VM removes fixed variables and single-variable rows
+    // from the tableau before writing the model file. Set to FALSE to have
+    // the solver receive the complete tableau.
+    presolve_tableau: true,
+    
     // Standard scale units to be included in new models.
     scale_units: [
         // Units can be defined as 3-tuples [name, scalar, base unit], e.g.,
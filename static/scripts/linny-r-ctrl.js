@@ -172,11 +172,13 @@ class Controller {
       ACTOR_PROPS: ['weight', 'comments'],
       CLUSTER_PROPS: ['comments', 'collapsed', 'ignore'],
       PROCESS_PROPS: ['comments', 'lower_bound', 'upper_bound', 'initial_level',
-        'pace_expression', 'equal_bounds', 'level_to_zero', 'integer_level',
-        'collapsed'],
+        'pace_expression', 'min_up_time', 'min_down_time', 'quadratic_cost',
+        'equal_bounds', 'level_to_zero', 'integer_level', 'collapsed',
+        'contingency'],
       PRODUCT_PROPS: ['comments', 'lower_bound', 'upper_bound', 'initial_level',
-        'scale_unit', 'equal_bounds', 'price', 'is_source', 'is_sink', 'is_buffer',
-        'is_data', 'integer_level', 'no_slack'],
+        'scale_unit', 'equal_bounds', 'price', 'quadratic_cost', 'is_source',
+        'is_sink', 'is_buffer', 'is_cyclic', 'free_initial_level', 'is_data',
+        'integer_level', 'no_slack'],
       DATASET_PROPS: ['comments', 'default_value', 'scale_unit', 'time_scale',
         'time_unit', 'method', 'periodic', 'array', 'url', 'default_selector'],
       LINK_PROPS: ['comments', 'multiplier', 'relative_rate', 'share_of_cost',
@@ -1204,6 +1206,8 @@ class ExperimentManager {
   reset() {
     this.visible = false;
     this.callback = null;
+    // Function to call when all runs of an experiment have been performed.
+    this.completion_callback = null;
     this.selected_experiment = null;
     this.suitable_charts = [];
     this.plot_dimensions = [];
@@ -1273,6 +1277,34 @@ class ExperimentManager {
     }    
   }
 
+  startRuns(list) {
+    // Perform only the runs of the selected experiment that are numbered
+    // in `list`, e.g., when the runs are distributed among processes.
+    const x = this.selected_experiment;
+    if(!x || !list.length) return;
+    x.run_list = list.slice();
+    this.startExperiment();
+  }
+
+  nextRunIndex(x, ci) {
+    // Return the number of the run that follows run `ci` of experiment `x`,
+    // or -1 if `ci` is the last run.
+    if(x.run_list) {
+      const i = x.run_list.indexOf(ci);
+      return (i >= 0 && i < x.run_list.length - 1 ? x.run_list[i + 1] : -1);
+    }
+    return (ci < x.combinations.length - 1 ? ci + 1 : -1);
+  }
+
+  activeRun(x) {
+    // Return the run of experiment `x` for its active combination.
+    // NOTE: When only some runs are performed, run numbers do not match
+    // their index in the list of runs.
+    const aci = x.active_combination_index;
+    if(x.run_list) return x.runs.find((r) => r.number === aci);
+    return x.runs[aci];
+  }
+
   startExperiment(paused, n=-1) {
     // Recompile expressions, as these may have been changed by the modeler.
     MODEL.compileExpressions();
@@ -1306,7 +1338,7 @@ class ExperimentManager {
         x.time_started = new Date().getTime();
         // Anchor the time suffix of report file names to the sequence start.
         x.report_time = x.time_started;
-        x.active_combination_index = 0;
+        x.active_combination_index = (x.run_list ? x.run_list[0] : 0);
         MODEL.running_experiment = x;
       } else {
         x.active_combination_index++;
@@ -1352,6 +1384,14 @@ class ExperimentManager {
       }
       // Only now compute the simulation run time (number of time steps).
       xr.time_steps = MODEL.end_period - MODEL.start_period + 1;
+      // Each run has its own random seed so that it can be replayed exactly.
+      // A seed set in the model settings (possibly by a settings selector)
+      // is incremented by the run number.
+      // NOTE: When a run is performed again, it keeps its original seed.
+      if(!xr.seed) {
+        xr.seed = (MODEL.random_seed ? MODEL.random_seed + ci :
+            VM.newRandomSeed());
+      }
       VM.callback = this.callback;
       // NOTE: Asynchronous call. All follow-up actions must be performed
       // by the callback function.
@@ -1366,7 +1406,7 @@ class ExperimentManager {
     const aci = x.active_combination_index;
     if(MODEL.solved) {
       // NOTE: addResults will call processRestOfRun when completed.
-      x.runs[aci].addResults();
+      this.activeRun(x).addResults();
     } else {
       // Do not add results...
       UI.warn(`Model run #${aci} incomplete -- results will be invalid`);
@@ -1388,18 +1428,20 @@ class ExperimentManager {
         aci = x.active_combination_index,
         single = (aci == x.single_run);
     // Always add solver messages.
-    x.runs[aci].addMessages();
+    this.activeRun(x).addMessages();
     // Assume that NO more runs are needed.
     let more_runs = false;
-    const n = x.combinations.length;
-    if(!VM.halted && aci < n - 1 && !single) {
+    const
+        n = x.combinations.length,
+        next = this.nextRunIndex(x, aci);
+    if(!VM.halted && next >= 0 && !single) {
       // Continue with the next run.
       if(this.must_pause) {
         this.pausedButtons(aci);
         this.must_pause = false;
         UI.setMessage('');
       } else {
-        x.active_combination_index++;
+        x.active_combination_index = next;
         more_runs = true;
       }
     } else {
@@ -1409,8 +1451,11 @@ class ExperimentManager {
         x.single_run = -1;
         x.completed = true;
       } else {
-        x.completed = aci >= n - 1;
+        // NOTE: When only some runs have been performed, the experiment
+        // is not complete.
+        x.completed = !x.run_list && aci >= n - 1;
       }
+      x.run_list = null;
       x.active_combination_index = -1;
       if(VM.halted) {
         UI.notify(
@@ -1431,6 +1476,7 @@ class ExperimentManager {
       // and ALL expressions are reset as well.
       if(!single) VM.reset();
       this.readyButtons();
+      if(this.completion_callback) this.completion_callback(x);
     }
     this.drawTable();
     UI.setMessage(`Resetting ${single ? '' : 'model and'} charts`);
@@ -1498,6 +1544,11 @@ class PowerGridManager {
     this.max_length = 0;
     this.total_length = 0;
     this.messages = [];
+    // Properties used for N-1 contingency analysis: the line outage
+    // distribution factors for each contingency candidate, and the
+    // post-contingency overloads found after solving.
+    this.contingencies = [];
+    this.overloads = [];
   }
   
   get sortedGridIDs() {
@@ -1751,6 +1802,205 @@ class PowerGridManager {
     return ll.join('\n');
   }
 
+  invertedMatrix(m) {
+    // Return the inverse of square matrix `m` (computed by Gauss-Jordan
+    // elimination with partial pivoting), or NULL if `m` is singular.
+    const
+        n = m.length,
+        a = m.map((row, i) => {
+            const r = row.slice();
+            for(let j = 0; j < n; j++) r.push(i === j ? 1 : 0);
+            return r;
+          });
+    for(let c = 0; c < n; c++) {
+      let pr = c;
+      for(let r = c + 1; r < n; r++) {
+        if(Math.abs(a[r][c]) > Math.abs(a[pr][c])) pr = r;
+      }
+      if(Math.abs(a[pr][c]) < VM.NEAR_ZERO) return null;
+      if(pr !== c) {
+        const tmp = a[c];
+        a[c] = a[pr];
+        a[pr] = tmp;
+      }
+      const pv = a[c][c];
+      for(let j = 0; j < 2 * n; j++) a[c][j] /= pv;
+      for(let r = 0; r < n; r++) if(r !== c && a[r][c] !== 0) {
+        const f = a[r][c];
+        for(let j = 0; j < 2 * n; j++) a[r][j] -= f * a[c][j];
+      }
+    }
+    return a.map((row) => row.slice(n));
+  }
+  
+  inferContingencies() {
+    // Compute the line outage distribution factors (LODFs) for all grid
+    // processes that are marked as N-1 contingency candidates.
+    // NOTE: This presumes that `inferCycleBasis` has been called.
+    this.contingencies.length = 0;
+    this.overloads.length = 0;
+    if(!(MODEL.with_power_flow && MODEL.contingency_analysis)) return;
+    // NOTE: LODFs derive from the DC power flow, so only edges of grids
+    // for which Kirchhoff's voltage law is enforced can be considered.
+    if(!MODEL.powerGridsWithKVL.length) {
+      this.messages.push(VM.WARNING +
+          ' N-1 analysis requires that KVL is enforced');
+      return;
+    }
+    const
+        edges = this.spanning_edges.concat(this.cycle_edges),
+        candidates = [];
+    for(let k in this.edges) if(this.edges.hasOwnProperty(k)) {
+      const p = this.edges[k].process;
+      if(p.contingency) {
+        if(edges.indexOf(this.edges[k]) < 0) {
+          this.messages.push(VM.WARNING + ' Contingency "' + p.displayName +
+              '" will be ignored because KVL is not enforced for its grid');
+        } else {
+          candidates.push(this.edges[k]);
+        }
+      }
+    }
+    if(!candidates.length) {
+      this.messages.push('N-1 analysis: No contingency candidates');
+      return;
+    }
+    // Number all nodes except the first node of each node set, as these
+    // serve as reference ("slack") nodes having voltage angle 0.
+    const index = {};
+    let n = 0;
+    for(const ns of this.node_sets) {
+      const nids = Object.keys(ns);
+      index[nids[0]] = -1;
+      for(let i = 1; i < nids.length; i++) index[nids[i]] = n++;
+    }
+    // Construct the nodal susceptance matrix B (sans the slack nodes).
+    const
+        b = [],
+        x = {};
+    for(let i = 0; i < n; i++) b.push(new Array(n).fill(0));
+    for(const e of edges) {
+      const
+          p = e.process,
+          r = p.length_in_km * p.grid.reactancePerKm,
+          i = index[e.from_node],
+          j = index[e.to_node];
+      if(r <= VM.NEAR_ZERO) {
+        this.messages.push(VM.WARNING + ' N-1 analysis requires that ' +
+            'grid process "' + p.displayName + '" has a positive length');
+        return;
+      }
+      x[p.identifier] = r;
+      if(i >= 0) b[i][i] += 1 / r;
+      if(j >= 0) b[j][j] += 1 / r;
+      if(i >= 0 && j >= 0) {
+        b[i][j] -= 1 / r;
+        b[j][i] -= 1 / r;
+      }
+    }
+    // The inverse X of B maps power injections onto voltage angles.
+    const xm = this.invertedMatrix(b);
+    if(!xm) {
+      this.messages.push(VM.WARNING +
+          ' N-1 analysis failed: singular susceptance matrix');
+      return;
+    }
+    // Return the voltage angle difference across edge `e` when one unit
+    // of power is injected at FROM node of edge `o` and withdrawn at its
+    // TO node.
+    const angle = (e, o) => {
+        const
+            i = index[e.from_node],
+            j = index[e.to_node],
+            a = index[o.from_node],
+            z = index[o.to_node],
+            xv = (r, c) => (r < 0 || c < 0 ? 0 : xm[r][c]);
+        return xv(i, a) - xv(i, z) - xv(j, a) + xv(j, z);
+      };
+    for(const ce of candidates) {
+      const
+          p = ce.process,
+          // Share of a FROM-TO transfer that flows through the line itself.
+          own = angle(ce, ce) / x[p.identifier];
+      if(1 - own < VM.SIG_DIF_LIMIT) {
+        // NOTE: Outage of a radial line splits the grid into islands.
+        this.messages.push(VM.WARNING + ' Outage of "' + p.displayName +
+            '" would split the grid -- contingency ignored');
+        continue;
+      }
+      const factors = [];
+      for(const e of edges) if(e !== ce) {
+        const f = angle(e, ce) / x[e.process.identifier] / (1 - own);
+        if(Math.abs(f) > VM.SIG_DIF_FROM_ZERO) {
+          factors.push({process: e.process, factor: f});
+        }
+      }
+      this.contingencies.push({process: p, factors: factors});
+    }
+    this.messages.push('N-1 analysis: ' +
+        pluralS(this.contingencies.length, 'contingency',
+            'contingencies') +
+        (MODEL.contingency_analysis === 'secure' ?
+            ' (enforcing post-contingency flow limits)' : ''));
+  }
+  
+  get contingenciesAsString() {
+    // Return description of the line outage distribution factors.
+    const ll = [];
+    for(const c of this.contingencies) {
+      const l = [];
+      for(const f of c.factors) {
+        l.push(`${f.process.displayName} (${VM.sig4Dig(f.factor)})`);
+      }
+      ll.push(`Outage of ${c.process.displayName} affects: ` +
+          (l.length ? l.join(', ') : '(none)'));
+    }
+    return ll.join('\n');
+  }
+  
+  checkContingencies() {
+    // Record for each time step of the simulation period the lines that
+    // would be overloaded by the outage of some contingency candidate.
+    // NOTE: The post-contingency flow through line L after outage of
+    // line K is F_L + LODF * F_K.
+    this.overloads.length = 0;
+    if(MODEL.ignore_grid_capacity) return;
+    const n = MODEL.end_period - MODEL.start_period + 1;
+    for(let t = 1; t <= n; t++) {
+      for(const c of this.contingencies) {
+        const fk = c.process.actualLevel(t);
+        if(Math.abs(fk) < VM.SIG_DIF_FROM_ZERO) continue;
+        for(const f of c.factors) {
+          const
+              p = f.process,
+              ub = p.upper_bound.result(t),
+              pcf = p.actualLevel(t) + f.factor * fk;
+          if(ub < VM.UNLIMITED_POWER_FLOW &&
+              Math.abs(pcf) - ub > VM.SIG_DIF_LIMIT) {
+            this.overloads.push({t: t, outage: c.process, process: p,
+                flow: pcf, limit: ub});
+          }
+        }
+      }
+    }
+  }
+  
+  get overloadsAsString() {
+    // Return summary of post-contingency overloads.
+    const ol = this.overloads.length;
+    if(!ol) return 'N-1 analysis: No post-contingency overloads';
+    const ll = ['N-1 analysis: ' + pluralS(ol, 'post-contingency overload') +
+        ':'];
+    // NOTE: Limit the list to the first 50 overloads.
+    for(const o of this.overloads.slice(0, 50)) {
+      ll.push(`t=${o.t}: outage of ${o.outage.displayName} => ` +
+          `${o.process.displayName} ${VM.sig4Dig(o.flow)} ` +
+          `(limit ${VM.sig4Dig(o.limit)})`);
+    }
+    if(ol > 50) ll.push(`(${ol - 50} more)`);
+    return ll.join('\n');
+  }
+
   inCycle(p) {
     // If process `p` is an edge in some cycle in the cycle basis, return the
     // sign of its orientation as '+' or '-'; otherwise return the empty string
@@ -788,7 +788,7 @@ class GUIController extends Controller {
     // Initialize "main" modals, i.e., those that relate to the controller,
     // not to other dialog objects.
     const main_modals = ['logon', 'model', 'browser', 'save', 'settings',
-        'actors', 'expression', 'server', 'solver', 'defaults',
+        'actors', 'expression', 'server', 'solver', 'objectives', 'defaults',
         'add-process', 'add-product', 'move', 'note', 'clone', 'replace'];
     for(const m of main_modals) this.modals[m] = new ModalDialog(m);
     
@@ -834,19 +834,26 @@ class GUIController extends Controller {
         'integer': 'integer_level',
         'shut-down': 'level_to_zero',
         'LCF': 'pace_expression',
-        'collapsed': 'collapsed'
+        'MUT': 'min_up_time',
+        'MDT': 'min_down_time',
+        'QC': 'quadratic_cost',
+        'collapsed': 'collapsed',
+        'contingency': 'contingency'
       });
     this.modals.product = new GroupPropertiesDialog('product', {
         'unit': 'scale_unit',
         'source': 'is_source',
         'sink': 'is_sink',
         'stock': 'is_buffer',
+        'cyclic': 'is_cyclic',
+        'free-IL': 'free_initial_level',
         'data': 'is_data',
         'LB': 'lower_bound',
         'UB': 'upper_bound',
         'UB-equal': 'equal_bounds',
         'IL': 'initial_level',
         'P': 'price',
+        'QC': 'quadratic_cost',
         'integer': 'integer_level',
         'no-slack': 'no_slack',
         'no-links': 'no_links'
@@ -1074,11 +1081,13 @@ class GUIController extends Controller {
             DOCUMENTATION_MANAGER.clearEntity([MODEL]);
           });
 
-    // Make the scale units, solver preferences and power grid buttons
-    // of the settings dialog responsive. Clicking will open these dialogs
+    // Make the scale units, unit check, solver preferences and power grid
+    // buttons of the settings dialog responsive. Clicking will open these dialogs
     // on top of the settings modal dialog.
     this.modals.settings.element('scale-units-btn').addEventListener('click',
         () => SCALE_UNIT_MANAGER.show());
+    this.modals.settings.element('check-units-btn').addEventListener('click',
+        () => SCALE_UNIT_MANAGER.checkUnits());
     this.modals.settings.element('solver-prefs-btn').addEventListener('click',
         () => UI.showSolverPreferencesDialog());
     // The power grid options button should be visible only when the options
@@ -1087,12 +1096,28 @@ class GUIController extends Controller {
         () => UI.togglePowerGridButton());
     this.modals.settings.element('power-btn').addEventListener('click',
         () => POWER_GRID_MANAGER.show());
+    // Likewise, the objectives button should be visible only in
+    // multi-objective mode.
+    this.modals.settings.element('multi-objective').addEventListener('click',
+        () => UI.toggleObjectivesButton());
+    this.modals.settings.element('objectives-btn').addEventListener('click',
+        () => UI.showObjectivesDialog());
+
+    // Make objectives modal elements responsive.
+    this.modals.objectives.ok.addEventListener('click',
+        () => UI.updateObjectives());
+    this.modals.objectives.cancel.addEventListener('click',
+        () => UI.modals.objectives.hide());
 
     // Make solver modal elements responsive.
     this.modals.solver.ok.addEventListener('click',
         () => UI.updateSolverPreferences());
     this.modals.solver.cancel.addEventListener('click',
         () => UI.modals.solver.hide());
+    this.modals.solver.element('profile').addEventListener('input',
+        () => UI.changeSolverProfile());
+    this.modals.solver.element('profile-delete-btn').addEventListener('click',
+        () => UI.deleteSolverProfile());
 
     // Make server modal elements responsive.
     this.modals.server.ok.addEventListener('click',
@@ -1165,6 +1190,9 @@ class GUIController extends Controller {
     this.modals.process.element('UB-x').addEventListener('click', eoxedit);
     this.modals.process.element('IL-x').addEventListener('click', eoxedit);
     this.modals.process.element('LCF-x').addEventListener('click', eoxedit);
+    this.modals.process.element('MUT-x').addEventListener('click', eoxedit);
+    this.modals.process.element('MDT-x').addEventListener('click', eoxedit);
+    this.modals.process.element('QC-x').addEventListener('click', eoxedit);
     // Processes can represent power grid elements.
     this.modals.process.element('grid-plate').addEventListener(
         'mouseenter', () => UI.showGridPlateMenu('process'));
@@ -1180,11 +1208,12 @@ class GUIController extends Controller {
     // Product stock box performs action => wait for box to update its state.
     document.getElementById('stock').addEventListener('click',
         () => setTimeout(() => UI.toggleProductStock(), 10));
-    // Products have 4 expression properties.
+    // Products have 5 expression properties.
     this.modals.product.element('LB-x').addEventListener('click', eoxedit);
     this.modals.product.element('UB-x').addEventListener('click', eoxedit);
     this.modals.product.element('IL-x').addEventListener('click', eoxedit);
     this.modals.product.element('P-x').addEventListener('click', eoxedit);
+    this.modals.product.element('QC-x').addEventListener('click', eoxedit);
     
     // Products have an import/export togglebox.
     this.modals.product.element('io').addEventListener('click',
@@ -1604,7 +1633,8 @@ class GUIController extends Controller {
 
   loginPrompt() {
     // Show the server logon modal.
-    this.modals.logon.element('name').value = SOLVER.user_id;
+    // NOTE: When the session has expired, the user name is known.
+    this.modals.logon.element('name').value = VM.solver_user || SOLVER.user_id;
     this.modals.logon.element('password').value = '';
     this.modals.logon.show('password');
   }
@@ -4162,12 +4192,21 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     md.element('period-end').value = model.end_period;
     md.element('block-length').value = model.block_length;
     md.element('look-ahead').value = model.look_ahead;
+    md.element('representative-periods').value =
+        model.representative_periods;
+    md.element('aggregation-period').value = model.aggregation_period;
+    md.element('aggregation-method').value = model.aggregation_method;
+    md.element('random-seed').value =
+        (model.random_seed > 0 ? model.random_seed : '');
     md.element('time-limit').value = model.timeout_period;
     this.setBox('settings-decimal-comma', model.decimal_comma);
     this.setBox('settings-align-to-grid', model.align_to_grid);
     this.setBox('settings-block-arrows', model.show_block_arrows);
     this.setBox('settings-diagnose', model.always_diagnose);
     this.setBox('settings-power', model.with_power_flow);
+    this.setBox('settings-multi-objective', model.multi_objective);
+    md.element('objectives-btn').style.display =
+        (model.multi_objective ? 'inline-block' : 'none');
     this.setBox('settings-cost-prices', model.infer_cost_prices);
     this.setBox('settings-report-results', model.report_results);
     this.setBox('settings-encrypt', model.prompt_to_encrypt);
@@ -4216,6 +4255,25 @@ console.log('HERE name conflicts', name_conflicts, mapping);
       md.element('look-ahead').focus();
       return false;
     }
+    const rp = this.validNumericInput('settings-representative-periods',
+        'number of representative periods');
+    if(rp === false) return false;
+    if(rp < 1 || rp !== Math.round(rp)) {
+      this.warn('Number of representative periods must be a positive integer');
+      md.element('representative-periods').focus();
+      return false;
+    }
+    // NOTE: An empty random seed field means "new seed for each run".
+    let rs = 0;
+    if(md.element('random-seed').value.trim()) {
+      rs = this.validNumericInput('settings-random-seed', 'random seed');
+      if(rs === false) return false;
+      if(rs < 0 || rs !== Math.round(rs)) {
+        this.warn('Random seed must be a non-negative integer');
+        md.element('random-seed').focus();
+        return false;
+      }
+    }
     const tl = UI.validNumericInput('settings-time-limit', 'solver time limit');
     if(tl === false) return false;
     if(tl < 0) {
@@ -4261,7 +4319,9 @@ console.log('HERE name conflicts', name_conflicts, mapping);
       model.ignore_grid_capacity = false;
       model.ignore_KVL = false;
       model.ignore_power_losses = false;
+      model.contingency_analysis = '';
     }
+    model.multi_objective = UI.boxChecked('settings-multi-objective');
     cb = UI.boxChecked('settings-cost-prices');
     redraw = redraw || cb !== model.infer_cost_prices;
     model.infer_cost_prices = cb;
@@ -4285,6 +4345,12 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     model.block_length = Math.floor(bl);
     reset = reset || (la != model.look_ahead);
     model.look_ahead = Math.floor(la);
+    // NOTE: Time aggregation does not affect vector length, as results
+    // are disaggregated onto the full time axis after the run.
+    model.representative_periods = rp;
+    model.aggregation_period = md.element('aggregation-period').value;
+    model.aggregation_method = md.element('aggregation-method').value;
+    model.random_seed = rs;
     // Solver settings do not affect vector length
     model.timeout_period = tl;
     // Update currencies in other dialogs
@@ -4323,6 +4389,52 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     }
   }
   
+  toggleObjectivesButton() {
+    // Responds to clicking the "multiple objectives" checkbox by toggling
+    // the "View/edit objectives" button.
+    const
+        cb = this.modals.settings.element('multi-objective'),
+        ob = this.modals.settings.element('objectives-btn');
+    // NOTE: When clicked, state has not been updated yet. 
+    if(cb.classList.contains('clear')) {
+      ob.style.display = 'inline-block';
+    } else {
+      ob.style.display = 'none';
+    }
+  }
+  
+  // Objectives modal
+  
+  showObjectivesDialog() {
+    const md = this.modals.objectives;
+    md.element('lines').value = MODEL.objectives.join('\n');
+    md.show('lines');
+  }
+  
+  updateObjectives() {
+    // Validate the objectives, and if all are valid, store them in their
+    // canonical form.
+    const
+        md = this.modals.objectives,
+        ol = [];
+    for(const line of md.element('lines').value.split('\n')) {
+      if(line.trim()) {
+        const o = MODEL.parseObjective(line);
+        if(typeof o === 'string') {
+          md.element('lines').focus();
+          UI.warn(o);
+          return false;
+        }
+        ol.push(o.text);
+      }
+    }
+    if(ol.length === 1) {
+      UI.notify('Multi-objective mode requires at least 2 objectives');
+    }
+    MODEL.objectives = ol;
+    md.hide();
+  }
+  
   // Solver preferences modal
   
   showSolverPreferencesDialog() {
@@ -4339,9 +4451,109 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     md.element('mip-gap').value = MODEL.MIP_gap;
     this.setBox('solver-no-semi-continuous', MODEL.no_semi_continuous);
     this.setBox('solver-show-notices', MODEL.show_notices);
+    this.setBox('solver-warm-start', MODEL.warm_start);
+    this.setBox('solver-compute-duals', MODEL.compute_duals);
+    this.setBox('solver-readable-lp', MODEL.readable_lp);
+    // Solver profiles are edited as a copy, so that changes take effect
+    // only when the modeler clicks OK.
+    md.profiles = {};
+    for(const k of Object.keys(MODEL.solver_profiles)) {
+      md.profiles[k] = MODEL.solver_profiles[k].parameters;
+    }
+    md.profile = MODEL.solver_profile;
+    md.element('profile').value = md.profile;
+    this.updateSolverProfileList();
+    this.showSolverProfile();
     md.show();
   }
   
+  updateSolverProfileList() {
+    // Update the HTML datalist element to reflect all solver profiles.
+    const
+        pl = [],
+        keys = Object.keys(this.modals.solver.profiles).sort(ciCompare);
+    for(const k of keys) pl.push(`<option value="${k}">`);
+    document.getElementById('solver-profiles-data').innerHTML = pl.join('');
+  }
+  
+  showSolverProfile() {
+    // Set the profile parameter fields of the solver preferences dialog
+    // to the values of the profile being edited (if any).
+    const
+        md = this.modals.solver,
+        p = md.profiles[md.profile];
+    md.element('profile-row').style.display = (md.profile ? '' : 'none');
+    md.element('profile-delete-btn').style.display =
+        (p ? 'inline-block' : 'none');
+    // NOTE: A new profile "inherits" the values of the fields.
+    if(!p) return;
+    md.element('threads').value = (p.threads > 0 ? p.threads : '');
+    md.element('presolve').value = p.presolve;
+    md.element('seed').value = (p.seed >= 0 ? p.seed : '');
+    md.element('mip-focus').value = p.mip_focus;
+    md.element('lp-method').value = p.lp_method;
+    md.element('barrier-tol').value = (p.barrier_tol > 0 ? p.barrier_tol : '');
+  }
+  
+  solverProfileFields() {
+    // Return the parameters of the profile being edited as an object,
+    // or FALSE if the fields of the solver preferences dialog contain
+    // invalid input.
+    const
+        md = this.modals.solver,
+        p = {
+            threads: 0,
+            presolve: parseInt(md.element('presolve').value),
+            seed: -1,
+            mip_focus: parseInt(md.element('mip-focus').value),
+            lp_method: parseInt(md.element('lp-method').value),
+            barrier_tol: 0
+          };
+    if(md.element('threads').value.trim()) {
+      p.threads = this.validNumericInput('solver-threads', 'number of threads');
+      if(p.threads === false) return false;
+      p.threads = Math.max(0, Math.round(p.threads));
+    }
+    if(md.element('seed').value.trim()) {
+      p.seed = this.validNumericInput('solver-seed', 'random seed');
+      if(p.seed === false) return false;
+      p.seed = Math.max(0, Math.round(p.seed));
+    }
+    if(md.element('barrier-tol').value.trim()) {
+      p.barrier_tol = this.validNumericInput('solver-barrier-tol',
+          'barrier tolerance');
+      if(p.barrier_tol === false) return false;
+      p.barrier_tol = Math.max(0, Math.min(0.1, p.barrier_tol));
+    }
+    return p;
+  }
+  
+  changeSolverProfile() {
+    // Respond to input in the profile name field of the solver preferences
+    // dialog by showing the parameters of the profile having this name.
+    const
+        md = this.modals.solver,
+        name = md.element('profile').value.trim();
+    if(name === md.profile) return;
+    // Preserve the edits made to an existing profile.
+    if(md.profiles[md.profile]) {
+      const p = this.solverProfileFields();
+      if(p) md.profiles[md.profile] = p;
+    }
+    md.profile = name;
+    this.showSolverProfile();
+  }
+  
+  deleteSolverProfile() {
+    // Remove the profile being edited from the profile list.
+    const md = this.modals.solver;
+    delete md.profiles[md.profile];
+    md.profile = '';
+    md.element('profile').value = '';
+    this.updateSolverProfileList();
+    this.showSolverProfile();
+  }
+  
   updateSolverPreferences() {
     // Set values for solver preferences.
     const
@@ -4357,6 +4569,11 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     if(mg.value.trim()) mgap = UI.validNumericInput('solver-mip-gap',
         'relative MIP gap');
     if(mgap === false) return false;
+    if(md.profile) {
+      const p = this.solverProfileFields();
+      if(!p) return false;
+      md.profiles[md.profile] = p;
+    }
     // Modify solver preferences for the current model.
     const ps = md.element('preference').value;
     if(ps !== MODEL.preferred_solver) {
@@ -4369,6 +4586,15 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     MODEL.MIP_gap = Math.max(0, Math.min(0.5, mgap));
     MODEL.no_semi_continuous = this.boxChecked('solver-no-semi-continuous');
     MODEL.show_notices = this.boxChecked('solver-show-notices');
+    MODEL.warm_start = this.boxChecked('solver-warm-start');
+    MODEL.compute_duals = this.boxChecked('solver-compute-duals');
+    MODEL.readable_lp = this.boxChecked('solver-readable-lp');
+    // Replace the solver profiles by the edited ones.
+    MODEL.solver_profiles = {};
+    for(const k of Object.keys(md.profiles)) {
+      Object.assign(MODEL.addSolverProfile(k), md.profiles[k]);
+    }
+    MODEL.solver_profile = md.profile;
     // Close the dialog.
     md.hide();
   }
@@ -4451,7 +4677,7 @@ console.log('HERE name conflicts', name_conflicts, mapping);
         md = this.modals.process,
         plate = md.element('grid-plate'),
         overlay = md.element('grid-overlay'),
-        notab = ['LB', 'IL', 'LCF'],
+        notab = ['LB', 'IL', 'LCF', 'MUT', 'MDT', 'QC'],
         pg = MODEL.powerGridByID(md.grid_id);
     if(pg) {
       plate.className = 'grid-kV-plate';
@@ -4526,6 +4752,13 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     p.pace = Math.floor(n);
     if(n - p.pace > VM.SIG_DIF_LIMIT) this.notify(
         'Level change frequency set to ' + p.pace);
+    // Minimum up and down times are expressed in time steps.
+    if(!this.updateExpressionInput(
+        'process-MUT', 'minimum up time', p.min_up_time)) return false;
+    if(!this.updateExpressionInput(
+        'process-MDT', 'minimum down time', p.min_down_time)) return false;
+    if(!this.updateExpressionInput(
+        'process-QC', 'quadratic cost', p.quadratic_cost)) return false;
     // At this point, all input has been validated, so entity properties
     // can be modified.
     p.equal_bounds = this.getEqualBounds('process-UB-equal');
@@ -4534,6 +4767,7 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     p.collapsed = this.boxChecked('process-collapsed');
     p.power_grid = MODEL.powerGridByID(md.grid_id);
     p.length_in_km = safeStrToFloat(md.element('length').value, 0);
+    p.contingency = this.boxChecked('process-contingency');
     if(md.group.length > 1) {
       // Redraw the entire diagram, as multiple processes may have changed.
       md.updateModifiedProperties(p);
@@ -4587,8 +4821,14 @@ console.log('HERE name conflicts', name_conflicts, mapping);
         ub = document.getElementById('product-UB'),
         il = document.getElementById('product-IL'),
         lbl = document.getElementById('product-IL-lbl'),
-        edx = document.getElementById('product-IL-x');
-    if(this.boxChecked('product-stock')) {
+        edx = document.getElementById('product-IL-x'),
+        stock = this.boxChecked('product-stock');
+    // The "cyclic" and "free initial level" options apply only to stocks.
+    document.getElementById('product-cyclic-div').style.display =
+        (stock ? 'block' : 'none');
+    document.getElementById('product-free-IL-div').style.display =
+        (stock ? 'block' : 'none');
+    if(stock) {
       // Set lower bound to 0 unless already specified.
       if(!lb.value.trim()) lb.value = 0;
       if(!il.value.trim()) il.value = 0;
@@ -4647,6 +4887,8 @@ console.log('HERE name conflicts', name_conflicts, mapping);
         p.initial_level)) return false;
     if(!this.updateExpressionInput('product-P', 'market price',
         p.price)) return false;
+    if(!this.updateExpressionInput('product-QC', 'quadratic cost',
+        p.quadratic_cost)) return false;
     // If product is constrained, its upper bound must be defined.
     if(!p.upper_bound.defined) {
       const c = MODEL.isConstrained(p);
@@ -4667,6 +4909,8 @@ console.log('HERE name conflicts', name_conflicts, mapping);
       // NOTE: Do not unset `is_data` if product has ingoing data arrows.
       p.is_data = p.hasDataInputs || this.boxChecked('product-data');
       p.is_buffer = stock;
+      p.is_cyclic = stock && this.boxChecked('product-cyclic');
+      p.free_initial_level = stock && this.boxChecked('product-free-IL');
       // NOTE: Integer constraint will typically not work because cash
       // flows are scaled when setting up the Simplex tableau, and hence
       // the values of their decision variable will differ from their
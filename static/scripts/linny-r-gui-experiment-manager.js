@@ -1035,7 +1035,7 @@ class GUIExperimentManager extends ExperimentManager {
                   ' ' + pluralS(r.warning_count, 'warning') + '. ' : '');
           cell.title = ['Run #', i, ' (', r.time_steps, ' time steps of ',
               r.time_step_duration, ' h) took ', rdts, ' s. Solver used ', ss, ' s',
-              ssp, '.', w, (rr ? `
+              ssp, '.', w, (r.seed ? ` Random seed ${r.seed}.` : ''), (rr ? `
 N = ${rr.N}, vector length = ${rr.vector.length}` : '')].join(''); 
           if(r.warning_count > 0) cell.classList.add('warnings');
         }
@@ -1236,11 +1236,11 @@ N = ${rr.N}, vector length = ${rr.vector.length}` : '')].join('');
     const
         x = this.selected_experiment,
         md = this.iterator_modal,
-        il = ['i', 'j', 'k'];
+        il = ['i', 'j', 'k', 'e'];
     if(x) {
-      // NOTE: there are always 3 iterators (i, j k) so these have fixed
-      // FROM and TO input fields in the dialog.
-      for(let i = 0; i < 3; i++) {
+      // NOTE: there are always 4 iterators (i, j, k and e) so these have
+      // fixed FROM and TO input fields in the dialog.
+      for(let i = 0; i < 4; i++) {
         const k = il[i];
         md.element(k + '-from').value = x.iterator_ranges[i][0];
         md.element(k + '-to').value = x.iterator_ranges[i][1];
@@ -1257,11 +1257,11 @@ N = ${rr.N}, vector length = ${rr.vector.length}` : '')].join('');
       // First validate all input fields (must be integer values).
       // NOTE: Test using a copy so as not to overwrite values until OK.
       const
-          il = ['i', 'j', 'k'],
-          ir = [[0, 0], [0, 0], [0, 0]],
+          il = ['i', 'j', 'k', 'e'],
+          ir = [[0, 0], [0, 0], [0, 0], [0, 0]],
           re = /^[\+\-]?[0-9]+$/;
       let el, f, t;
-      for(let i = 0; i < 3; i++) {
+      for(let i = 0; i < 4; i++) {
         const k = il[i];
         el = md.element(k + '-from');
         f = el.value.trim() || '0';
@@ -1272,20 +1272,27 @@ N = ${rr.N}, vector length = ${rr.vector.length}` : '')].join('');
         }
         // NULL value signals that field inputs are valid.
         if(el === null) {
-          ir[i] = [f, t];
+          ir[i] = [parseInt(f), parseInt(t)];
         } else {
           el.focus();
           UI.warn('Iterator range limits must be integers (or default to 0)');
           return;
         }
       }
+      // The Pareto sweep iterator must count up from a non-negative number.
+      const er = ir[3];
+      if(er[0] < 0 || er[1] < er[0]) {
+        md.element('e-from').focus();
+        UI.warn('Pareto sweep range must be non-negative and ascending');
+        return;
+      }
       // Input validated, so modify the iterator dimensions (if altered).
       let altered = false;
-      for(let r = 0; r < 3; r++) {
+      for(let r = 0; r < 4; r++) {
         const
             or = x.iterator_ranges[r],
             nr= ir[r];
-        altered = or[0] !== nr[0] || or[1] !== nr[1]; 
+        altered = altered || or[0] !== nr[0] || or[1] !== nr[1]; 
       }
       if(altered) {
         x.iterator_ranges = ir;
@@ -949,6 +949,7 @@ class Finder {
         let atcodes = VM.attribute_codes[etl];
         if(!MODEL.solved) atcodes = complement(atcodes, VM.level_based_attr);
         if(!MODEL.infer_cost_prices) atcodes = complement(atcodes, ['CP', 'HCP', 'SOC']);
+        if(!MODEL.compute_duals) atcodes = complement(atcodes, ['MP', 'RC']);
         for(const ac of atcodes) data[ac] = [];
         for(const ed of data_list) {
           for(const ac of atcodes) {
@@ -53,6 +53,11 @@ class GUIMonitor {
     this.variables_text = document.getElementById('monitor-vbl');
     this.equations_tab = document.getElementById('monitor-eqs-tab');
     this.equations_text = document.getElementById('monitor-eqs');
+    this.iis_tab = document.getElementById('monitor-iis-tab');
+    this.iis_div = document.getElementById('monitor-iis');
+    this.log_tab = document.getElementById('monitor-log-tab');
+    this.log_plot = document.getElementById('monitor-log-plot');
+    this.log_text = document.getElementById('monitor-log-text');
     this.progress_bar = document.getElementById('monitor-progress-bar');
 
     // Make toolbar buttons responsive.
@@ -64,12 +69,45 @@ class GUIMonitor {
         'click', () => MONITOR.updateContent('vbl'));
     this.equations_tab.addEventListener(
         'click', () => MONITOR.updateContent('eqs'));
+    this.iis_tab.addEventListener(
+        'click', () => MONITOR.updateContent('iis'));
+    this.log_tab.addEventListener(
+        'click', () => MONITOR.updateContent('log'));
+    document.getElementById('monitor-lp-btn').addEventListener(
+        'click', () => MONITOR.downloadBlockModel('lp'));
+    document.getElementById('monitor-json-btn').addEventListener(
+        'click', () => MONITOR.downloadBlockModel('json'));
+    document.getElementById('monitor-gams-btn').addEventListener(
+        'click', () => MONITOR.downloadBlockModel('gams'));
+    document.getElementById('monitor-ampl-btn').addEventListener(
+        'click', () => MONITOR.downloadBlockModel('ampl'));
 
     // Make close button of call stack dialog responsive.
     document.getElementById('call-stack-close-btn').addEventListener(
       'click', () => MONITOR.hideCallStack());
     
     this.shown_block = 0;
+    // When the server runs in multi-user mode, the user must log on.
+    this.authenticate = false;
+    // ID of the solver job for the block being solved (if any), and the
+    // range (in milliseconds) for the interval between status requests.
+    this.solver_job = '';
+    // Error message of the last invalid server response (if any).
+    this.response_error = '';
+    this.min_poll_interval = 20;
+    this.max_poll_interval = 1000;
+    // ID of the solver job that computes an IIS for an infeasible block,
+    // and the error message if this request failed.
+    this.iis_job = '';
+    this.iis_error = '';
+    // The solver log is streamed by the server while the solver is running.
+    // Lines beyond the maximum are discarded, as the full log is added to
+    // the block messages when the solver has finished.
+    this.log_source = null;
+    this.log_lines = [];
+    this.max_log_lines = 1000;
+    // Progress of the solver (time, incumbent, bound and gap).
+    this.log_progress = [];
     // Initially show the messages textarea.
     this.tab = 'vbl';
     this.updateContent('msg');
@@ -82,6 +120,14 @@ class GUIMonitor {
     this.messages_text.value = '';
     this.variables_text.value = '';
     this.equations_text.value = '';
+    this.iis_div.innerHTML = '';
+    this.iis_job = '';
+    this.iis_error = '';
+    this.closeSolverLog();
+    this.log_lines.length = 0;
+    this.log_progress.length = 0;
+    this.log_text.textContent = '';
+    this.drawGapPlot();
     // Clear the progress bar.
     while(this.progress_bar.firstChild) {
       this.progress_bar.removeChild(this.progress_bar.lastChild);
@@ -165,6 +211,8 @@ class GUIMonitor {
   updateDialog() {
     // Implements default behavior for a draggable/resizable dialog.
     this.updateContent(this.tab);
+    // The gap plot must be redrawn when the dialog has been resized.
+    if(this.tab === 'log') this.drawGapPlot();
   }
   
   updateContent(tab) {
@@ -190,6 +238,7 @@ class GUIMonitor {
       }
       this.equations_text.value = eqs;
     }
+    this.iis_div.innerHTML = this.infeasibilityReport(b);
     // Show the text area for the selected tab.
     if(this.tab !== tab) {
       let mt = 'monitor-' + this.tab;
@@ -199,6 +248,263 @@ class GUIMonitor {
       mt = 'monitor-' + this.tab;
       document.getElementById(mt).style.display = 'block';
       document.getElementById(mt + '-tab').classList.add('sel-tab');
+      // NOTE: The gap plot can be sized only when it is visible.
+      if(tab === 'log') this.drawGapPlot();
+    }
+  }
+
+  infeasibilityReport(b) {
+    // Return HTML for the infeasibility tab for block `b`.
+    if(!VM.iis_reports.hasOwnProperty(b)) {
+      return (this.block_count === 0 ? VM.SELECT_BLOCK :
+          `Block #${b} is not infeasible`);
+    }
+    const report = VM.iis_reports[b];
+    if(!report) {
+      if(this.iis_job) return 'Computing IIS...';
+      if(!VM.supportsIIS) {
+        return `Block #${b} is infeasible, but ${VM.solver_names[VM.solver_id]}` +
+            ' cannot explain why';
+      }
+      // NOTE: If the previous request failed, show why, so that the
+      // modeler can try again.
+      return `Block #${b} is infeasible<br>` +
+          (this.iis_error ? '<em>' + this.iis_error.replaceAll('<', '&lt;') +
+              '</em><br>' : '') +
+          '<div class="iis-btn" ' +
+          `onclick="MONITOR.explainInfeasibility(${b});" ` +
+          'title="Ask solver for an irreducible infeasible subsystem (IIS)">' +
+          'Explain infeasibility</div>';
+    }
+    if(!report.length) return `No IIS found for block #${b}`;
+    // NOTE: Entity names and equations may contain < and >.
+    const
+        safe = (s) => s.replaceAll('&', '&amp;').replaceAll('<', '&lt;')
+            .replaceAll('>', '&gt;'),
+        html = [`Infeasibility of block #${b} is explained by ` +
+            pluralS(report.length, 'constraint or bound',
+                'constraints and bounds') + ':'];
+    for(const item of report) {
+      const links = [];
+      for(const e of item.entities) {
+        links.push('<span class="iis-entity" onclick="MONITOR.revealEntity(\'' +
+            e.identifier + '\');">' + safe(e.displayName) + '</span>');
+      }
+      html.push('<div class="iis-item">' + links.join('') + '<br>' +
+          safe(item.text) + '</div>');
+    }
+    return html.join('');
+  }
+
+  explainInfeasibility(b) {
+    // Ask the server to have the solver compute an irreducible infeasible
+    // subsystem (IIS) for block `b`.
+    // NOTE: The model equations for this block are in LP format, as only
+    // solvers that read this format can compute an IIS.
+    if(this.iis_job || !VM.equations[b - 1]) return;
+    this.iis_job = 'pending';
+    this.iis_error = '';
+    this.updateContent('iis');
+    fetch('solver/', postData({
+          action: 'solve',
+          user: VM.solver_user,
+          token: VM.solver_token,
+          block: b,
+          round: '',
+          data: VM.equations[b - 1],
+          solver: VM.solver_id,
+          timeout: MODEL.timeout_period,
+          iis: true
+        }))
+      .then(UI.fetchText)
+      .then((data) => {
+          const jsr = this.parseSolverResponse(data, false);
+          if(jsr) {
+            this.iis_job = jsr.job;
+            this.pollSolverJob(jsr.job, this.min_poll_interval,
+                (result, err) => {
+                    if(err) {
+                      this.iisRequestFailed(b, err);
+                      return;
+                    }
+                    this.iis_job = '';
+                    if(!result) return;
+                    if(result.error) {
+                      VM.logMessage(b, 'Solver error: ' + result.error);
+                      UI.alert(result.error);
+                    }
+                    VM.iisReport(b, result.iis);
+                    this.updateContent('iis');
+                  });
+          } else {
+            this.iisRequestFailed(b, this.response_error);
+          }
+        })
+      .catch((err) => this.iisRequestFailed(b,
+          'SERVER ERROR: ' + ellipsedText(err.toString())));
+  }
+
+  iisRequestFailed(b, msg) {
+    // Report error message `msg` for the IIS request for block `b`.
+    // NOTE: The run has finished, so a failed request is reported only
+    // in the infeasibility tab.
+    this.iis_job = '';
+    this.iis_error = msg;
+    VM.logMessage(b, msg);
+    this.updateContent('iis');
+  }
+
+  downloadBlockModel(format) {
+    // Save the model of the last block that was set up by the VM as a
+    // file in the specified format (LP, JSON, GAMS or AMPL).
+    if(!VM.blockModelAvailable) {
+      UI.notify('No block model to download -- keep the Monitor open ' +
+          'while solving to retain the model of the last block');
+      return;
+    }
+    let data,
+        ext,
+        type = 'text/plain';
+    if(format === 'lp') {
+      data = VM.blockModelAsLP();
+      ext = '.lp';
+    } else if(format === 'json') {
+      data = JSON.stringify(VM.blockModelData(), null, 1);
+      ext = '.json';
+      type = 'application/json';
+    } else if(format === 'gams') {
+      data = VM.blockModelAsGAMS();
+      ext = '.gms';
+    } else {
+      data = VM.blockModelAsAMPL();
+      ext = '.mod';
+    }
+    const
+        blob = new Blob([data], {type: type + ';charset=utf-8'}),
+        e = document.getElementById('block-saver');
+    e.download = (FILE_MANAGER.asFilePath(MODEL.name, true) || 'model') +
+        '-block-' + VM.tableau_block + VM.tableau_round + ext;
+    e.type = type;
+    e.href = (window.URL || webkitURL).createObjectURL(blob);
+    e.click();
+  }
+
+  streamSolverLog(job) {
+    // Display the log of solver job `job` while the solver is running.
+    // NOTE: The server pushes new log lines as server-sent events.
+    this.closeSolverLog();
+    this.log_lines.length = 0;
+    this.log_progress.length = 0;
+    this.log_text.textContent = '';
+    this.drawGapPlot();
+    if(typeof EventSource === 'undefined') return;
+    const es = new EventSource('solver-log?' +
+        new URLSearchParams({job: job, token: VM.solver_token}));
+    es.onmessage = (event) => {
+        let log = null;
+        try {
+          log = JSON.parse(event.data);
+        } catch(err) {
+          console.log('WARNING: Invalid solver log data', event.data);
+          return;
+        }
+        this.addLogLines(log.lines);
+        if(log.progress.length) {
+          this.log_progress.push(...log.progress);
+          this.drawGapPlot();
+        }
+      };
+    es.addEventListener('done', () => this.closeSolverLog());
+    // NOTE: Close the stream on error, as otherwise the browser will keep
+    // trying to reconnect.
+    es.onerror = () => this.closeSolverLog();
+    this.log_source = es;
+  }
+  
+  closeSolverLog() {
+    // Stop listening to the solver log stream (if any).
+    if(this.log_source) {
+      this.log_source.close();
+      this.log_source = null;
+    }
+  }
+  
+  addLogLines(lines) {
+    // Append `lines` to the solver log, and scroll to its end.
+    this.log_lines.push(...lines);
+    if(this.log_lines.length > this.max_log_lines) {
+      this.log_lines.splice(0, this.log_lines.length - this.max_log_lines);
+    }
+    const lt = this.log_text;
+    lt.textContent = this.log_lines.join('\n');
+    lt.scrollTop = lt.scrollHeight;
+  }
+  
+  drawGapPlot() {
+    // Draw the relative MIP gap as function of the solver time.
+    const
+        lp = this.log_plot,
+        w = lp.clientWidth,
+        h = lp.clientHeight,
+        pts = this.log_progress.filter((p) => p.gap !== null);
+    // NOTE: Plot has no size while the solver log tab is not shown.
+    if(!w || !h) return;
+    if(!pts.length) {
+      lp.innerHTML = `<svg width="${w}" height="${h}"><text x="6" y="14" ` +
+          'fill="#808080">No MIP gap reported (yet)</text></svg>';
+      return;
+    }
+    const
+        last = pts[pts.length - 1],
+        // Scale the vertical axis to the largest gap, but at most 100%.
+        max_gap = Math.min(1, Math.max(...pts.map((p) => p.gap))) || 1,
+        max_t = Math.max(1, last.time),
+        // Margins for the axis labels.
+        ml = 40,
+        mb = 14,
+        pw = w - ml - 6,
+        ph = h - mb - 6,
+        x = (t) => (ml + pw * t / max_t).toFixed(1),
+        y = (g) => (6 + ph * (1 - Math.min(g, max_gap) / max_gap)).toFixed(1),
+        // Draw the gap as a step function, as it changes only when the
+        // solver reports new values.
+        steps = [`${x(pts[0].time)},${y(pts[0].gap)}`];
+    for(let i = 1; i < pts.length; i++) {
+      steps.push(`${x(pts[i].time)},${y(pts[i - 1].gap)}`,
+          `${x(pts[i].time)},${y(pts[i].gap)}`);
+    }
+    const
+        pct = (g) => (100 * g).toPrecision(3) + '%',
+        info = [`Gap: ${pct(last.gap)}`];
+    if(last.incumbent !== null) info.push('incumbent: ' + last.incumbent);
+    if(last.bound !== null) info.push('bound: ' + last.bound);
+    lp.innerHTML = `<svg width="${w}" height="${h}">` +
+        `<line x1="${ml}" y1="6" x2="${ml}" y2="${6 + ph}" stroke="Black"/>` +
+        `<line x1="${ml}" y1="${6 + ph}" x2="${ml + pw}" y2="${6 + ph}" ` +
+        'stroke="Black"/>' +
+        `<text x="${ml - 3}" y="12" text-anchor="end">${pct(max_gap)}</text>` +
+        `<text x="${ml - 3}" y="${6 + ph}" text-anchor="end">0%</text>` +
+        `<text x="${ml}" y="${h - 2}">0 s</text>` +
+        `<text x="${ml + pw}" y="${h - 2}" text-anchor="end">` +
+        `${max_t.toPrecision(3)} s</text>` +
+        `<polyline points="${steps.join(' ')}" fill="none" ` +
+        'stroke="#c00000" stroke-width="1.5"/>' +
+        `<text x="${ml + pw}" y="16" text-anchor="end">` +
+        `${info.join(', ')}</text></svg>`;
+  }
+
+  revealEntity(id) {
+    // Show entity `id` in the diagram.
+    const obj = MODEL.objectByID(id);
+    if(obj instanceof Product) {
+      // Products may appear in several clusters, so show the first one.
+      const pc = obj.productPositionClusters;
+      if(!pc.length) return;
+      UI.makeFocalCluster(pc[0]);
+      MODEL.select(obj);
+      UI.scrollIntoView(obj.shape.element.childNodes[0]);
+    } else if(obj) {
+      FINDER.reveal(id);
     }
   }
 
@@ -349,8 +655,8 @@ class GUIMonitor {
   connectToServer() {
     // Prompt for credentials if not connected yet.
     // NOTE: No authentication prompt if SOLVER.user_id in `linny-r-config.js`.
-    // is left blank.
-    if(!VM.solver_user) {
+    // is left blank, unless the server runs in multi-user mode.
+    if(!VM.solver_user && !this.authenticate) {
       VM.connected = false;
       VM.solver_token = 'local host';
       fetch('solver/', postData({
@@ -371,6 +677,12 @@ class GUIMonitor {
               VM.solver_list = jsr.solver_list;
               document.getElementById('host-logo').title  = svr;
               VM.connected = true;
+              // In multi-user mode, the user must log on to use the solver.
+              if(jsr.authenticate) {
+                this.authenticate = true;
+                VM.solver_token = '';
+                UI.loginPrompt();
+              }
               // NOTE: The server also passes properties for the File manager.
               FILE_MANAGER.separator = jsr.separator;
               FILE_MANAGER.setAutoSaveSettings(jsr.autosave);
@@ -433,10 +745,14 @@ class GUIMonitor {
             diagnose: VM.diagnose || MODEL.always_diagnose,
             timeout: top,
             inttol: MODEL.integer_tolerance,
-            mipgap: MODEL.MIP_gap
+            mipgap: MODEL.MIP_gap,
+            start: VM.start_values,
+            profile: MODEL.solverProfileParameters,
+            duals: MODEL.compute_duals && VM.supportsDuals
           });
     // Immediately free the memory taken up by VM.lines.
     VM.lines = '';
+    VM.start_values = '';
     fetch('solver/', pd)
       .then((response) => {
           if(!response.ok) {
@@ -447,35 +763,135 @@ class GUIMonitor {
           return response.text();
         })
       .then((data) => {
-          try {
-            VM.processServerResponse(JSON.parse(data));
-            // If no errors, solve next block (if any).
-            // NOTE: Use setTimeout so that this calling function returns,
-            // and browser can update its DOM to display progress.
-            setTimeout(() => VM.solveBlocks(), 1);
-          } catch(err) {
-            // Log details on the console.
-            console.log('ERROR while parsing JSON:', err);
-            console.log(data);
-            // Pass summary on to the browser.
-            const msg = 'ERROR: Unexpected data from server: ' +
-                ellipsedText(data);
-            this.logMessage(this.block_count, msg);
-            UI.alert(msg);
-            VM.stopSolving();
-            return;
+          // The server responds with the ID of the solver job for this
+          // block, so its results must be polled for.
+          const jsr = this.parseSolverResponse(data);
+          if(jsr) {
+            this.solver_job = jsr.job;
+            this.streamSolverLog(jsr.job);
+            this.pollSolverJob(jsr.job, this.min_poll_interval);
           }
         })
-      .catch((err) => {
-          console.log('ERROR on POST:', err);
-          const msg = 'SERVER ERROR: ' + ellipsedText(err.toString());
-          VM.logMessage(VM.block_count, msg);
-          UI.alert(msg);
-          VM.stopSolving();
-        });
+      .catch((err) => this.solverRequestFailed(err));
     pd.body = '';
     VM.logMessage(VM.block_count,
         `POSTing block #${bwr} took ${VM.elapsedTime} seconds.`);
   }
   
+  parseSolverResponse(data, stop=true) {
+    // Return the JSON object in `data`, or NULL if the server response
+    // is invalid or reports an error. By default, the VM then stops
+    // solving.
+    let jsr = null;
+    try {
+      jsr = JSON.parse(data);
+    } catch(err) {
+      // Log details on the console.
+      console.log('ERROR while parsing JSON:', err);
+      console.log(data);
+    }
+    // Pass summary on to the browser.
+    let msg = '';
+    this.response_error = '';
+    if(!jsr) {
+      msg = 'ERROR: Unexpected data from server: ' + ellipsedText(data);
+    } else if(jsr.error) {
+      msg = 'SERVER ERROR: ' + jsr.error;
+    }
+    if(msg) {
+      this.response_error = msg;
+      UI.alert(msg);
+      // When the session has expired, the user must log on again.
+      if(jsr && jsr.authenticate) {
+        VM.solver_token = '';
+        UI.loginPrompt();
+      }
+      if(stop) {
+        this.solver_job = '';
+        VM.logMessage(VM.block_count, msg);
+        VM.stopSolving();
+      }
+      return null;
+    }
+    return jsr;
+  }
+  
+  solverRequestFailed(err) {
+    // Standard CATCH function for solver requests.
+    console.log('ERROR on POST:', err);
+    const msg = 'SERVER ERROR: ' + ellipsedText(err.toString());
+    this.solver_job = '';
+    VM.logMessage(VM.block_count, msg);
+    UI.alert(msg);
+    VM.stopSolving();
+  }
+
+  pollSolverJob(job, interval, done=null) {
+    // Request the status of solver job `job` after `interval` milliseconds.
+    // NOTE: Small blocks are solved in a fraction of a second, so start
+    // with a short interval, and increase it while the solver is running.
+    // When `done` is a function, it is called with the job result (NULL
+    // if the job was aborted) instead of passing it on to the VM. If the
+    // request fails, `done` is called with NULL and the error message, as
+    // then the VM should not be stopped.
+    setTimeout(() => {
+        fetch('solver/', postData({
+              action: 'status',
+              user: VM.solver_user,
+              token: VM.solver_token,
+              job: job
+            }))
+          .then(UI.fetchText)
+          .then((data) => {
+              const jsr = this.parseSolverResponse(data, !done);
+              if(!jsr) {
+                if(done) done(null, this.response_error);
+                return;
+              }
+              if(done && (jsr.state === 'done' || jsr.state === 'aborted')) {
+                done(jsr.result || null);
+              } else if(jsr.state === 'done') {
+                this.solver_job = '';
+                VM.processServerResponse(jsr.result);
+                // If no errors, solve next block (if any).
+                // NOTE: Use setTimeout so that this calling function returns,
+                // and browser can update its DOM to display progress.
+                setTimeout(() => VM.solveBlocks(), 1);
+              } else if(jsr.state === 'aborted') {
+                this.solver_job = '';
+                VM.logMessage(VM.block_count, 'Solver process was aborted');
+                // NOTE: VM will have been halted, so this stops solving.
+                VM.solveBlocks();
+              } else {
+                this.pollSolverJob(job,
+                    Math.min(this.max_poll_interval, interval * 1.5), done);
+              }
+            })
+          .catch((err) => {
+              if(done) {
+                done(null, 'SERVER ERROR: ' + ellipsedText(err.toString()));
+              } else {
+                this.solverRequestFailed(err);
+              }
+            });
+      }, interval);
+  }
+  
+  abortSolverJob() {
+    // Request the server to abort the running solver job (if any).
+    if(!this.solver_job) return;
+    fetch('solver/', postData({
+          action: 'abort',
+          user: VM.solver_user,
+          token: VM.solver_token,
+          job: this.solver_job
+        }))
+      .then(UI.fetchText)
+      .then((data) => {
+          const jsr = this.parseSolverResponse(data);
+          if(jsr) UI.notify(`Solver job ${jsr.job} ${jsr.state}`);
+        })
+      .catch(UI.fetchCatch);
+  }
+  
 } // END of class GUIMonitor
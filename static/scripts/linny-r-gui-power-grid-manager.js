@@ -132,6 +132,8 @@ class GUIPowerGridManager extends PowerGridManager {
     UI.setBox('power-grids-capacity', MODEL.ignore_grid_capacity);
     UI.setBox('power-grids-KVL', MODEL.ignore_KVL);
     UI.setBox('power-grids-losses', MODEL.ignore_power_losses);
+    this.dialog.element('contingency').value = MODEL.contingency_analysis;
+    this.dialog.element('overloads').innerHTML = this.overloadTable;
     if(ss) UI.scrollIntoView(document.getElementById(ssid));
     const btns = 'power-grids-edit power-grids-delete';
     if(ss) {
@@ -146,6 +148,7 @@ class GUIPowerGridManager extends PowerGridManager {
     MODEL.ignore_grid_capacity = UI.boxChecked('power-grids-capacity');
     MODEL.ignore_KVL = UI.boxChecked('power-grids-KVL');
     MODEL.ignore_power_losses = UI.boxChecked('power-grids-losses');
+    MODEL.contingency_analysis = this.dialog.element('contingency').value;
     this.dialog.hide();
     const pg_btn = document.getElementById('settings-power-btn');
     if(MODEL.ignore_grid_capacity || MODEL.ignore_KVL || MODEL.ignore_power_losses) {
@@ -251,6 +254,31 @@ class GUIPowerGridManager extends PowerGridManager {
     }
   }
   
+  get overloadTable() {
+    // Return the results of the N-1 contingency analysis as HTML.
+    if(!(MODEL.solved && MODEL.contingency_analysis &&
+        this.contingencies.length)) return '';
+    if(!this.overloads.length) {
+      return '<em>No post-contingency overloads</em>';
+    }
+    const html = ['<table class="power-flow">',
+        '<tr><th>t</th><th>Outage</th><th>Overloaded</th>' +
+        '<th title="Post-contingency power flow">P</th>' +
+        '<th title="Line capacity">Limit</th></tr>'];
+    // NOTE: Limit the table to the first 500 overloads.
+    for(const o of this.overloads.slice(0, 500)) {
+      html.push(`<tr><td>${o.t}</td><td>${o.outage.displayName}</td>` +
+          `<td>${o.process.displayName}</td>` +
+          `<td>${VM.sig4Dig(o.flow)}</td><td>${VM.sig4Dig(o.limit)}</td></tr>`);
+    }
+    html.push('</table>');
+    if(this.overloads.length > 500) {
+      html.push(`<em>(${this.overloads.length - 500} more)</em>`);
+    }
+    return pluralS(this.overloads.length, 'post-contingency overload') +
+        ':' + html.join('');
+  }
+  
   cycleFlowTable(c) {
     // Return flows through cycle `c` as an HTML table.
     if(!MODEL.solved) return '';
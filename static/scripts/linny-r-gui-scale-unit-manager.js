@@ -54,6 +54,10 @@ class ScaleUnitManager {
         'click', () => SCALE_UNIT_MANAGER.new_scale_unit_modal.hide());
     this.scroll_area = this.dialog.element('scroll-area');
     this.table = this.dialog.element('table');
+    // Add the unit check modal.
+    this.check_modal = new ModalDialog('unit-check');
+    this.check_modal.close.addEventListener('click',
+        () => SCALE_UNIT_MANAGER.check_modal.hide());
   }
   
   get selectedUnitIsBaseUnit() {
@@ -76,6 +80,25 @@ class ScaleUnitManager {
     this.dialog.show();
   }
   
+  checkUnits() {
+    // Check the consistency of scale units in the current model, and list
+    // the issues (if any).
+    const
+        uc = new UnitChecker(MODEL),
+        issues = uc.check(),
+        html = [];
+    if(!issues.length) {
+      UI.notify('No unit inconsistencies found');
+      return;
+    }
+    for(const i of issues) {
+      html.push('<tr><td class="unit-check-subject">', uc.issueSubject(i),
+          '</td><td>', i.message, '</td></tr>');
+    }
+    this.check_modal.element('table').innerHTML = html.join('');
+    this.check_modal.show();
+  }
+
   updateDialog() {
     // Create the HTML for the scale units table and update the state
     // of the action buttons.
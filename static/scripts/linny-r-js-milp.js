@@ -0,0 +1,815 @@
+/*
+Linny-R is an executable graphical specification language for (mixed integer)
+linear programming (MILP) problems, especially unit commitment problems (UCP).
+The Linny-R language and tool have been developed by Pieter Bots at Delft
+University of Technology, starting in 2009. The project to develop a browser-
+based version started in 2017. See https://linny-r.org for more information.
+
+This JavaScript file (linny-r-js-milp.js) implements a MILP solver in pure
+JavaScript that Linny-R uses when no other solver has been installed on the
+computer where this software is running. It reads the model in the CPLEX LP
+format that the Linny-R VM writes from its Simplex tableau, and solves it by
+a bounded dual Simplex method plus branch-and-bound that also handles semi-
+continuous variables and special ordered sets (SOS1 and SOS2).
+
+NOTE: The solver keeps the complete tableau in memory, so it is suited only
+for small and medium-sized models.
+
+The MILPSolver runs this file as a child process, so that solving does not
+block the Linny-R server and can be aborted:
+
+  node linny-r-js-milp.js timeout inttol mipgap model solution log
+
+While solving, the process appends its messages (including periodic reports
+of its progress) to the log file. When done, it writes the solution as a JSON
+file, and exits with one of the status codes defined below.
+*/
+
+/*
+Copyright (c) 2017-2026 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+const fs = require('fs');
+
+// Class JSMILPSolver implements the built-in solver.
+class JSMILPSolver {
+  constructor(timeout=30, inttol=5e-7, mipgap=1e-4) {
+    this.timeout = timeout;
+    this.inttol = inttol;
+    this.mipgap = mipgap;
+    // Exit status codes (see also MILPSolver).
+    this.OPTIMAL = 0;
+    this.INFEASIBLE = 1;
+    this.UNBOUNDED = 2;
+    this.TIME_LIMIT = 3;
+    this.NO_SOLUTION = 4;
+    this.ERROR = 5;
+    // Bounds beyond +/- 1e20 are interpreted as infinite.
+    this.INFINITY = 1e20;
+    // Nonbasic variables without the finite bound they should be at
+    // are placed at this "artificial" bound.
+    this.BOX = 1e9;
+    // Tolerances for primal and dual feasibility, and for pivots.
+    this.PRIMAL_TOL = 1e-7;
+    this.DUAL_TOL = 1e-9;
+    this.PIVOT_TOL = 1e-9;
+    // Limit on the size of the tableau (number of cells).
+    this.MAX_CELLS = 2.5e7;
+    // Status codes of variables.
+    this.BASIC = 0;
+    this.AT_LOWER = 1;
+    this.AT_UPPER = 2;
+    this.FREE = 3;
+    this.messages = [];
+    // When a log file is specified, messages are also appended to it
+    // immediately, so that the solver progress can be monitored.
+    this.log_file = '';
+    // Interval (in milliseconds) for logging branch-and-bound progress.
+    this.PROGRESS_INTERVAL = 1000;
+  }
+
+  log(msg) {
+    // Add `msg` to the solver log.
+    this.messages.push(msg);
+    if(this.log_file) fs.appendFileSync(this.log_file, msg + '\n');
+  }
+
+  logProgress(nodes, inc_z, open, node) {
+    // Log the number of nodes explored so far, the incumbent objective,
+    // the best bound, and the relative gap (in %).
+    let lb = inc_z;
+    for(const n of open) lb = Math.min(lb, n.bound);
+    if(node) lb = Math.min(lb, node.bound);
+    const
+        sense = this.sense,
+        inc = (inc_z < Infinity ? sense * inc_z : '-'),
+        bnd = (lb > -Infinity && lb < Infinity ?
+            parseFloat((sense * lb).toPrecision(10)) : '-'),
+        gap = (inc_z < Infinity && lb > -Infinity ?
+            (100 * Math.abs(inc_z - lb) / Math.max(1, Math.abs(inc_z)))
+                .toPrecision(3) + '%' : '-');
+    this.log(`Nodes: ${nodes}, incumbent: ${inc}, bound: ${bnd}, gap: ${gap}`);
+  }
+
+  parseModel(lp) {
+    // Read the model in CPLEX LP format. Return FALSE if the format is
+    // not as expected.
+    // NOTE: Column index of each variable is stored in a dictionary.
+    this.names = [];
+    this.index = {};
+    this.obj_coef = {};
+    this.rows = [];
+    this.bounds = {};
+    this.integers = {};
+    this.binaries = {};
+    this.semi_continuous = {};
+    this.sos = [];
+    this.sense = -1;
+    const
+        col = (name) => {
+            if(!this.index.hasOwnProperty(name)) {
+              this.index[name] = this.names.length;
+              this.names.push(name);
+            }
+            return this.index[name];
+          },
+        value = (s) => {
+            const l = s.toLowerCase();
+            if(l === 'inf' || l === '+inf' || l === 'infinity' ||
+                l === '+infinity') return Infinity;
+            if(l === '-inf' || l === '-infinity') return -Infinity;
+            const v = parseFloat(s);
+            if(Math.abs(v) >= this.INFINITY) return (v > 0 ? Infinity : -Infinity);
+            return v;
+          },
+        isNum = (s) => !isNaN(parseFloat(s)) && isFinite(s),
+        ops = ['<=', '>=', '=', '<', '>', '=<', '=>'],
+        lines = lp.split(/\r?\n/);
+    let section = '',
+        tokens = [];
+    // Parse the tokens of the objective function and the constraints as
+    // a sequence of terms.
+    const parseTerms = () => {
+        let c = null,
+            sign = 1,
+            coef = 1,
+            expect_rhs = false;
+        for(const t of tokens) {
+          if(t.endsWith(':')) {
+            // Constraint names are not used.
+            continue;
+          }
+          if(!c) c = {coef: {}, op: '', rhs: 0};
+          if(expect_rhs) {
+            c.rhs = value(t);
+            this.rows.push(c);
+            c = null;
+            expect_rhs = false;
+          } else if(ops.indexOf(t) >= 0) {
+            c.op = (t.startsWith('<') || t.endsWith('<') ? '<=' :
+                (t.startsWith('>') || t.endsWith('>') ? '>=' : '='));
+            expect_rhs = true;
+          } else if(t === '+' || t === '-') {
+            sign = (t === '-' ? -1 : 1);
+          } else if(isNum(t)) {
+            coef = parseFloat(t);
+          } else {
+            let v = t;
+            if(v.startsWith('-') || v.startsWith('+')) {
+              if(v.startsWith('-')) sign = -sign;
+              v = v.substring(1);
+            }
+            const j = col(v);
+            c.coef[j] = (c.coef[j] || 0) + sign * coef;
+            sign = 1;
+            coef = 1;
+          }
+        }
+        tokens = [];
+        return c;
+      };
+    const headers = ['maximize', 'maximum', 'max', 'minimize', 'minimum',
+        'min', 'subject to', 'such that', 'st', 's.t.', 'bounds', 'binary',
+        'binaries', 'bin', 'general', 'generals', 'gen', 'semi-continuous',
+        'semis', 'semi', 'sos', 'end'];
+    for(const l of lines) {
+      const t = l.trim();
+      // Skip comments and empty lines.
+      if(!t || t.startsWith('\\')) continue;
+      const lt = t.toLowerCase();
+      // Constraint terms are parsed when their section ends.
+      if(section === 'rows' && headers.indexOf(lt) >= 0) parseTerms();
+      if(lt === 'maximize' || lt === 'maximum' || lt === 'max') {
+        section = 'obj';
+        this.sense = -1;
+      } else if(lt === 'minimize' || lt === 'minimum' || lt === 'min') {
+        section = 'obj';
+        this.sense = 1;
+      } else if(lt === 'subject to' || lt === 'such that' || lt === 'st' ||
+          lt === 's.t.') {
+        // Objective terms have been collected.
+        const c = parseTerms();
+        if(c) this.obj_coef = c.coef;
+        section = 'rows';
+      } else if(lt === 'bounds') {
+        section = 'bounds';
+      } else if(lt === 'binary' || lt === 'binaries' || lt === 'bin') {
+        section = 'binary';
+      } else if(lt === 'general' || lt === 'generals' || lt === 'gen') {
+        section = 'general';
+      } else if(lt === 'semi-continuous' || lt === 'semis' ||
+          lt === 'semi') {
+        section = 'semi';
+      } else if(lt === 'sos') {
+        section = 'sos';
+      } else if(lt === 'end') {
+        break;
+      } else if(section === 'obj' || section === 'rows') {
+        for(const tkn of t.split(/\s+/)) tokens.push(tkn);
+      } else if(section === 'bounds') {
+        this.parseBound(t, col, value);
+      } else if(section === 'binary' || section === 'general' ||
+          section === 'semi') {
+        for(const v of t.split(/\s+/)) {
+          const j = col(v);
+          if(section === 'binary') {
+            this.binaries[j] = true;
+          } else if(section === 'general') {
+            this.integers[j] = true;
+          } else {
+            this.semi_continuous[j] = true;
+          }
+        }
+      } else if(section === 'sos') {
+        // SOS lines have format "name: S1:: X001:1 X002:2 ...".
+        const m = t.match(/S([12])::(.*)$/);
+        if(!m) return false;
+        const set = {type: parseInt(m[1]), vars: [], weights: []};
+        for(const vw of m[2].trim().split(/\s+/)) {
+          const p = vw.split(':');
+          set.vars.push(col(p[0]));
+          set.weights.push(parseFloat(p[1]));
+        }
+        // Order the variables by their weights.
+        const order = set.vars.map((v, i) => i)
+            .sort((a, b) => set.weights[a] - set.weights[b]);
+        set.vars = order.map((i) => set.vars[i]);
+        this.sos.push(set);
+      }
+    }
+    return section !== '';
+  }
+
+  parseBound(t, col, value) {
+    // Parse bound line `t` that has one of the formats "X = v", "X free",
+    // "X <= v", "X >= v", "v <= X", "v >= X", or "v1 <= X <= v2".
+    const tkn = t.split(/\s+/);
+    if(tkn.length === 2 && tkn[1].toLowerCase() === 'free') {
+      this.bounds[col(tkn[0])] = [-Infinity, Infinity];
+      return;
+    }
+    const
+        isNum = (s) => !isNaN(value(s)),
+        setBound = (j, op, v) => {
+            // Bound `op` applies to the variable `j` on the left-hand side.
+            const b = this.bounds[j] || [0, Infinity];
+            if(op === '=') {
+              b[0] = v;
+              b[1] = v;
+            } else if(op.indexOf('<') >= 0) {
+              b[1] = v;
+            } else {
+              b[0] = v;
+            }
+            this.bounds[j] = b;
+          },
+        flip = (op) => (op.indexOf('<') >= 0 ? '>=' :
+            (op.indexOf('>') >= 0 ? '<=' : '='));
+    if(tkn.length === 3) {
+      if(isNum(tkn[0])) {
+        setBound(col(tkn[2]), flip(tkn[1]), value(tkn[0]));
+      } else {
+        setBound(col(tkn[0]), tkn[1], value(tkn[2]));
+      }
+    } else if(tkn.length === 5) {
+      const j = col(tkn[2]);
+      setBound(j, flip(tkn[1]), value(tkn[0]));
+      setBound(j, tkn[3], value(tkn[4]));
+    }
+  }
+
+  setupTableau() {
+    // Create the Simplex tableau for the parsed model. Return FALSE if it
+    // would be too large.
+    const
+        n = this.names.length,
+        m = this.rows.length,
+        N = n + m;
+    this.n = n;
+    this.m = m;
+    this.N = N;
+    if(m * N > this.MAX_CELLS) return false;
+    // Rows have one slack variable each: A x + s = b.
+    this.T = [];
+    this.beta = new Float64Array(m);
+    for(let i = 0; i < m; i++) {
+      const
+          r = this.rows[i],
+          row = new Float64Array(N);
+      for(const j in r.coef) if(r.coef.hasOwnProperty(j)) row[j] = r.coef[j];
+      row[n + i] = 1;
+      this.T.push(row);
+      this.beta[i] = r.rhs;
+    }
+    // Root bounds of all variables.
+    this.lo0 = new Float64Array(N);
+    this.up0 = new Float64Array(N);
+    for(let j = 0; j < n; j++) {
+      const b = this.bounds[j] || [0, Infinity];
+      this.lo0[j] = b[0];
+      this.up0[j] = b[1];
+      if(this.binaries[j]) {
+        this.lo0[j] = Math.max(0, this.lo0[j]);
+        this.up0[j] = Math.min(1, this.up0[j]);
+      }
+    }
+    // The lower bound of a semi-continuous variable applies only when
+    // it is non-zero, so the relaxation has lower bound 0.
+    this.sc_lower = {};
+    for(const j in this.semi_continuous) if(this.semi_continuous.hasOwnProperty(j)) {
+      this.sc_lower[j] = this.lo0[j];
+      this.lo0[j] = Math.min(0, this.lo0[j]);
+    }
+    for(let i = 0; i < m; i++) {
+      const op = this.rows[i].op;
+      this.lo0[n + i] = (op === '>=' ? -Infinity : 0);
+      this.up0[n + i] = (op === '<=' ? Infinity : 0);
+    }
+    this.lo = new Float64Array(this.lo0);
+    this.up = new Float64Array(this.up0);
+    // Costs are minimized, so for maximization the signs are reversed.
+    // NOTE: A small perturbation of the costs prevents stalling of the
+    // dual Simplex method when many reduced costs are zero. The size of
+    // this perturbation is derived from the column index (Knuth's
+    // multiplicative hash), so that solving a model is reproducible.
+    this.cost = new Float64Array(N);
+    let cmax = 0;
+    for(const j in this.obj_coef) if(this.obj_coef.hasOwnProperty(j)) {
+      this.cost[j] = this.sense * this.obj_coef[j];
+      cmax = Math.max(cmax, Math.abs(this.cost[j]));
+    }
+    const eps = 1e-7 * Math.max(1, cmax);
+    for(let j = 0; j < n; j++) {
+      const
+          c = this.cost[j],
+          h = (Math.imul(j + 1, 2654435761) >>> 0) / 4294967296,
+          p = eps * (0.5 + 0.5 * h);
+      if(c > 0) {
+        this.cost[j] += p;
+      } else if(c < 0) {
+        this.cost[j] -= p;
+      } else if(this.lo0[j] > -Infinity) {
+        this.cost[j] = p;
+      } else if(this.up0[j] < Infinity) {
+        this.cost[j] = -p;
+      }
+    }
+    // Initially, the slack variables form the basis.
+    this.head = new Int32Array(m);
+    this.pos = new Int32Array(N).fill(-1);
+    this.status = new Int8Array(N);
+    this.x = new Float64Array(N);
+    this.d = new Float64Array(this.cost);
+    for(let i = 0; i < m; i++) {
+      this.head[i] = n + i;
+      this.pos[n + i] = i;
+    }
+    return true;
+  }
+
+  placeNonbasic(j) {
+    // Set nonbasic variable `j` to the bound that keeps its reduced cost
+    // dual feasible, or to the "artificial" bound if that bound is infinite.
+    const
+        dj = this.d[j],
+        lo = this.lo[j],
+        up = this.up[j];
+    let st = this.status[j];
+    if(dj > this.DUAL_TOL) {
+      st = this.AT_LOWER;
+    } else if(dj < -this.DUAL_TOL) {
+      st = this.AT_UPPER;
+    } else if(st !== this.AT_LOWER && st !== this.AT_UPPER) {
+      st = (lo > -Infinity ? this.AT_LOWER :
+          (up < Infinity ? this.AT_UPPER : this.FREE));
+    } else if(st === this.AT_LOWER && lo === -Infinity && up < Infinity) {
+      st = this.AT_UPPER;
+    } else if(st === this.AT_UPPER && up === Infinity && lo > -Infinity) {
+      st = this.AT_LOWER;
+    }
+    this.status[j] = st;
+    if(st === this.AT_LOWER) {
+      this.x[j] = (lo > -Infinity ? lo : -this.BOX);
+    } else if(st === this.AT_UPPER) {
+      this.x[j] = (up < Infinity ? up : this.BOX);
+    } else {
+      this.x[j] = 0;
+    }
+  }
+
+  computePrimal() {
+    // Place all nonbasic variables, and compute the values of the basic
+    // variables.
+    const nz = [];
+    for(let j = 0; j < this.N; j++) if(this.pos[j] < 0) {
+      this.placeNonbasic(j);
+      if(this.x[j] !== 0) nz.push(j);
+    }
+    for(let i = 0; i < this.m; i++) {
+      const row = this.T[i];
+      let v = this.beta[i];
+      for(const j of nz) v -= row[j] * this.x[j];
+      this.x[this.head[i]] = v;
+    }
+  }
+
+  dualSimplex() {
+    // Solve the LP relaxation for the current bounds by the bounded dual
+    // Simplex method. Return the status of the LP.
+    const
+        m = this.m,
+        N = this.N,
+        T = this.T,
+        d = this.d,
+        x = this.x,
+        lo = this.lo,
+        up = this.up;
+    let iter = 0;
+    this.computePrimal();
+    for(;;) {
+      iter++;
+      this.iterations++;
+      if(iter % 25 === 0 && Date.now() > this.deadline) return this.TIME_LIMIT;
+      // Recompute basic variables now and then to limit round-off errors.
+      if(iter % 250 === 0) this.computePrimal();
+      // Select the basic variable with the largest bound violation.
+      let r = -1,
+          maxinf = 0,
+          dir = 0;
+      for(let i = 0; i < m; i++) {
+        const
+            j = this.head[i],
+            v = x[j],
+            tol = this.PRIMAL_TOL * (1 + Math.abs(v));
+        if(v < lo[j] - tol && lo[j] - v > maxinf) {
+          maxinf = lo[j] - v;
+          r = i;
+          dir = 1;
+        } else if(v > up[j] + tol && v - up[j] > maxinf) {
+          maxinf = v - up[j];
+          r = i;
+          dir = -1;
+        }
+      }
+      if(r < 0) break;
+      // Ratio test (two-pass, as proposed by Harris) to select the
+      // entering variable.
+      const row = T[r];
+      let theta_max = Infinity;
+      for(let j = 0; j < N; j++) {
+        if(this.pos[j] >= 0 || lo[j] === up[j]) continue;
+        const a = row[j];
+        if(a > -this.PIVOT_TOL && a < this.PIVOT_TOL) continue;
+        // Leaving variable changes by -a per unit increase of x[j].
+        const
+            g = -dir * a,
+            st = this.status[j];
+        if((st === this.AT_LOWER && g > 0) || (st === this.AT_UPPER && g < 0) ||
+            st === this.FREE) {
+          const t = (Math.abs(d[j]) + this.DUAL_TOL) / Math.abs(a);
+          if(t < theta_max) theta_max = t;
+        }
+      }
+      if(theta_max === Infinity) return this.INFEASIBLE;
+      let q = -1,
+          amax = 0;
+      for(let j = 0; j < N; j++) {
+        if(this.pos[j] >= 0 || lo[j] === up[j]) continue;
+        const a = row[j];
+        if(a > -this.PIVOT_TOL && a < this.PIVOT_TOL) continue;
+        const
+            g = -dir * a,
+            st = this.status[j];
+        if(((st === this.AT_LOWER && g > 0) || (st === this.AT_UPPER && g < 0) ||
+            st === this.FREE) && Math.abs(d[j]) / Math.abs(a) <= theta_max &&
+            Math.abs(a) > amax) {
+          amax = Math.abs(a);
+          q = j;
+        }
+      }
+      // Update the reduced costs.
+      const
+          jr = this.head[r],
+          aq = row[q],
+          theta_d = d[q] / aq;
+      if(theta_d !== 0) {
+        for(let j = 0; j < N; j++) if(row[j] !== 0) d[j] -= theta_d * row[j];
+      }
+      d[q] = 0;
+      // Update the primal values.
+      const
+          target = (dir > 0 ? lo[jr] : up[jr]),
+          theta_p = (x[jr] - target) / aq;
+      x[q] += theta_p;
+      for(let i = 0; i < m; i++) {
+        const a = T[i][q];
+        if(a !== 0) x[this.head[i]] -= theta_p * a;
+      }
+      x[jr] = target;
+      // Pivot on row `r` and column `q`.
+      this.pivot(r, q);
+      this.status[jr] = (dir > 0 ? this.AT_LOWER : this.AT_UPPER);
+      this.status[q] = this.BASIC;
+    }
+    // The solution is unbounded if it depends on an artificial bound.
+    for(let j = 0; j < N; j++) {
+      if(this.pos[j] < 0 && Math.abs(x[j]) === this.BOX &&
+          Math.abs(d[j]) > this.DUAL_TOL) return this.UNBOUNDED;
+    }
+    return this.OPTIMAL;
+  }
+
+  pivot(r, q) {
+    // Make variable `q` basic in row `r`.
+    const
+        T = this.T,
+        pr = T[r],
+        inv = 1 / pr[q],
+        nz = [];
+    for(let j = 0; j < this.N; j++) {
+      let v = pr[j];
+      if(v !== 0) {
+        v *= inv;
+        // Drop values that are (virtually) zero.
+        if(Math.abs(v) < 1e-13) {
+          pr[j] = 0;
+        } else {
+          pr[j] = v;
+          nz.push(j);
+        }
+      }
+    }
+    pr[q] = 1;
+    this.beta[r] *= inv;
+    const br = this.beta[r];
+    for(let i = 0; i < this.m; i++) {
+      if(i === r) continue;
+      const
+          row = T[i],
+          f = row[q];
+      if(f === 0) continue;
+      for(const j of nz) row[j] -= f * pr[j];
+      row[q] = 0;
+      this.beta[i] -= f * br;
+    }
+    const jr = this.head[r];
+    this.head[r] = q;
+    this.pos[q] = r;
+    this.pos[jr] = -1;
+  }
+
+  objectiveValue() {
+    // Return the value of the (unperturbed) objective function.
+    let z = 0;
+    for(const j in this.obj_coef) if(this.obj_coef.hasOwnProperty(j)) {
+      z += this.obj_coef[j] * this.x[j];
+    }
+    return z;
+  }
+
+  branchingOptions() {
+    // Return the bound changes [[j, lo, up], ...] for the preferred and
+    // for the other branch, or NULL if the LP solution is MILP-feasible.
+    const
+        x = this.x,
+        tol = this.inttol;
+    // First look for the most fractional integer variable.
+    let bj = -1,
+        bf = 0;
+    for(let j = 0; j < this.n; j++) {
+      if(this.binaries[j] || this.integers[j]) {
+        const f = Math.abs(x[j] - Math.round(x[j]));
+        if(f > tol && f > bf) {
+          bf = f;
+          bj = j;
+        }
+      }
+    }
+    if(bj >= 0) {
+      const
+          fl = Math.floor(x[bj]),
+          down = [[bj, this.lo[bj], fl]],
+          up = [[bj, fl + 1, this.up[bj]]];
+      return (x[bj] - fl < 0.5 ? [down, up] : [up, down]);
+    }
+    // Then check the semi-continuous variables.
+    for(const j in this.sc_lower) if(this.sc_lower.hasOwnProperty(j)) {
+      const
+          l = this.sc_lower[j],
+          v = x[j];
+      if(v > tol && v < l - tol * (1 + l)) {
+        const
+            zero = [[j, 0, 0]],
+            on = [[j, l, this.up[j]]];
+        return (v < 0.5 * l ? [zero, on] : [on, zero]);
+      }
+    }
+    // Finally check the special ordered sets.
+    for(const set of this.sos) {
+      let first = -1,
+          last = -1;
+      for(let k = 0; k < set.vars.length; k++) {
+        if(Math.abs(x[set.vars[k]]) > tol) {
+          if(first < 0) first = k;
+          last = k;
+        }
+      }
+      // SOS1 permits one non-zero variable, SOS2 two adjacent ones.
+      if(first >= 0 && last - first >= set.type) {
+        const
+            split = Math.floor((first + last) / 2),
+            left = [],
+            right = [];
+        for(let k = 0; k < set.vars.length; k++) {
+          const j = set.vars[k];
+          // Left branch keeps variables up to `split`, right branch those
+          // from `split` (SOS2) or from `split + 1` (SOS1).
+          if(k > split) left.push([j, Math.max(0, this.lo[j]), Math.min(0, this.up[j])]);
+          if(k < split + 2 - set.type) {
+            right.push([j, Math.max(0, this.lo[j]), Math.min(0, this.up[j])]);
+          }
+        }
+        return [left, right];
+      }
+    }
+    return null;
+  }
+
+  applyBounds(changes) {
+    // Reset bounds to the root bounds and then apply the bound changes.
+    // Return FALSE if some lower bound exceeds its upper bound.
+    this.lo.set(this.lo0);
+    this.up.set(this.up0);
+    for(const c of changes) {
+      this.lo[c[0]] = c[1];
+      this.up[c[0]] = c[2];
+      if(c[1] > c[2]) return false;
+    }
+    return true;
+  }
+
+  bestNode(open, pruned) {
+    // Remove and return the open node with the lowest bound, or NULL if
+    // no open nodes remain. Nodes that can be pruned are removed as well.
+    let best = -1;
+    for(let i = open.length - 1; i >= 0; i--) {
+      if(pruned(open[i].bound)) {
+        open.splice(i, 1);
+        if(best > i) best--;
+      } else if(best < 0 || open[i].bound < open[best].bound) {
+        best = i;
+      }
+    }
+    return (best < 0 ? null : open.splice(best, 1)[0]);
+  }
+
+  solve(lp) {
+    // Solve the MILP model `lp`, and return the result as an object.
+    const start = Date.now();
+    this.deadline = start + this.timeout * 1000;
+    this.iterations = 0;
+    const result = {status: this.ERROR, objective: 0, x: {}, seconds: 0};
+    if(!this.parseModel(lp)) {
+      result.message = 'Invalid model format';
+      this.log('ERROR: ' + result.message);
+      return result;
+    }
+    this.log(`Linny-R built-in MILP solver: ${this.rows.length} rows, ` +
+        `${this.names.length} columns, ` +
+        `${Object.keys(this.binaries).length + Object.keys(this.integers).length} ` +
+        `integer, ${Object.keys(this.semi_continuous).length} ` +
+        `semi-continuous, ${this.sos.length} SOS`);
+    if(!this.setupTableau()) {
+      result.message = 'Model is too large for the built-in solver';
+      this.log('ERROR: ' + result.message);
+      return result;
+    }
+    // Branch-and-bound that dives into the preferred child node, and
+    // when the dive ends, continues with the open node that has the best
+    // bound. Nodes are specified by their bound changes relative to the
+    // root, and the objective value (minimized) of their parent as bound.
+    const
+        open = [],
+        sense = this.sense;
+    let node = {changes: [], bound: -Infinity},
+        incumbent = null,
+        inc_z = Infinity,
+        nodes = 0,
+        status = this.OPTIMAL,
+        next_progress = start + this.PROGRESS_INTERVAL;
+    const pruned = (z) => z >= inc_z - this.mipgap * Math.max(1, Math.abs(inc_z));
+    while(node) {
+      const now = Date.now();
+      if(now > this.deadline) {
+        status = this.TIME_LIMIT;
+        break;
+      }
+      if(now > next_progress) {
+        this.logProgress(nodes, inc_z, open, node);
+        next_progress = now + this.PROGRESS_INTERVAL;
+      }
+      nodes++;
+      let child = null;
+      if(this.applyBounds(node.changes)) {
+        const lps = this.dualSimplex();
+        if(lps === this.TIME_LIMIT) {
+          status = lps;
+          break;
+        }
+        if(lps !== this.OPTIMAL) {
+          // Infeasible or unbounded nodes are reported only for the root.
+          if(nodes === 1) {
+            status = lps;
+            break;
+          }
+        } else {
+          const z = sense * this.objectiveValue();
+          if(!pruned(z)) {
+            const branches = this.branchingOptions();
+            if(!branches) {
+              inc_z = z;
+              incumbent = this.x.slice(0, this.n);
+              this.log(`Node ${nodes}: solution with objective ${sense * z}`);
+            } else {
+              open.push({changes: node.changes.concat(branches[1]), bound: z});
+              child = {changes: node.changes.concat(branches[0]), bound: z};
+            }
+          }
+        }
+      }
+      // Until a first solution has been found, backtrack depth-first;
+      // thereafter continue with the open node that has the best bound.
+      if(!child && !incumbent) child = open.pop() || null;
+      node = child || this.bestNode(open, pruned);
+    }
+    // Report the remaining gap.
+    if(incumbent) this.logProgress(nodes, inc_z, open, node);
+    result.seconds = (Date.now() - start) / 1000;
+    this.log(`Explored ${nodes} node(s) in ${this.iterations} iterations ` +
+        `and ${result.seconds} seconds`);
+    if(status === this.TIME_LIMIT) {
+      status = (incumbent ? this.TIME_LIMIT : this.NO_SOLUTION);
+    } else if(status === this.OPTIMAL && !incumbent) {
+      status = this.INFEASIBLE;
+    }
+    result.status = status;
+    result.message = ['Optimal solution found', 'The model is infeasible',
+        'The model is unbounded', 'Solver time limit exceeded',
+        'Solver time limit exceeded -- no solution found'][status];
+    this.log(result.message);
+    if(incumbent) {
+      result.objective = sense * inc_z;
+      for(let j = 0; j < this.n; j++) {
+        let v = incumbent[j];
+        if(this.binaries[j] || this.integers[j]) v = Math.round(v);
+        if(Math.abs(v) > 1e-9) result.x[this.names[j]] = v;
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = JSMILPSolver;
+
+if(require.main === module) {
+  // Run as child process: read the model file, solve it, and write the
+  // solution and log files.
+  const
+      argv = process.argv.slice(2),
+      solver = new JSMILPSolver(parseFloat(argv[0]) || 30,
+          parseFloat(argv[1]) || 5e-7, parseFloat(argv[2]) || 1e-4);
+  let result;
+  solver.log_file = argv[5];
+  try {
+    // Start with an empty log file.
+    fs.writeFileSync(solver.log_file, '');
+    result = solver.solve(fs.readFileSync(argv[3], 'utf8'));
+  } catch(err) {
+    solver.log('ERROR: ' + err.message);
+    result = {status: solver.ERROR, message: err.message};
+  }
+  try {
+    fs.writeFileSync(argv[4], JSON.stringify(result));
+  } catch(err) {
+    console.log(err.message);
+  }
+  process.exitCode = result.status;
+}
@@ -37,6 +37,7 @@ SOFTWARE.
 
 const
     child_process = require('child_process'),
+    crypto = require('crypto'),
     fs = require('fs'),
     os = require('os'),
     path = require('path');
@@ -57,10 +58,26 @@ module.exports = class MILPSolver {
     this.solver_path = '';
     this.best_solver = '';
     this.default_solver = '';
+    this.windows = os.platform().startsWith('win');
+    // Solver jobs are identified by a unique ID, and executed in order
+    // of submission.
+    this.jobs = {};
+    this.job_queue = [];
+    this.active_job = null;
+    this.last_job_id = 0;
+    // Time at which the last job of each user was started. This is used
+    // to share the solver fairly among users.
+    this.last_start = {};
+    // Results of solved blocks can be cached on disk. The cache is not
+    // used unless its size (maximum number of results) is set.
+    this.cache_size = 0;
+    this.cache_dir = path.join(workspace.solver_output, 'cache');
     this.locateInstalledSolvers(workspace);
-    if(!this.best_solver) {
-      console.log('WARNING: No compatible solver found on this machine');
-      return;      
+    // NOTE: The built-in solver is always available, so it is the best
+    // solver only when no external solver has been found.
+    if(this.best_solver === 'builtin') {
+      console.log('WARNING: No external solver found on this machine' +
+          ' -- only the built-in solver is available');
     }
     this.id = name.toLowerCase();
     if(!(this.id in this.solver_list)) {
@@ -184,6 +201,21 @@ module.exports = class MILPSolver {
           console.log('WARNING: SCIP application not found in', sp);
         }
       }
+      if(sp) continue;
+      // If no SCIP path, check whether it is a HiGHS path.
+      match = p.match(/highs/i);
+      if(match) {
+        // Check whether highs(.exe) exists in its directory.
+        sp = path.join(p, 'highs' + (windows ? '.exe' : ''));
+        try {
+          fs.accessSync(sp, fs.constants.X_OK);
+          console.log('Path to HiGHS:', sp);
+          this.solver_list.highs = {name: 'HiGHS', path: sp};
+        } catch(err) {
+          console.log(err.message);
+          console.log('WARNING: HiGHS application not found in', sp);
+        }
+      }
       // NOTE: Order of paths is unknown, so keep iterating.
     }
     // Only now set the Gurobi path. To force using a version < 12 (if installed),
@@ -214,6 +246,24 @@ module.exports = class MILPSolver {
         // No detection is not an error, so no action needed.
       }
     }
+    // HiGHS is often installed in a directory that does not have "highs"
+    // in its path, so also look in the working directory, and (for macOS
+    // and Unix) in the user's local binaries.
+    if(!this.solver_list.highs) {
+      const hsp = [path.join(workspace.working_directory,
+          'highs' + (windows ? '.exe' : ''))];
+      if(!windows) hsp.push('/usr/local/bin/highs');
+      for(sp of hsp) {
+        try {
+          fs.accessSync(sp, fs.constants.X_OK);
+          console.log('Path to HiGHS:', sp);
+          this.solver_list.highs = {name: 'HiGHS', path: sp};
+          break;
+        } catch(err) {
+          // No detection is not an error, so no action needed.
+        }
+      }
+    }
     // Check if lp_solve(.exe) exists in working directory.
     sp = path.join(workspace.working_directory,
         'lp_solve' + (windows ? '.exe' : '')); 
@@ -224,6 +274,8 @@ module.exports = class MILPSolver {
     } catch(err) {
       // No error because LP_solve may not be needed.
     }
+    // The built-in solver is executed by Node.js, so it is always available.
+    this.solver_list.builtin = {name: 'Built-in', path: process.execPath};
     this.best_solver = '';
     let s = this.solver_list.gurobi;
     if(s) {
@@ -232,6 +284,14 @@ module.exports = class MILPSolver {
       s.solver_model = path.join(workspace.solver_output, 'solver_model.lp');
       s.solution = path.join(workspace.solver_output, 'gurobi.json');
       s.log = path.join(workspace.solver_output, 'gurobi.log');
+      // Files for the LP re-solve that yields the dual values.
+      s.dual_model = path.join(workspace.solver_output, 'dual_model.lp');
+      s.dual_solution = path.join(workspace.solver_output, 'gurobi_dual.json');
+      s.dual_log = path.join(workspace.solver_output, 'gurobi_dual.log');
+      // NOTE: Gurobi computes an IIS when it writes an ILP file.
+      s.iis = path.join(workspace.solver_output, 'gurobi_iis.ilp');
+      // NOTE: Gurobi reads a (partial) start solution from an MST file.
+      s.start = path.join(workspace.solver_output, 'gurobi_start.mst');
       // NOTE: Arguments 0, 1, 2 and 3 will be updated for each solver run.
       s.args = [
           'timeLimit=30',
@@ -271,6 +331,23 @@ module.exports = class MILPSolver {
       s.usableSolution = (s) => {
         return [2, 5, 7, 8, 9, 10, 13, 15].indexOf(s) >= 0;
       };
+      // Functions to translate solver profile parameters to arguments.
+      s.profile = {
+          threads: (n) => `Threads=${n}`,
+          presolve: (n) => `Presolve=${n}`,
+          seed: (n) => `Seed=${n}`,
+          mip_focus: (n) => `MIPFocus=${n}`,
+          lp_method: (n) => `Method=${n}`,
+          barrier_tol: (x) => `BarConvTol=${x}`
+        };
+      // Function to extract incumbent, best bound and gap from a log line.
+      // NOTE: Gurobi node log lines end with these values followed by the
+      // iterations per node and the elapsed time.
+      s.progress = (line) => {
+          const m = line.match(
+              /\s(\S+)\s+(\S+)\s+(\S+%|-)\s+\S+\s+\d+s\s*$/);
+          return m && m.slice(1, 4);
+        };
       this.best_solver = 'gurobi';   
     }
     s = this.solver_list.mosek;
@@ -280,6 +357,11 @@ module.exports = class MILPSolver {
       s.solver_model = path.join(workspace.solver_output, 'solver_model.lp');
       s.solution = path.join(workspace.solver_output, 'user_model.int');
       s.log = path.join(workspace.solver_output, 'mosek.log');
+      // NOTE: MOSEK reads a start solution from an integer solution file,
+      // and then uses the values of the integer variables to construct a
+      // feasible solution.
+      s.start = path.join(workspace.solver_output, 'mosek_start.int');
+      s.start_option = `-inti "${s.start}" -d MSK_IPAR_MIO_CONSTRUCT_SOL MSK_ON`;
       // NOTE: MOSEK command line accepts space separated commands, but paths
       // should be enclosed in quotes.
       s.args = [
@@ -287,6 +369,8 @@ module.exports = class MILPSolver {
           `-d MSK_DPAR_MIO_MAX_TIME %T%`,
           `-d MSK_DPAR_MIO_TOL_ABS_RELAX_INT %I%`,
           '-d MSK_DPAR_MIO_TOL_REL_GAP %M%',
+          '%S%',
+          '%P%',
           `"${s.user_model}"`
         ];
       s.solve_cmd = `mosek ${s.args.join(' ')} >${s.log}`;
@@ -323,6 +407,23 @@ module.exports = class MILPSolver {
       s.usableSolution = (s) => {
         return [2, 5, 7, 8, 9, 10, 13, 15].indexOf(s) >= 0;
       };
+      s.profile = {
+          threads: (n) => `-d MSK_IPAR_NUM_THREADS ${n}`,
+          // NOTE: MOSEK does not differentiate between presolve levels.
+          presolve: (n) => '-d MSK_IPAR_PRESOLVE_USE MSK_PRESOLVE_MODE_' +
+              (n ? 'ON' : 'OFF'),
+          seed: (n) => `-d MSK_IPAR_MIO_SEED ${n}`,
+          lp_method: (n) => '-d MSK_IPAR_MIO_ROOT_OPTIMIZER MSK_OPTIMIZER_' +
+              ['PRIMAL_SIMPLEX', 'DUAL_SIMPLEX', 'INTPNT'][n],
+          barrier_tol: (x) => `-d MSK_DPAR_INTPNT_TOL_REL_GAP ${x}`
+        };
+      // NOTE: MOSEK mixed-integer log lines have 8 columns, the last 4
+      // being incumbent, bound, relative gap (in %) and elapsed time.
+      s.progress = (line) => {
+          const m = line.match(
+              /^\s*\d+\s+\d+\s+\d+\s+\d+\s+(\S+)\s+(\S+)\s+(\S+)\s+[\d.]+\s*$/);
+          return m && m.slice(1, 4);
+        };
       this.best_solver = this.best_solver || 'mosek';
     }
     s = this.solver_list.cplex;
@@ -333,13 +434,23 @@ module.exports = class MILPSolver {
       s.solution = path.join(workspace.solver_output, 'cplex.sol');
       // NOTE: CPLEX log file is located in the Linny-R working directory
       s.log = path.join(workspace.solver_output, 'cplex.log');
+      // Files for the LP re-solve that yields the dual values.
+      s.dual_model = path.join(workspace.solver_output, 'dual_model.lp');
+      s.dual_solution = path.join(workspace.solver_output, 'cplex_dual.sol');
+      s.dual_log = path.join(workspace.solver_output, 'cplex.log');
+      // NOTE: CPLEX writes the conflict it has refined as a CLP file.
+      s.iis = path.join(workspace.solver_output, 'cplex_iis.clp');
+      // NOTE: CPLEX reads a start solution from an MST file (XML format).
+      s.start = path.join(workspace.solver_output, 'cplex_start.mst');
+      // NOTE: The start option is inserted as a separate command.
+      s.start_option = `" "read ${s.start} mst`;
       // NOTE: CPLEX command line accepts space separated commands ...
       s.args = [
-          `read ${s.user_model}`,
+          `read ${s.user_model}%S%`,
           `write ${s.solver_model} lp`,
           'set timelimit %T%',
           'set mip tolerances integrality %I%',
-          'set mip tolerances mipgap %M%',
+          'set mip tolerances mipgap %M%%P%',
           'optimize',
           `write ${s.solution} 0`,
           'quit'
@@ -353,6 +464,23 @@ module.exports = class MILPSolver {
       s.usableSolution = (s) => {
         return false; // @@@ STILL TO CHECK!
       };
+      // NOTE: CPLEX profile parameters are passed as separate commands.
+      s.profile = {
+          threads: (n) => `set threads ${n}`,
+          presolve: (n) => 'set preprocessing presolve ' + (n ? 'yes' : 'no'),
+          seed: (n) => `set randomseed ${n}`,
+          mip_focus: (n) => `set emphasis mip ${n}`,
+          lp_method: (n) => [`set lpmethod ${[1, 2, 4][n]}`,
+              `set mip strategy startalgorithm ${[1, 2, 4][n]}`],
+          barrier_tol: (x) => `set barrier convergetol ${x}`
+        };
+      // NOTE: CPLEX node log lines end with incumbent, best bound, the
+      // iteration count (omitted for heuristic solutions) and the gap.
+      s.progress = (line) => {
+          const m = line.match(
+              /\s(\S*\.\S*)\s+(\S*\.\S*)\s+(?:\d+\s+)?([\d.]+%)\s*$/);
+          return m && m.slice(1, 4);
+        };
       this.best_solver = this.best_solver || 'cplex';
     }
     s = this.solver_list.scip;
@@ -362,13 +490,20 @@ module.exports = class MILPSolver {
       s.solver_model = path.join(workspace.solver_output, 'solver_model.lp');
       s.solution = path.join(workspace.solver_output, 'scip.sol');
       s.log = path.join(workspace.solver_output, 'scip.log');
+      // NOTE: SCIP reads start solutions in its solution file format, but
+      // the extension must be .mst for the solution to be read as a partial
+      // solution, as it comprises only the integer variables.
+      s.start = path.join(workspace.solver_output, 'scip_start.mst');
+      s.start_option = `read ${s.start}`;
       // NOTE: SCIP command line accepts space separated commands ...
       s.args = [
           'read', s.user_model,
+          '%S%',
           'write problem', s.solver_model,
           'set limit time %T%',
           'set numerics feastol %I%',
           'set limit gap %M%',
+          '%P%',
           'optimize',
           'write solution', s.solution,
           'quit'
@@ -405,8 +540,101 @@ module.exports = class MILPSolver {
       s.usableSolution = (s) => {
         return false; // @@@ STILL TO CHECK!
       };
+      // NOTE: SCIP has no separate emphasis setting for the MIP bound.
+      s.profile = {
+          threads: (n) => `set lp threads ${n}`,
+          presolve: (n) => 'set presolving emphasis ' +
+              ['off', 'fast', 'aggressive'][n],
+          seed: (n) => `set randomization randomseedshift ${n}`,
+          mip_focus: (n) => 'set emphasis ' +
+              ['default', 'feasibility', 'optimality', 'optimality'][n],
+          lp_method: (n) => 'set lp initalgorithm ' + 'pdb'.charAt(n)
+        };
+      // NOTE: SCIP reports dual bound, primal bound and gap in the last
+      // columns of its status table. Its columns are separated by "|".
+      s.progress = (line) => {
+          const m = line.match(
+              /\|\s*(\S+)\s*\|\s*(\S+)\s*\|\s*(\S+%|Inf)\s*(\||$)/);
+          return m && [m[2], m[1], m[3]];
+        };
       this.best_solver = this.best_solver || 'scip';
     }
+    s = this.solver_list.highs;
+    if(s) {
+      s.ext = '.lp';
+      s.user_model = path.join(workspace.solver_output, 'user_model.lp');
+      s.solver_model = path.join(workspace.solver_output, 'solver_model.lp');
+      s.solution = path.join(workspace.solver_output, 'highs.sol');
+      s.log = path.join(workspace.solver_output, 'highs.log');
+      // NOTE: The HiGHS command line accepts only a few options, so the
+      // solver parameters are passed via an options file that is written
+      // anew for each solver run.
+      s.options = path.join(workspace.solver_output, 'highs.opt');
+      // Files for the LP re-solve that yields the dual values.
+      s.dual_model = path.join(workspace.solver_output, 'dual_model.lp');
+      s.dual_solution = path.join(workspace.solver_output, 'highs_dual.sol');
+      s.dual_log = path.join(workspace.solver_output, 'highs_dual.log');
+      s.dual_options = path.join(workspace.solver_output, 'highs_dual.opt');
+      s.args = [
+          'time_limit = %T%',
+          'mip_feasibility_tolerance = %I%',
+          'mip_rel_gap = %M%',
+          'write_solution_to_file = true',
+          `solution_file = ${s.solution}`,
+          'write_solution_style = 0',
+          'write_model_to_file = true',
+          `write_model_file = ${s.solver_model}`
+        ];
+      // HiGHS writes its messages to the terminal, so these must be
+      // captured in a log file.
+      s.solve_cmd = `"${s.path}" --model_file "${s.user_model}" ` +
+          `--options_file "${s.options}" >"${s.log}"`;
+      // Function to provide legend to status codes.
+      // NOTE: HiGHS exits with status 0 (OK), 1 (warning) or -1 (error),
+      // while the model status codes (7 and higher) are reported in the
+      // solution file.
+      s.statusMessage = (s) => {
+        if(s === 1) return 'Solver warning(s) - see messages in monitor';
+        if(s === -1 || s === 255) {
+          return 'Solver encountered a problem - see messages in monitor';
+        }
+        if(s >= 8 && s <= 17) return [
+            'Problem is infeasible',
+            'Problem is either infeasible or unbounded',
+            'Problem is unbounded',
+            'Halted -- Bound on objective reached',
+            'Halted -- Target for objective reached',
+            'Halted -- Solver time limit exceeded',
+            'Halted -- Iteration limit exceeded',
+            'Solver status unknown',
+            'Halted -- Solution limit reached',
+            'Halted -- Optimization interrupted by user'
+          ][s - 8];
+        // No message otherwise; if `s` is non-zero, exception is reported.
+        return '';
+      };
+      // For some status codes, solution may be sub-optimal, but useful.
+      s.usableSolution = (s) => {
+        return [1, 11, 12, 13, 14, 16, 17].indexOf(s) >= 0;
+      };
+      // NOTE: Profile parameters are added as lines to the options file.
+      s.profile = {
+          threads: (n) => `threads = ${n}`,
+          presolve: (n) => 'presolve = ' + (n ? 'on' : 'off'),
+          seed: (n) => `random_seed = ${n}`,
+          lp_method: (n) => (n === 2 ? 'solver = ipm' :
+              ['solver = simplex', `simplex_strategy = ${n ? 1 : 4}`]),
+          barrier_tol: (x) => `ipm_optimality_tolerance = ${x}`
+        };
+      // NOTE: HiGHS reports best bound, incumbent and gap after the
+      // percentage of the search tree that has been explored.
+      s.progress = (line) => {
+          const m = line.match(
+              /[\d.]+%\s+(\S+)\s+(\S+)\s+(\S+)(\s+\d+)+\s+[\d.]+s\s*$/);
+          return m && [m[2], m[1], m[3]];
+        };
+      this.best_solver = this.best_solver || 'highs';
+    }
     s = this.solver_list.lp_solve;
     if(s) {
       s.ext = '.lp';
@@ -423,6 +651,7 @@ module.exports = class MILPSolver {
           '-e %I%',
           '-gr %M%',
           '-epsel 1e-7',
+          '%P%',
           `-wlp ${s.solver_model}`,
           `>${s.log}`,
           s.user_model
@@ -451,12 +680,60 @@ module.exports = class MILPSolver {
       s.usableSolution = (s) => {
         return [-2, 2, 6].indexOf(s) < 0;
       };
+      // NOTE: LP_solve does not presolve unless specified.
+      s.profile = {
+          presolve: (n) => ['', '-presolvel', '-presolvel -presolver -presolvec'][n],
+          lp_method: (n) => ['-simplexpp', '-simplexdd'][n]
+        };
       this.best_solver = this.best_solver || 'lp_solve';
     }
+    s = this.solver_list.builtin;
+    s.ext = '.lp';
+    s.user_model = path.join(workspace.solver_output, 'user_model.lp');
+    // NOTE: The built-in solver does not rewrite the model.
+    s.solver_model = s.user_model;
+    s.solution = path.join(workspace.solver_output, 'builtin.json');
+    s.log = path.join(workspace.solver_output, 'builtin.log');
+    s.args = [
+        path.join(__dirname, 'linny-r-js-milp.js'),
+        '%T%',
+        '%I%',
+        '%M%',
+        s.user_model,
+        s.solution,
+        s.log
+      ];
+    // Function to provide legend to status codes.
+    s.statusMessage = (s) => {
+      if(s >= 1 && s <= 5) return [
+          'The model is infeasible',
+          'The model is unbounded',
+          'Solver time limit exceeded (solution may be sub-optimal)',
+          'Solver time limit exceeded -- no solution found',
+          'Model is too large for the built-in solver, or has invalid format'
+        ][s - 1];
+      return '';
+    };
+    // Solution is also usable if time limit was reached.
+    s.usableSolution = (s) => {
+      return s === 0 || s === 3;
+    };
+    // NOTE: The built-in solver has no parameters other than the tolerances.
+    s.profile = {};
+    // NOTE: The built-in solver periodically logs its progress.
+    s.progress = (line) => {
+        const m = line.match(
+            /^Nodes: \d+, incumbent: (\S+), bound: (\S+), gap: (\S+)$/);
+        return m && m.slice(1, 4);
+      };
+    // NOTE: The built-in solver has the lowest priority.
+    this.best_solver = this.best_solver || 'builtin';
   }
   
-  solveBlock(sp) {
-    // Save model file, execute solver, and return results.
+  blockParameters(sp) {
+    // Return an object with the solver ID, the MILP model and the validated
+    // solver parameters passed via the search parameters `sp`, plus the
+    // initial result object.
     const result = {
         block: sp.get('block'),
         round: sp.get('round'),
@@ -470,20 +747,137 @@ module.exports = class MILPSolver {
     // the correct order.
     result.columns = parseInt(sp.get('columns')) || 0;
     // Request may specify a solver ID.
+    // NOTE: The solver ID is stored in the block parameters, and not as
+    // property of this solver, as the job may be queued while another job
+    // is running.
     const sid = sp.get('solver');
-    if(sid) {
-      this.id = (this.solver_list[sid] ? sid : this.default_solver);
+    let timeout = parseInt(sp.get('timeout')),
+        inttol = parseFloat(sp.get('inttol')),
+        mipgap = parseFloat(sp.get('mipgap'));
+    // Default timeout per block is 30 seconds.
+    if(isNaN(timeout)) timeout = 30;
+    // Default integer feasibility tolerance is 5e-7.
+    if(isNaN(inttol)) {
+      inttol = 5e-7;
+    } else {
+      inttol = Math.max(1e-9, Math.min(0.1, inttol));
     }
-    if(!this.id) {
-      result.status = -999;
-      result.solution = false;
-      result.error = 'No MILP solver';
-      return result;
+    // Default relative MIP gap is 1e-4.
+    if(isNaN(mipgap)) {
+      mipgap = 1e-4;
+    } else {
+      mipgap = Math.max(0, Math.min(0.5, mipgap));        
     }
-    const s = this.solver_list[this.id];
-    console.log('Solve block', result.block, result.round, 'with', s.name);
+    return {
+        id: (this.solver_list[sid] ? sid : this.default_solver),
+        data: (sp.get('data') || '').trim(),
+        timeout: timeout,
+        inttol: inttol,
+        mipgap: mipgap,
+        diagnose: sp.get('diagnose') === 'true',
+        // Optional start solution as lines "variable value".
+        start: (sp.get('start') || '').trim(),
+        duals: sp.get('duals') === 'true',
+        // Request may be to explain why the model is infeasible.
+        iis: sp.get('iis') === 'true',
+        profile: this.solverProfile(sp.get('profile')),
+        result: result
+      };
+  }
+
+  solverProfile(json) {
+    // Return the solver profile encoded by the string `json` as an object
+    // that has only the validated parameters that differ from the solver
+    // default, or NULL if no such parameters are specified.
+    if(!json) return null;
+    let p;
+    try {
+      p = JSON.parse(json);
+    } catch(err) {
+      console.log('WARNING: Invalid solver profile', json);
+      return null;
+    }
+    const
+        profile = {},
+        int = (v, min, max) => {
+            v = parseInt(v);
+            return (isNaN(v) || v < min || v > max ? null : v);
+          },
+        threads = int(p.threads, 1, 1024),
+        presolve = int(p.presolve, 0, 2),
+        seed = int(p.seed, 0, 2e9),
+        mip_focus = int(p.mip_focus, 1, 3),
+        lp_method = int(p.lp_method, 0, 2),
+        barrier_tol = parseFloat(p.barrier_tol);
+    if(threads !== null) profile.threads = threads;
+    if(presolve !== null) profile.presolve = presolve;
+    if(seed !== null) profile.seed = seed;
+    if(mip_focus !== null) profile.mip_focus = mip_focus;
+    if(lp_method !== null) profile.lp_method = lp_method;
+    if(barrier_tol > 0 && barrier_tol < 1) profile.barrier_tol = barrier_tol;
+    return (Object.keys(profile).length ? profile : null);
+  }
+
+  profileOptions(bp) {
+    // Return the list of solver options for the solver of block parameters
+    // `bp` that correspond to the parameters of its solver profile.
+    // Parameters that this solver does not support are reported in the
+    // result of `bp`.
+    const
+        s = this.solver_list[bp.id],
+        profile = bp.profile,
+        result = bp.result,
+        options = [],
+        ignored = [];
+    if(!profile) return options;
+    for(const k of Object.keys(profile)) {
+      if(s.profile[k]) {
+        for(const o of [].concat(s.profile[k](profile[k]))) {
+          if(o) options.push(o);
+        }
+      } else {
+        ignored.push(k.replace('_', ' '));
+      }
+    }
+    if(ignored.length) {
+      result.messages.push(`NOTE: ${s.name} ignores profile parameter` +
+          (ignored.length > 1 ? 's ' : ' ') + ignored.join(', '));
+    }
+    return options;
+  }
+
+  prepareRun(bp) {
+    // Write the MILP model of block parameters `bp` to the user model file
+    // of its solver, and delete the output files of the previous run.
+    // Return FALSE if the solver need not be run, i.e., if no solver is
+    // available, or if the result is cached.
+    // NOTE: All run state (names, options, etc.) is stored in `bp`, so that
+    // it cannot be affected by jobs that are queued later.
+    if(!this.solver_list[bp.id]) bp.id = this.default_solver;
+    if(!bp.id) {
+      bp.result.status = -999;
+      bp.result.solution = false;
+      bp.result.error = 'No MILP solver';
+      return false;
+    }
+    bp.cache_key = this.cacheKey(bp);
+    if(this.cachedResult(bp)) return false;
+    // Use integer tolerance setting as "near zero" threshold.
+    bp.near_zero = bp.inttol;
+    const s = this.solver_list[bp.id];
+    // Dual values can be computed only for some solvers.
+    bp.compute_duals = bp.duals && !!s.dual_model;
+    if(bp.duals && !s.dual_model) {
+      bp.result.messages.push(`NOTE: ${s.name} cannot compute dual values`);
+    }
+    console.log('Solve block', bp.result.block, bp.result.round,
+        'with', s.name);
     // Write the POSTed MILP model to a file.
-    fs.writeFileSync(s.user_model, sp.get('data').trim());
+    fs.writeFileSync(s.user_model, bp.data);
+    // The model may name its variables and constraints after entities.
+    bp.lp_names = this.lpLegend(bp.data);
+    // Presolve may have moved a constant term out of the objective.
+    bp.obj_constant = this.objectiveConstant(bp.data);
     // Delete previous log file (if any).
     try {
       if(s.log) fs.unlinkSync(s.log);
@@ -495,7 +889,7 @@ module.exports = class MILPSolver {
       if(s.solution) fs.unlinkSync(s.solution);
     } catch(err) {
       // NOTE: MOSEK solution may also be a '.bas' file.
-      if(this.id === 'mosek') {
+      if(bp.id === 'mosek') {
         try {
           fs.unlinkSync(s.solution.replace(/\.int$/, '.bas'));
         } catch(err) {
@@ -503,75 +897,538 @@ module.exports = class MILPSolver {
         }
       }
     }
-    let timeout = parseInt(sp.get('timeout')),
-        inttol = parseFloat(sp.get('inttol')),
-        mipgap = parseFloat(sp.get('mipgap')),
-        diagnose = sp.get('diagnose') === 'true';
-    // Default timeout per block is 30 seconds.
-    if(isNaN(timeout)) timeout = 30;
-    // Default integer feasibility tolerance is 5e-7.
-    if(isNaN(inttol)) {
-      inttol = 5e-7;
-    } else {
-      inttol = Math.max(1e-9, Math.min(0.1, inttol));
+    // Delete previous start solution file (if any).
+    try {
+      if(s.start) fs.unlinkSync(s.start);
+    } catch(err) {
+      // Ignore error.
     }
-    // Use integer tolerance setting as "near zero" threshold.
-    this.near_zero = inttol;
-    // Default relative MIP gap is 1e-4.
-    if(isNaN(mipgap)) {
-      mipgap = 1e-4;
+    // Translate the solver profile (if any) into options for the solver.
+    bp.profile_options = this.profileOptions(bp);
+    if(bp.profile_options.length) {
+      console.log('Solver profile options:', bp.profile_options.join(', '));
+    }
+    // Write the start solution (if any) to a file if the solver can use it.
+    bp.use_start = false;
+    if(bp.start && s.start) {
+      try {
+        fs.writeFileSync(s.start, this.startSolution(bp));
+        bp.use_start = true;
+        console.log('Warm start with values for',
+            bp.start.split('\n').length, 'variables');
+      } catch(err) {
+        console.log('WARNING: Failed to write start solution file', s.start);
+        console.log(err.message);
+      }
+    }
+    return true;
+  }
+
+  lpLegend(lp) {
+    // Return a dictionary that maps the names in the legend of model `lp`
+    // onto the default names X1, X2, ... and C1, C2, ..., or NULL if the
+    // model has no legend. The legend consists of comment lines having the
+    // format "\Columns n: name ..." or "\Rows n: name ..." that list the
+    // names for consecutive columns (rows) from column (row) n onwards.
+    // NOTE: Columns are mapped onto zero-padded names, so that they can
+    // be sorted.
+    // NOTE: The legend comes before the objective function.
+    const head = lp.substring(0, Math.max(0, lp.indexOf('\nMaximize')));
+    let legend = null;
+    for(const l of safeTextToLines(head)) {
+      const m = l.match(/^\\(Columns|Rows) (\d+):(.*)$/);
+      if(!m) continue;
+      if(!legend) legend = {};
+      let i = parseInt(m[2]);
+      for(const n of m[3].trim().split(/\s+/)) {
+        legend[n] = (m[1] === 'Rows' ? 'C' + i :
+            'X' + i.toString().padStart(7, '0'));
+        i++;
+      }
+    }
+    return legend;
+  }
+
+  objectiveConstant(lp) {
+    // Return the constant term of the objective function of model `lp`.
+    // This term is passed as a comment line "\Constant: c" (CPLEX format)
+    // or "/* Constant: c */" (LP_solve format) before the objective.
+    const
+        head = lp.substring(0, Math.max(0, lp.search(/\n(Maximize|max:)/))),
+        m = head.match(/^(?:\\|\/\* )Constant: (\S+)/m),
+        c = (m ? parseFloat(m[1]) : 0);
+    return (isFinite(c) ? c : 0);
+  }
+
+  defaultName(n, bp) {
+    // Return the default name (X1, C1, ...) for variable or constraint
+    // name `n` if the model of block parameters `bp` has a legend.
+    return (bp.lp_names && bp.lp_names[n]) || n;
+  }
+
+  startSolution(bp) {
+    // Return the contents of the start solution file for the solver of
+    // block parameters `bp` given its start solution: a string with lines
+    // "variable value".
+    const lines = safeTextToLines(bp.start);
+    if(bp.id === 'cplex') {
+      const xml = ['<?xml version="1.0" encoding="UTF-8"?>',
+          '<CPLEXSolutions version="1.2">',
+          ' <CPLEXSolution version="1.2">',
+          '  <header problemName="user_model"/>',
+          '  <variables>'];
+      for(const l of lines) {
+        const v = l.split(' ');
+        xml.push(`   <variable name="${v[0]}" value="${v[1]}"/>`);
+      }
+      xml.push('  </variables>', ' </CPLEXSolution>', '</CPLEXSolutions>');
+      return xml.join('\n');
+    }
+    if(bp.id === 'mosek') {
+      // NOTE: Only the variables section is needed.
+      const sol = ['PROBLEM STATUS      : UNKNOWN',
+          'SOLUTION STATUS     : UNKNOWN',
+          'CONSTRAINTS',
+          'INDEX NAME AT ACTIVITY',
+          'VARIABLES',
+          'INDEX NAME AT ACTIVITY'];
+      for(let i = 0; i < lines.length; i++) {
+        const v = lines[i].split(' ');
+        sol.push(`${i} ${v[0]} SB ${v[1]}`);
+      }
+      return sol.join('\n');
+    }
+    // Gurobi and SCIP accept lines "variable value" as they are.
+    return lines.join('\n');
+  }
+
+  solveBlock(sp) {
+    // Save model file, execute solver, and return results.
+    // NOTE: This blocks the calling process until the solver has finished,
+    // which is acceptable for console-only use. The server uses jobs instead.
+    const bp = this.blockParameters(sp);
+    if(!this.prepareRun(bp)) return bp.result;
+    if(bp.iis) {
+      let status = 0,
+          error = '';
+      try {
+        const sc = this.iisCommand(bp);
+        if(sc) {
+          status = child_process.spawnSync(sc.cmd, sc.args, sc.options).status;
+        }
+      } catch(err) {
+        status = -13;
+        error = err;
+      }
+      return this.processIISOutput(status, error, bp);
+    }
+    let result = this.runSolver(bp);
+    if(bp.compute_duals && result.solution) {
+      let status = 0;
+      try {
+        const sc = this.dualCommand(bp);
+        if(sc) {
+          status = child_process.spawnSync(sc.cmd, sc.args, sc.options).status;
+          result = this.processDualOutput(status, bp);
+        }
+      } catch(err) {
+        console.log(err.message);
+        result = this.processDualOutput(-13, bp);
+      }
+    }
+    this.storeInCache(bp.cache_key, result);
+    return result;
+  }
+
+  modelFeatures(lp) {
+    // Return the properties of model `lp` that determine which solvers
+    // can read it. The VM writes the model for one solver only: in LP_solve
+    // format for LP_solve, and otherwise in CPLEX LP format, adding SOS,
+    // semi-continuous and quadratic terms only if that solver supports
+    // these.
+    // NOTE: Sections are searched for only as far as needed, as models
+    // can be large.
+    const
+        obj = lp.search(/^(Maximize|max:)/m),
+        cplex = obj >= 0 && lp.startsWith('Maximize', obj),
+        st = (cplex ? lp.indexOf('\nSubject To\n', obj) : -1),
+        head = lp.substring(obj, (st < 0 ? obj : st)),
+        body = (st < 0 ? '' : lp.substring(st + 12));
+    return {
+        cplex: cplex,
+        quadratic: head.indexOf('] / 2') >= 0,
+        sos: /^SOS$/m.test(body),
+        semi_continuous: /^Semi-continuous$/m.test(body),
+        // NOTE: Unnamed constraints start with a space.
+        named: body.length > 0 && !/\s/.test(body.charAt(0))
+      };
+  }
+
+  cannotRead(id, mf) {
+    // Return the reason why solver `id` cannot solve a model having
+    // features `mf`, or the empty string if it can.
+    // NOTE: These restrictions match those applied by the VM when it
+    // writes a model for solver `id`.
+    if(id === 'lp_solve') {
+      return (mf.cplex ? 'Model is in CPLEX LP format' : '');
+    }
+    if(!mf.cplex) return 'Model is in LP_solve format';
+    if(mf.quadratic && ['gurobi', 'cplex', 'mosek', 'scip'].indexOf(id) < 0) {
+      return 'Model has quadratic terms';
+    }
+    if(mf.sos && (id === 'mosek' || id === 'highs')) return 'Model has SOS';
+    if(id === 'mosek') {
+      if(mf.semi_continuous) return 'Model has semi-continuous variables';
+      if(!mf.named) return 'Model has unnamed constraints';
+    }
+    return '';
+  }
+
+  benchmarkSolvers(lp) {
+    // Return the IDs of the installed solvers that can solve model `lp`.
+    const mf = this.modelFeatures(lp);
+    return Object.keys(this.solver_list).filter(
+        (id) => !this.cannotRead(id, mf));
+  }
+
+  benchmarkParameters(sp) {
+    // Return a list with block parameters for solving the block specified
+    // by search parameters `sp` with each of the installed solvers. Solvers
+    // that cannot read the model are skipped, and property `skipped` of
+    // their block parameters states why.
+    const
+        bpl = [],
+        mf = this.modelFeatures(sp.get('data') || '');
+    for(const id of Object.keys(this.solver_list)) {
+      const bp = this.blockParameters(sp);
+      // NOTE: Only the MILP itself is solved, so no duals and no IIS.
+      bp.id = id;
+      bp.duals = false;
+      bp.iis = false;
+      // NOTE: Cached results are not used, as these would render the
+      // timing meaningless.
+      bp.benchmark = true;
+      bp.skipped = this.cannotRead(id, mf);
+      if(bp.skipped) {
+        bp.result.status = -999;
+        bp.result.solution = false;
+        bp.result.error = `${this.solver_list[id].name} cannot read model`;
+      }
+      bpl.push(bp);
+    }
+    return bpl;
+  }
+
+  benchmarkEntry(bp, seconds) {
+    // Return the benchmark report entry for the solver run specified by
+    // block parameters `bp` that took `seconds` of wall time.
+    const
+        result = bp.result,
+        obj = parseFloat(result.obj);
+    if(bp.skipped) {
+      return {
+          id: bp.id,
+          name: this.solver_list[bp.id].name,
+          seconds: 0,
+          status: null,
+          error: '',
+          skipped: bp.skipped,
+          objective: null,
+          gap: null,
+          deviates: false
+        };
+    }
+    return {
+        id: bp.id,
+        name: this.solver_list[bp.id].name,
+        seconds: seconds,
+        status: result.status,
+        error: result.error,
+        skipped: '',
+        objective: (result.solution && isFinite(obj) ? obj : null),
+        gap: this.finalGap(result, bp.id),
+        deviates: false
+      };
+  }
+
+  benchmarkReport(sp, bpl, entries) {
+    // Return a report for the block specified by search parameters `sp`
+    // that compares the wall time, status, objective value and final MIP
+    // gap of the solver runs specified by the list of block parameters
+    // `bpl` and their report `entries`. The report also contains the
+    // result of the reference solver, i.e., the requested solver if it
+    // found a solution, otherwise the first solver that did.
+    const report = {
+        block: sp.get('block'),
+        round: sp.get('round'),
+        reference: '',
+        tolerance: Math.max(bpl[0].mipgap, 1e-6),
+        solvers: entries,
+        result: null
+      };
+    // Select the reference solver, and flag the solvers whose objective
+    // value differs from the reference by more than the tolerance.
+    let ref = entries.find((r) =>
+        r.id === sp.get('solver') && r.objective !== null);
+    if(!ref) ref = entries.find((r) => r.objective !== null);
+    if(ref) {
+      report.reference = ref.id;
+      report.result = bpl[entries.indexOf(ref)].result;
+      const tol = report.tolerance * Math.max(1, Math.abs(ref.objective));
+      for(const r of entries) {
+        r.deviates = r.objective !== null &&
+            Math.abs(r.objective - ref.objective) > tol;
+      }
     } else {
-      mipgap = Math.max(0, Math.min(0.5, mipgap));        
+      report.result = (bpl.find((bp) => !bp.skipped) || bpl[0]).result;
+    }
+    return report;
+  }
+
+  benchmark(sp) {
+    // Solve the block specified by search parameters `sp` with each of the
+    // installed solvers, and return the benchmark report.
+    // NOTE: Like solveBlock, this blocks the calling process until all
+    // solvers have finished, which is acceptable for console-only use.
+    // The server uses submitBenchmark instead.
+    const
+        bpl = this.benchmarkParameters(sp),
+        entries = [];
+    for(const bp of bpl) {
+      const t = new Date();
+      if(!bp.skipped && this.prepareRun(bp)) this.runSolver(bp);
+      entries.push(this.benchmarkEntry(bp, (new Date() - t) / 1000));
     }
-    return this.runSolver(this.id, timeout, inttol, mipgap, diagnose, result);
+    return this.benchmarkReport(sp, bpl, entries);
+  }
+
+  finalGap(result, id) {
+    // Return the last relative MIP gap reported in the messages of `result`
+    // by solver `id`, or NULL if none is reported.
+    for(let i = result.messages.length - 1; i >= 0; i--) {
+      const p = this.logProgress(result.messages[i], id);
+      if(p && p.gap !== null) return p.gap;
+    }
+    return null;
+  }
+
+  benchmarkTable(report) {
+    // Return the benchmark `report` as an array of lines of text.
+    const
+        lines = [`Benchmark of block #${report.block}${report.round}:`],
+        row = (cells) => [cells[0].padEnd(12), cells[1].padStart(9),
+            cells[2].padStart(7), cells[3].padStart(17),
+            cells[4].padStart(9), cells[5]].join(' ').trim();
+    lines.push(row(['Solver', 'Time (s)', 'Status', 'Objective', 'Gap',
+        'Remarks']));
+    for(const r of report.solvers) {
+      const remarks = [];
+      if(r.id === report.reference) remarks.push('(reference)');
+      if(r.deviates) remarks.push('OBJECTIVE DIFFERS');
+      if(r.skipped) {
+        remarks.push('Skipped: ' + r.skipped);
+      } else if(r.error) {
+        remarks.push(r.error);
+      } else if(r.objective === null) {
+        remarks.push('No solution');
+      }
+      lines.push(row([r.name, (r.skipped ? '-' : r.seconds.toFixed(2)),
+          (r.skipped ? '-' : String(r.status)),
+          (r.objective === null ? '-' :
+              String(parseFloat(r.objective.toPrecision(10)))),
+          (r.gap === null ? '-' : (100 * r.gap).toPrecision(3) + '%'),
+          remarks.join(' ')]));
+    }
+    if(!report.reference) {
+      lines.push('WARNING: No solver found a solution');
+    } else if(report.solvers.find((r) => r.deviates)) {
+      lines.push('WARNING: Objective values differ by more than ' +
+          (100 * report.tolerance).toPrecision(3) + '%');
+    }
+    return lines;
+  }
+
+  cacheKey(bp) {
+    // Return the hash of the MILP model and the solver settings specified
+    // by block parameters `bp`, or the empty string if the result of this
+    // solver run should not be cached.
+    // NOTE: The time limit is not part of the key, because only results
+    // for which the solver reports no errors are cached.
+    if(!this.cache_size || bp.iis || bp.benchmark) return '';
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([bp.id, bp.result.columns, bp.inttol,
+            bp.mipgap, bp.diagnose, bp.duals, bp.profile, bp.start]))
+        .update(bp.data)
+        .digest('hex');
   }
 
-  runSolver(id, timeout, inttol, mipgap, diagnose, result) {
-    // Set `id` to be the active solver if it is installed, and set the
-    // solver parameters. NOTE: These will have been validated.
-    this.id = (this.solver_list[id] ? id : this.default_solver);
-    let spawn,
-        status = 0,
-        error = '',
-        s = this.solver_list[this.id];
+  cachedResult(bp) {
+    // Return TRUE if the cache contains the result for the solver run
+    // specified by block parameters `bp`, which is then updated with
+    // this result.
+    if(!bp.cache_key) return false;
+    const fp = path.join(this.cache_dir, bp.cache_key + '.json');
+    let cr;
     try {
-      if(this.id === 'gurobi') {
-        // When using Gurobi, standard spawn with arguments works well.
-        s.args[0] = `timeLimit=${timeout}`;
-        s.args[1] = `intFeasTol=${inttol}`;
-        s.args[2] = `MIPGap=${mipgap}`;
-        s.args[3] = `NumericFocus=${diagnose ? 3 : 0}`;
-        const options = {windowsHide: true};
-        spawn = child_process.spawnSync(s.path, s.args, options);
-      } else {
-        // MOSEK, CPLEX, SCIP and LP_solve will not work when the arguments
-        // are passed as an array. Therefore they are executed with a single
-        // command string that includes all arguments.
-        // Spawn options must be set such that (1) the command is executed
-        // within an OS shell script, (2) output is ignored (warnings should
-        // not also appear on the console, and (3) Windows does not open
-        // a visible sub-process shell window.
-        const
-            cmd = s.solve_cmd.replace('%T%', timeout)
-                .replace('%I%', inttol).replace('%M%', mipgap),
-            options = {shell: true, stdio: 'ignore', windowsHide: true};
-        if(this.id === 'cplex') {
-          // NOTE: CPLEX must run in user directory.
-          options.cwd = 'user/solver';
-          // Delete previous solver model file (if any).
-          try {
-            if(s.solver_model) fs.unlinkSync(s.solver_model);
-          } catch(err) {
-            // Ignore error when file not found.
-          }
+      cr = JSON.parse(fs.readFileSync(fp, 'utf8'));
+    } catch(err) {
+      // Not cached, or file is corrupted.
+      return false;
+    }
+    // Mark the cached result as recently used.
+    try {
+      const now = new Date();
+      fs.utimesSync(fp, now, now);
+    } catch(err) {
+      // Ignore error.
+    }
+    // The cached result may have been obtained for another block.
+    cr.block = bp.result.block;
+    cr.round = bp.result.round;
+    cr.messages = bp.result.messages.concat(cr.messages,
+        'NOTE: Solution retrieved from cache');
+    Object.assign(bp.result, cr);
+    // No need to store this result again.
+    bp.cache_key = '';
+    console.log('Cached solution for block', cr.block, cr.round);
+    return true;
+  }
+
+  storeInCache(key, result) {
+    // Store `result` in the cache under `key` if the solver reported no
+    // errors, and then remove the least recently used results if the
+    // cache exceeds its size.
+    if(!key || !result.solution || result.error) return;
+    try {
+      fs.mkdirSync(this.cache_dir, {recursive: true});
+      fs.writeFileSync(path.join(this.cache_dir, key + '.json'),
+          JSON.stringify(result));
+      const files = fs.readdirSync(this.cache_dir)
+          .filter((f) => f.endsWith('.json'))
+          .map((f) => {
+              const fp = path.join(this.cache_dir, f);
+              return {path: fp, time: fs.statSync(fp).mtimeMs};
+            })
+          .sort((a, b) => a.time - b.time);
+      for(let i = 0; i < files.length - this.cache_size; i++) {
+        fs.unlinkSync(files[i].path);
+      }
+    } catch(err) {
+      console.log('WARNING: Failed to update solver cache');
+      console.log(err.message);
+    }
+  }
+
+  purgeCache() {
+    // Remove all cached results, and return the number of removed files.
+    let n = 0;
+    try {
+      for(const f of fs.readdirSync(this.cache_dir)) {
+        if(f.endsWith('.json')) {
+          fs.unlinkSync(path.join(this.cache_dir, f));
+          n++;
         }
-        spawn = child_process.spawnSync(cmd, options);
       }
-      status = spawn.status;
+    } catch(err) {
+      // Cache directory does not exist when no results have been cached.
+      if(err.code !== 'ENOENT') {
+        console.log('WARNING: Failed to purge solver cache');
+        console.log(err.message);
+        return {error: 'Failed to purge solver cache'};
+      }
+    }
+    console.log('Purged', n, 'cached solution' + (n === 1 ? '' : 's'));
+    return {purged: n};
+  }
+
+  solverCommand(bp) {
+    // Return the command, its arguments and the spawn options for running
+    // the solver of block parameters `bp` with the specified parameters.
+    // NOTE: These parameters will have been validated.
+    const
+        s = this.solver_list[bp.id],
+        timeout = bp.timeout,
+        inttol = bp.inttol,
+        mipgap = bp.mipgap,
+        diagnose = bp.diagnose;
+    if(bp.id === 'gurobi') {
+      // When using Gurobi, standard spawn with arguments works well.
+      s.args[0] = `timeLimit=${timeout}`;
+      s.args[1] = `intFeasTol=${inttol}`;
+      s.args[2] = `MIPGap=${mipgap}`;
+      s.args[3] = `NumericFocus=${diagnose ? 3 : 0}`;
+      const args = s.args.slice();
+      // Insert the start solution file (if any) before the model file.
+      if(bp.use_start) args.splice(-1, 0, `InputFile=${s.start}`);
+      // Likewise insert the solver profile options (if any).
+      args.splice(-1, 0, ...bp.profile_options);
+      return {cmd: s.path, args: args, options: {windowsHide: true}};
+    }
+    if(bp.id === 'builtin') {
+      // NOTE: The built-in solver runs as a Node.js child process.
+      const args = s.args.map((a) => a.replace('%T%', timeout)
+          .replace('%I%', inttol).replace('%M%', mipgap));
+      return {cmd: s.path, args: args, options: {windowsHide: true}};
+    }
+    // MOSEK, CPLEX, SCIP, HiGHS and LP_solve will not work when the arguments
+    // are passed as an array. Therefore they are executed with a single
+    // command string that includes all arguments.
+    // Spawn options must be set such that (1) the command is executed
+    // within an OS shell script, (2) output is ignored (warnings should
+    // not also appear on the console, and (3) Windows does not open
+    // a visible sub-process shell window.
+    // NOTE: CPLEX commands must each be enclosed in double quotes, and
+    // are therefore appended to the MIP gap command.
+    const
+        po = bp.profile_options,
+        cmd = s.solve_cmd.replace('%T%', timeout)
+            .replace('%I%', inttol).replace('%M%', mipgap)
+            .replace('%S%', (bp.use_start ? s.start_option : ''))
+            .replace('%P%', (bp.id === 'cplex' && po.length ?
+                '" "' + po.join('" "') : po.join(' '))),
+        options = {shell: true, stdio: 'ignore', windowsHide: true};
+    if(bp.id === 'cplex') {
+      // NOTE: CPLEX must run in the solver output directory, as it writes
+      // its log file in its working directory.
+      options.cwd = path.dirname(s.log);
+      // Delete previous solver model file (if any).
+      try {
+        if(s.solver_model) fs.unlinkSync(s.solver_model);
+      } catch(err) {
+        // Ignore error when file not found.
+      }
+    }
+    if(bp.id === 'highs') {
+      // NOTE: HiGHS reads its parameters from the options file.
+      fs.writeFileSync(s.options, s.args.concat(bp.profile_options)
+          .join('\n').replace('%T%', timeout).replace('%I%', inttol)
+          .replace('%M%', mipgap));
+    }
+    return {cmd: cmd, args: [], options: options};
+  }
+
+  runSolver(bp) {
+    // Run the solver of block parameters `bp` with the specified
+    // parameters, and wait for it to finish.
+    let status = 0,
+        error = '';
+    try {
+      const sc = this.solverCommand(bp);
+      status = child_process.spawnSync(sc.cmd, sc.args, sc.options).status;
     } catch(err) {
       status = -13;
       error = err;
     }
+    return this.processExitStatus(status, error, bp);
+  }
+
+  processExitStatus(status, error, bp) {
+    // Update the result of block parameters `bp` on the basis of the exit
+    // code `status` of its solver and the spawn error (if any), and then
+    // process its output.
+    const
+        s = this.solver_list[bp.id],
+        result = bp.result;
     if(status) console.log(`Process status: ${status}`);
     let msg = s.statusMessage(status);  
     if(msg) {
@@ -585,18 +1442,719 @@ module.exports = class MILPSolver {
       msg = (error ? error.message : 'Unknown error');
       result.error += 'ERROR: ' + msg;
     }
-    return this.processSolverOutput(result);
+    return this.processSolverOutput(bp);
+  }
+
+  submitJob(sp, user='') {
+    // Add a solver job of `user` for the block specified by search
+    // parameters `sp` to the queue, and return its status. The job is
+    // executed by a child process, so the server remains responsive while
+    // the solver runs.
+    this.purgeJobs();
+    const job = this.queueJob(this.blockParameters(sp), user);
+    this.jobs[job.id] = job;
+    this.startNextJob();
+    return this.jobStatus(job.id, user);
+  }
+
+  queueJob(bp, user) {
+    // Add a solver job of `user` for block parameters `bp` to the queue,
+    // and return this job.
+    this.last_job_id++;
+    const job = {
+        id: 'J' + this.last_job_id,
+        user: user,
+        state: 'queued',
+        params: bp,
+        process: null,
+        result: null,
+        time: new Date()
+      };
+    this.job_queue.push(job);
+    return job;
+  }
+
+  submitBenchmark(sp, user='') {
+    // Add a benchmark job of `user` for the block specified by search
+    // parameters `sp`, and return its status. The benchmark queues one
+    // solver job per installed solver that can read the model, so these
+    // are executed like other jobs, and the benchmark report is compiled
+    // when the last of these jobs has finished.
+    this.purgeJobs();
+    this.last_job_id++;
+    const bm = {
+        id: 'B' + this.last_job_id,
+        user: user,
+        state: 'running',
+        search_params: sp,
+        params: this.benchmarkParameters(sp),
+        parts: [],
+        entries: [],
+        result: null,
+        time: new Date()
+      };
+    for(const bp of bm.params) {
+      if(bp.skipped) {
+        bm.entries.push(this.benchmarkEntry(bp, 0));
+      } else {
+        const job = this.queueJob(bp, user);
+        job.benchmark = bm;
+        bm.parts.push(job);
+      }
+    }
+    this.jobs[bm.id] = bm;
+    // NOTE: When no solver can read the model, the report is complete.
+    if(bm.parts.length) {
+      this.startNextJob();
+    } else {
+      this.finishBenchmark(bm);
+    }
+    return this.jobStatus(bm.id, user);
+  }
+
+  finishBenchmarkPart(job) {
+    // Add the report entry for benchmark part `job`, and when this is the
+    // last part, compile the benchmark report.
+    const bm = job.benchmark;
+    // NOTE: Aborted benchmarks produce no report.
+    if(bm.state === 'aborted') return;
+    bm.entries.push(this.benchmarkEntry(job.params,
+        (new Date() - job.time) / 1000));
+    if(bm.entries.length < bm.params.length) return;
+    this.finishBenchmark(bm);
+  }
+
+  finishBenchmark(bm) {
+    // Compile the report for benchmark `bm` when all its entries are in.
+    // NOTE: Entries must be in the order of the block parameters.
+    const index = (e) => bm.params.findIndex((bp) => bp.id === e.id);
+    bm.entries.sort((a, b) => index(a) - index(b));
+    bm.result = this.benchmarkReport(bm.search_params, bm.params,
+        bm.entries);
+    for(const line of this.benchmarkTable(bm.result)) console.log(line);
+    bm.state = 'done';
+    bm.params = null;
+    bm.time = new Date();
+  }
+
+  nextJobIndex() {
+    // Return the queue index of the job to be executed next. To share the
+    // solver fairly among users, this is the first queued job of the user
+    // whose previous job was started longest ago.
+    let index = 0,
+        earliest = Infinity;
+    for(let i = 0; i < this.job_queue.length; i++) {
+      const t = this.last_start[this.job_queue[i].user] || 0;
+      if(t < earliest) {
+        index = i;
+        earliest = t;
+      }
+    }
+    return index;
+  }
+
+  startNextJob() {
+    // Start the next job in the queue (if any) unless a job is running.
+    // NOTE: Solvers use shared input and output files, so jobs are
+    // executed one at a time.
+    if(this.active_job || !this.job_queue.length) return;
+    const
+        job = this.job_queue.splice(this.nextJobIndex(), 1)[0],
+        bp = job.params;
+    this.active_job = job;
+    job.state = 'running';
+    job.time = new Date();
+    this.last_start[job.user] = job.time.getTime();
+    if(job.user) console.log('Start solver job', job.id, 'of user', job.user);
+    if(!this.prepareRun(bp)) {
+      this.finishJob(job, bp.result);
+      return;
+    }
+    // Free the memory taken up by the model data.
+    bp.data = '';
+    if(bp.iis) {
+      if(!this.solver_list[bp.id].iis) {
+        this.finishJob(job, this.processIISOutput(0, '', bp));
+        return;
+      }
+      this.spawnJobProcess(job,
+          () => this.iisCommand(bp),
+          (status, err) => this.finishJob(job,
+              this.processIISOutput(status, err, bp)),
+          bp.result);
+      return;
+    }
+    this.spawnJobProcess(job,
+        () => this.solverCommand(bp),
+        (status, err) => {
+            const result = this.processExitStatus(status, err, bp);
+            if(bp.compute_duals && result.solution) {
+              this.spawnJobProcess(job,
+                  () => this.dualCommand(bp),
+                  (status) => this.finishJob(job,
+                      this.processDualOutput(status, bp)),
+                  result);
+            } else {
+              this.finishJob(job, result);
+            }
+          },
+        bp.result);
+  }
+
+  spawnJobProcess(job, command, done, result) {
+    // Run the command returned by function `command` as child process of
+    // `job`, and when it exits, call function `done` with its exit code.
+    // NOTE: If `command` returns NULL, nothing needs to be run, so `result`
+    // is returned as is.
+    let sc;
+    try {
+      sc = command();
+      if(!sc) {
+        this.finishJob(job, result);
+        return;
+      }
+      // NOTE: On macOS and Unix, the solver is started in a process group
+      // of its own, so that aborting also ends the shell's child process.
+      sc.options.detached = !this.windows;
+      job.process = child_process.spawn(sc.cmd, sc.args, sc.options);
+    } catch(err) {
+      done(-13, err);
+      return;
+    }
+    // NOTE: Gurobi is spawned without output redirection, so its output
+    // must be read (and ignored) to prevent the pipe from filling up.
+    if(job.process.stdout) job.process.stdout.resume();
+    if(job.process.stderr) job.process.stderr.resume();
+    job.process.on('error', (err) => {
+        // NOTE: When the process could not be spawned, no "close" event
+        // will follow.
+        if(job.process.pid === undefined) {
+          done(-13, err);
+        } else {
+          console.log('WARNING: Solver process error:', err.message);
+        }
+      });
+    job.process.on('close', (code) => {
+        if(job.state === 'aborted') {
+          this.finishJob(job, null);
+        } else {
+          // NOTE: Processes that are terminated by a signal have no code.
+          done(code === null ? -13 : code, '');
+        }
+      });
+  }
+
+  finishJob(job, result) {
+    // Store the result of `job`, and start the next job (if any).
+    if(result && job.params) this.storeInCache(job.params.cache_key, result);
+    if(job.state !== 'aborted') job.state = 'done';
+    if(job.benchmark) this.finishBenchmarkPart(job);
+    job.process = null;
+    job.params = null;
+    job.result = result;
+    job.time = new Date();
+    if(this.active_job === job) this.active_job = null;
+    this.startNextJob();
+  }
+
+  jobStatus(id, user='') {
+    // Return the state of job `id` of `user`, and when it has finished,
+    // also the solver results. The job is then removed from the job list.
+    const job = this.jobs[id];
+    if(!job || job.user !== user) {
+      return {job: id, error: `Unknown solver job "${id}"`};
+    }
+    const json = {job: id, state: job.state};
+    if(job.state === 'queued') {
+      json.position = this.job_queue.indexOf(job) + 1;
+    } else if(job.state === 'done' || job.state === 'aborted') {
+      if(job.result) json.result = job.result;
+      delete this.jobs[id];
+    }
+    return json;
+  }
+
+  jobLog(id, offset, user='') {
+    // Return the lines that the solver of job `id` of `user` has written
+    // to its log file beyond byte position `offset`, the progress reported
+    // by these lines, and the new offset. Property `done` is TRUE when the
+    // job is no longer running.
+    const job = this.jobs[id];
+    if(!job || job.user !== user) {
+      return {job: id, done: true, offset: offset, lines: [], progress: [],
+          error: `Unknown solver job "${id}"`};
+    }
+    const log = {job: id, done: false, offset: offset, lines: [], progress: []};
+    // NOTE: Benchmarks run several solvers, so their log is not streamed.
+    if(job.parts) log.done = job.state !== 'running';
+    if(job.state === 'queued' || job.parts) return log;
+    // NOTE: When the job has finished, its log file may already have been
+    // deleted by the next job, as all jobs use the same solver files.
+    if(job !== this.active_job) {
+      log.done = true;
+      return log;
+    }
+    const s = this.solver_list[job.params.id];
+    let text = '';
+    try {
+      const fd = fs.openSync(s.log, 'r');
+      try {
+        const size = fs.fstatSync(fd).size;
+        if(size > offset) {
+          const buf = Buffer.alloc(size - offset);
+          fs.readSync(fd, buf, 0, buf.length, offset);
+          text = buf.toString();
+        }
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch(err) {
+      // Ignore error, as the solver may not have created its log file yet.
+    }
+    // Pass only complete lines; the rest will be read next time.
+    text = text.substring(0, text.lastIndexOf('\n') + 1);
+    if(!text) return log;
+    log.offset += Buffer.byteLength(text);
+    log.lines = text.split(/\r?\n/);
+    log.lines.pop();
+    const t = (new Date() - job.time) / 1000;
+    for(const line of log.lines) {
+      const p = this.logProgress(line, job.params.id);
+      if(p) {
+        p.time = t;
+        log.progress.push(p);
+      }
+    }
+    return log;
+  }
+
+  logProgress(line, id) {
+    // Return the incumbent objective value, the best bound and the relative
+    // MIP gap reported in log line `line` of solver `id`, or NULL if this
+    // line does not report branch-and-bound progress.
+    const
+        s = this.solver_list[id],
+        m = (s && s.progress ? s.progress(line) : null);
+    if(!m) return null;
+    // NOTE: Solvers denote "no value" in different ways (e.g., "-", "--",
+    // "NA", "inf" or "Large"), and these all parse as NaN.
+    const num = (v) => {
+        v = parseFloat(v);
+        return (isFinite(v) ? v : null);
+      };
+    const p = {incumbent: num(m[0]), bound: num(m[1]), gap: num(m[2])};
+    // NOTE: Solvers report the gap as a percentage.
+    if(p.gap !== null) {
+      p.gap /= 100;
+    } else if(p.incumbent !== null && p.bound !== null) {
+      p.gap = Math.abs(p.incumbent - p.bound) /
+          Math.max(1e-10, Math.abs(p.incumbent));
+    }
+    return p;
+  }
+
+  abortJob(id, user='') {
+    // Abort job `id` of `user`: remove it from the queue if it is still
+    // waiting, or kill the solver process if it is running.
+    const job = this.jobs[id];
+    if(!job || job.user !== user) {
+      return {job: id, error: `Unknown solver job "${id}"`};
+    }
+    if(job.parts) {
+      // Abort all solver jobs of a benchmark.
+      if(job.state === 'running') {
+        job.state = 'aborted';
+        job.time = new Date();
+        for(const p of job.parts) this.abortJobPart(p);
+      }
+    } else {
+      this.abortJobPart(job);
+    }
+    return {job: id, state: job.state};
+  }
+
+  abortJobPart(job) {
+    // Remove `job` from the queue if it is still waiting, or kill its
+    // solver process if it is running.
+    if(job.state === 'queued') {
+      this.job_queue.splice(this.job_queue.indexOf(job), 1);
+      job.state = 'aborted';
+      job.time = new Date();
+    } else if(job.state === 'running') {
+      job.state = 'aborted';
+      if(job.process) {
+        console.log('Aborting solver process', job.process.pid);
+        this.killProcess(job.process);
+      }
+    }
+  }
+
+  killProcess(cp) {
+    // Terminate child process `cp` including its sub-processes.
+    try {
+      if(this.windows) {
+        // NOTE: On Windows, the shell's child processes are terminated
+        // only when the process tree is killed.
+        child_process.spawnSync('taskkill',
+            ['/pid', cp.pid, '/t', '/f'], {windowsHide: true});
+      } else {
+        // Negative PID signals the entire process group.
+        process.kill(-cp.pid, 'SIGTERM');
+      }
+    } catch(err) {
+      console.log('WARNING: Failed to kill solver process', cp.pid);
+      console.log(err.message);
+    }
   }
 
-  processSolverOutput(result) {
-    // Read solver output files and return solution (or error).
+  purgeJobs() {
+    // Remove finished jobs that have not been polled for more than an hour.
+    const t = new Date() - 3600000;
+    for(const id of Object.keys(this.jobs)) {
+      const job = this.jobs[id];
+      if((job.state === 'done' || job.state === 'aborted') && job.time < t) {
+        delete this.jobs[id];
+      }
+    }
+  }
+
+  iisCommand(bp) {
+    // Return the command, its arguments and the spawn options for having
+    // the solver of block parameters `bp` compute an irreducible infeasible
+    // subsystem (IIS) for the model in its user model file, or NULL if the
+    // solver cannot do this.
     const
+        s = this.solver_list[bp.id],
+        timeout = bp.timeout;
+    if(!s.iis) return null;
+    // Delete previous IIS file (if any).
+    try {
+      fs.unlinkSync(s.iis);
+    } catch(err) {
+      // Ignore error when file not found.
+    }
+    if(bp.id === 'gurobi') {
+      return {
+          cmd: s.path,
+          args: [`timeLimit=${timeout}`, `LogFile=${s.log}`,
+              `ResultFile=${s.iis}`, s.user_model],
+          options: {windowsHide: true}
+        };
+    }
+    if(bp.id === 'cplex') {
+      // NOTE: CPLEX must run in the solver output directory.
+      return {
+          cmd: `cplex -c "read ${s.user_model}" "set timelimit ${timeout}" ` +
+              `"optimize" "conflict" "write ${s.iis} clp" "quit"`,
+          args: [],
+          options: {shell: true, stdio: 'ignore', windowsHide: true,
+              cwd: path.dirname(s.log)}
+        };
+    }
+    return null;
+  }
+
+  processIISOutput(status, error, bp) {
+    // Add the IIS computed by the solver of block parameters `bp` to its
+    // result as lists of constraints [name, {variable: coefficient},
+    // operator, RHS] and of bounds [variable, bound line] (both in CPLEX
+    // LP format).
+    const
+        s = this.solver_list[bp.id],
+        result = bp.result;
+    result.iis = {constraints: [], bounds: []};
+    if(!s.iis) {
+      result.error = `${s.name} cannot explain infeasibility`;
+      return result;
+    }
+    if(status !== 0) console.log(`Process status: ${status}`);
+    let lp = '';
+    try {
+      lp = fs.readFileSync(s.iis, 'utf8');
+    } catch(err) {
+      console.log('No IIS file');
+      result.error = (error ? error.message :
+          'Solver found no irreducible infeasible subsystem');
+      return result;
+    }
+    const
+        headers = ['Subject To', 'Such That', 'st', 's.t.', 'Bounds',
+            'Binary', 'Binaries', 'General', 'Generals', 'Semi-continuous',
+            'SOS', 'End'],
+        ops = ['<=', '>=', '=', '<', '>', '=<', '=>'],
+        tokens = [];
+    let section = '';
+    for(const l of safeTextToLines(lp)) {
+      const t = l.trim();
+      if(!t || t.startsWith('\\')) continue;
+      if(headers.indexOf(t) >= 0) {
+        section = t;
+      } else if(section === 'Bounds') {
+        // NOTE: Skip letters in numbers such as 1e+30.
+        const v = t.match(/(?<![\w\.])[A-Za-z_][\w\.]*/g) || [];
+        for(const n of v) {
+          if(['free', 'inf', 'infinity'].indexOf(n.toLowerCase()) < 0) {
+            const dn = this.defaultName(n, bp);
+            result.iis.bounds.push([dn, t.replace(n, dn)]);
+            break;
+          }
+        }
+      } else if(section && section !== 'End' &&
+          ['Binary', 'Binaries', 'General', 'Generals', 'Semi-continuous',
+              'SOS'].indexOf(section) < 0) {
+        // Constraints may span multiple lines, so collect their tokens.
+        for(const tkn of t.split(/\s+/)) tokens.push(tkn);
+      }
+    }
+    // Parse the constraints from the token sequence.
+    let c = null,
+        sign = 1,
+        coef = 1,
+        expect_rhs = false;
+    for(const t of tokens) {
+      if(t.endsWith(':')) {
+        c = [this.defaultName(t.slice(0, -1), bp), {}, '', 0];
+        sign = 1;
+        coef = 1;
+      } else if(!c) {
+        continue;
+      } else if(expect_rhs) {
+        c[3] = parseFloat(t);
+        result.iis.constraints.push(c);
+        c = null;
+        expect_rhs = false;
+      } else if(ops.indexOf(t) >= 0) {
+        c[2] = t;
+        expect_rhs = true;
+      } else if(t === '+' || t === '-') {
+        sign = (t === '-' ? -1 : 1);
+      } else if(!isNaN(parseFloat(t)) && isFinite(t)) {
+        coef = parseFloat(t);
+      } else {
+        let v = t;
+        if(v.startsWith('-') || v.startsWith('+')) {
+          if(v.startsWith('-')) sign = -sign;
+          v = v.substring(1);
+        }
+        c[1][this.defaultName(v, bp)] = sign * coef;
+        sign = 1;
+        coef = 1;
+      }
+    }
+    result.messages.push(`IIS comprises ` +
+        `${result.iis.constraints.length} constraint(s) and ` +
+        `${result.iis.bounds.length} bound(s)`);
+    return result;
+  }
+
+  fixedModel(lp, x, bp) {
+    // Return model `lp` (in CPLEX LP format) as a linear program by fixing
+    // its integer, semi-continuous and SOS variables at their values in
+    // solution vector `x`. Block parameters `bp` provide the names of
+    // variables if the model has a legend.
+    const
+        lines = safeTextToLines(lp),
+        headers = ['Bounds', 'Binary', 'General', 'Semi-continuous',
+            'SOS', 'End'],
+        // NOTE: Solution vector is zero-based, variable names are X1, X2, ...
+        // or are listed in the legend of the model.
+        value = (v) => parseFloat(
+            x[parseInt(this.defaultName(v, bp).substring(1)) - 1]) || 0,
+        fixed = {};
+    let section = '';
+    // First identify the variables that must be fixed.
+    for(const l of lines) {
+      const t = l.trim();
+      if(headers.indexOf(t) >= 0) {
+        section = t;
+      } else if(section === 'Binary' || section === 'General') {
+        for(const v of t.split(/\s+/)) if(v) fixed[v] = Math.round(value(v));
+      } else if(section === 'Semi-continuous') {
+        // Semi-continuous variables that are zero must remain zero, while
+        // all others are continuous within their bounds.
+        for(const v of t.split(/\s+/)) if(v && !value(v)) fixed[v] = 0;
+      } else if(section === 'SOS') {
+        // SOS lines have format "name: S1:: X001:1 X002:2 ...".
+        for(const v of t.match(/[^\s:]+(?=:\d)/g) || []) fixed[v] = value(v);
+      }
+    }
+    // Then copy the model up to the special sections, but omit the bounds
+    // of the fixed variables.
+    const out = [];
+    section = '';
+    for(const l of lines) {
+      const t = l.trim();
+      if(headers.indexOf(t) > 0) break;
+      if(t === 'Bounds') {
+        section = t;
+      } else if(section === 'Bounds') {
+        // NOTE: Skip letters in numbers such as 1e+30.
+        const v = (t.match(/(?<![\w\.])[A-Za-z_][\w\.]*/g) || []).find(
+            (n) => ['free', 'inf', 'infinity'].indexOf(n.toLowerCase()) < 0);
+        if(v && fixed.hasOwnProperty(v)) continue;
+      }
+      out.push(l);
+    }
+    if(!section) out.push('Bounds');
+    for(const v of Object.keys(fixed)) out.push(` ${v} = ${fixed[v]}`);
+    out.push('End');
+    return out.join('\n');
+  }
+
+  dualCommand(bp) {
+    // Write the LP re-solve model for the solution in the result of block
+    // parameters `bp`, and return the command, its arguments and the spawn
+    // options for solving it with the solver of `bp`, or NULL if the model
+    // cannot be written.
+    const
+        s = this.solver_list[bp.id],
+        timeout = bp.timeout,
+        result = bp.result;
+    try {
+      fs.writeFileSync(s.dual_model, this.fixedModel(
+          fs.readFileSync(s.user_model, 'utf8'), result.data.x, bp));
+    } catch(err) {
+      console.log('WARNING: Failed to write LP re-solve model');
+      console.log(err.message);
+      result.messages.push('WARNING: Failed to compute dual values');
+      return null;
+    }
+    // Delete previous dual solution file (if any).
+    try {
+      fs.unlinkSync(s.dual_solution);
+    } catch(err) {
+      // Ignore error when file not found.
+    }
+    console.log('Re-solve block', result.block, result.round,
+        'as LP for dual values');
+    if(bp.id === 'gurobi') {
+      return {
+          cmd: s.path,
+          args: [`timeLimit=${timeout}`, 'JSONSolDetail=1',
+              `LogFile=${s.dual_log}`, `ResultFile=${s.dual_solution}`,
+              s.dual_model],
+          options: {windowsHide: true}
+        };
+    }
+    const options = {shell: true, stdio: 'ignore', windowsHide: true};
+    if(bp.id === 'cplex') {
+      // NOTE: CPLEX must run in the solver output directory, as it writes
+      // its log file in its working directory.
+      options.cwd = path.dirname(s.log);
+      return {
+          cmd: `cplex -c "read ${s.dual_model}" "set timelimit ${timeout}" ` +
+              `"optimize" "write ${s.dual_solution} sol" "quit"`,
+          args: [],
+          options: options
+        };
+    }
+    if(bp.id === 'highs') {
+      fs.writeFileSync(s.dual_options, [
+          `time_limit = ${timeout}`,
+          'write_solution_to_file = true',
+          `solution_file = ${s.dual_solution}`,
+          'write_solution_style = 0'
+        ].join('\n'));
+      return {
+          cmd: `"${s.path}" --model_file "${s.dual_model}" ` +
+              `--options_file "${s.dual_options}" >"${s.dual_log}"`,
+          args: [],
+          options: options
+        };
+    }
+    return null;
+  }
+
+  processDualOutput(status, bp) {
+    // Add the dual values of the LP re-solve to `result` as lists of
+    // [row, value] and [column, value] pairs for the constraints (rows
+    // are zero-based) and the variables (columns are one-based).
+    // NOTE: Only non-zero values are added. The constraints must have
+    // been named C1, C2, ... and the variables X1, X2, ... or be listed
+    // in the legend of the model.
+    const
+        s = this.solver_list[bp.id],
+        result = bp.result,
+        duals = [],
+        reduced_costs = [],
+        addValue = (name, v) => {
+            v = parseFloat(v);
+            if(!v || Math.abs(v) < bp.near_zero) return;
+            name = this.defaultName(name, bp);
+            if(name.startsWith('C')) {
+              duals.push([parseInt(name.substring(1)) - 1, v]);
+            } else if(name.startsWith('X')) {
+              reduced_costs.push([parseInt(name.substring(1)), v]);
+            }
+          };
+    let sol = '';
+    try {
+      sol = fs.readFileSync(s.dual_solution, 'utf8').trim();
+    } catch(err) {
+      console.log('No dual solution file');
+    }
+    if(status !== 0 || !sol) {
+      result.messages.push('WARNING: LP re-solve for dual values failed');
+      return result;
+    }
+    try {
+      if(bp.id === 'gurobi') {
+        const json = JSON.parse(sol);
+        for(const c of json.Constrs || []) addValue(c.ConstrName, c.Pi);
+        for(const v of json.Vars || []) addValue(v.VarName, v.RC);
+      } else if(bp.id === 'cplex') {
+        // CPLEX writes the dual values as XML attributes.
+        for(const l of safeTextToLines(sol)) {
+          const m = l.match(/name="([^"]+)".*(dual|reducedCost)="([^"]+)"/);
+          if(m) addValue(m[1], m[3]);
+        }
+      } else if(bp.id === 'highs') {
+        // Dual values follow the primal values, first for the columns,
+        // then for the rows.
+        const
+            lines = safeTextToLines(sol),
+            ds = lines.indexOf('# Dual solution values');
+        if(ds >= 0) {
+          for(let i = ds + 1; i < lines.length; i++) {
+            if(!lines[i].startsWith('#')) {
+              const v = lines[i].split(/\s+/);
+              if(v.length === 2) addValue(v[0], v[1]);
+            }
+          }
+        }
+      }
+    } catch(err) {
+      console.log('WARNING: Could not read dual solution file');
+      console.log(err.message);
+      result.messages.push('WARNING: Failed to read dual values');
+      return result;
+    }
+    result.duals = duals;
+    result.reduced_costs = reduced_costs;
+    result.messages.push('Dual values obtained by re-solving the block as ' +
+        'LP with fixed integer variables');
+    return result;
+  }
+
+  processSolverOutput(bp) {
+    // Read the output files of the solver of block parameters `bp` and
+    // return solution (or error).
+    const
+        result = bp.result,
         x_values = [],
         x_dict = {},
         getValuesFromDict = () => {
           // Return a result vector for as many real numbers (as strings!)
           // as there are columns (0 if not reported by the solver).
-          // First sort on variable name (assuming format Xn+).
+          // If the model has a legend, first rename the variables to Xn+.
+          if(bp.lp_names) {
+            for(const v of Object.keys(x_dict)) {
+              const xv = x_dict[v];
+              delete x_dict[v];
+              if(bp.lp_names[v]) x_dict[bp.lp_names[v]] = xv;
+            }
+          }
+          // Then sort on variable name (assuming format Xn+).
           const vlist = Object.keys(x_dict).sort();
           // Start with column 1.
           let col = 1,
@@ -616,7 +2174,7 @@ module.exports = class MILPSolver {
             const
                 xfv = parseFloat(xv),
                 ax = Math.abs(xfv);
-            if(xfv && ax < this.near_zero) {
+            if(xfv && ax < bp.near_zero) {
               // console.log('NOTE: Truncated ', xfv, ' to zero for variable', v);
               nz_count++;
               nz_max = Math.max(nz_max, ax);
@@ -638,7 +2196,7 @@ module.exports = class MILPSolver {
           // No return value; function operates on x_values.
         };
 
-    const s = this.solver_list[this.id];
+    const s = this.solver_list[bp.id];
     let log = '';
     try {
       log = fs.readFileSync(s.log, 'utf8');
@@ -646,9 +2204,28 @@ module.exports = class MILPSolver {
       console.log(`Failed to read solver log file ${s.log}`);
     }
     // Solver output has different formats, hence separate routines.
-    if(this.id === 'gurobi') {
+    if(bp.id === 'builtin') {
+      result.messages = result.messages.concat(safeTextToLines(log));
+      try {
+        const sol = JSON.parse(fs.readFileSync(s.solution, 'utf8'));
+        result.seconds = sol.seconds;
+        result.obj = sol.objective;
+        if(sol.x) {
+          // Fill dictionary with variable name: value entries.
+          for(const v of Object.keys(sol.x)) x_dict[v] = sol.x[v];
+          // Fill the solution vector, adding 0 for missing columns.
+          getValuesFromDict();
+        }
+      } catch(err) {
+        console.log('WARNING: Could not read solution file');
+        console.log(err.message);
+        result.status = -13;
+        result.solution = false;
+        result.error = 'No solution found';
+      }
+    } else if(bp.id === 'gurobi') {
       // `messages` must be an array of strings.
-      result.messages = safeTextToLines(log);
+      result.messages = result.messages.concat(safeTextToLines(log));
       if(result.status === 1 ||
           (result.status !== 0 && log.indexOf('license') < 0)) {
         // Exit code typically indicates expired license, but also
@@ -690,11 +2267,11 @@ module.exports = class MILPSolver {
           result.error = 'No solution found';
         }
       }
-    } else if(this.id === 'mosek') {
+    } else if(bp.id === 'mosek') {
       let solved = false,
           output = [];
       // `messages` must be an array of strings.
-      result.messages = safeTextToLines(log);
+      result.messages = result.messages.concat(safeTextToLines(log));
       // NOTE: MOSEK may also write solution to 'user_model.bas', so
       // try that as well before reporting failure.
       try {
@@ -745,9 +2322,11 @@ module.exports = class MILPSolver {
           }
           // Fill dictionary with variable name: value entries.
           while(i < output.length) {
-            const m = output[i].match(/^\d+\s+X(\d+)\s+\w\w\s+([^\s]+)\s+/);
+            const m = output[i].match(/^\d+\s+(\S+)\s+\w\w\s+([^\s]+)\s+/);
             if(m !== null)  {
-              const vn = 'X' + m[1].padStart(7, '0');
+              // NOTE: Default names are padded so they can be sorted.
+              const vn = (bp.lp_names ? m[1] :
+                  'X' + m[1].substring(1).padStart(7, '0'));
               x_dict[vn] = parseFloat(m[2]);
             }
             i++;
@@ -758,7 +2337,7 @@ module.exports = class MILPSolver {
       } else {
         console.log('No solution found');
       }
-    } else if(this.id === 'cplex') {
+    } else if(bp.id === 'cplex') {
       result.seconds = 0;
       const
           no_license = (log.indexOf('No license found') >= 0),
@@ -774,7 +2353,7 @@ module.exports = class MILPSolver {
           mst = log.match(/Solution time \=\s+(\d+\.\d+) sec/);
       if(mst && mst.length > 1) result.seconds = parseFloat(mst[1]);
       // `messages` must be an array of strings.
-      result.messages = safeTextToLines(log);
+      result.messages = result.messages.concat(safeTextToLines(log));
       let solved = false,
           output = [];
       if(no_license) {
@@ -828,7 +2407,9 @@ module.exports = class MILPSolver {
         }
         // Fill dictionary with variable name: value entries.
         while(i < output.length) {
-          const m = output[i].match(/^.*name="(X[^"]+)".*value="([^"]+)"/);
+          const m = output[i].match(
+              bp.lp_names ? /^.*name="([^"]+)".*value="([^"]+)"/ :
+                  /^.*name="(X[^"]+)".*value="([^"]+)"/);
           if(m !== null)  x_dict[m[1]] = parseFloat(m[2]);
           i++;
         }
@@ -837,10 +2418,10 @@ module.exports = class MILPSolver {
       } else {
         console.log('No solution found');
       }
-    } else if(this.id === 'scip') {
+    } else if(bp.id === 'scip') {
       result.seconds = 0;
       // `messages` must be an array of strings.
-      result.messages = safeTextToLines(log);
+      result.messages = result.messages.concat(safeTextToLines(log));
       let solved = false,
           output = [];
       if(result.status !== 0) {
@@ -900,7 +2481,82 @@ module.exports = class MILPSolver {
       } else {
         console.log('No solution found');
       }
-    } else if(this.id === 'lp_solve') {
+    } else if(bp.id === 'highs') {
+      result.seconds = 0;
+      // `messages` must be an array of strings.
+      result.messages = result.messages.concat(safeTextToLines(log));
+      for(const m of result.messages) {
+        const rt = m.match(/^HiGHS run time\s*:\s*(\d+(\.\d+)?)/);
+        if(rt) result.seconds = parseFloat(rt[1]);
+      }
+      let solved = false,
+          output = [];
+      if(result.status !== 0 && !result.solution) {
+        // Exit code -1 indicates serious trouble.
+        result.error = 'HiGHS solver terminated with error';
+      } else {
+        try {
+          output = safeTextToLines(
+              fs.readFileSync(s.solution, 'utf8').trim());
+        } catch(err) {
+          console.log('No HiGHS solution file');
+        }
+      }
+      if(output.length) {
+        // The solution file starts with the model status, followed by the
+        // primal solution status, the objective value, and the variables.
+        const
+            ms = output.indexOf('Model status'),
+            status = (ms >= 0 && ms < output.length - 1 ?
+                output[ms + 1].trim() : ''),
+            codes = {
+              'Optimal': 7,
+              'Infeasible': 8,
+              'Primal infeasible or unbounded': 9,
+              'Unbounded': 10,
+              'Bound on objective reached': 11,
+              'Target for objective reached': 12,
+              'Time limit reached': 13,
+              'Iteration limit reached': 14,
+              'Solution limit reached': 16,
+              'Interrupted by user': 17
+            },
+            code = (codes.hasOwnProperty(status) ? codes[status] : 15),
+            ps = output.indexOf('# Primal solution values'),
+            feasible = (ps >= 0 && output[ps + 1] === 'Feasible');
+        if(code === 7) {
+          result.status = 0;
+          result.error = '';
+          solved = feasible;
+        } else {
+          result.status = code;
+          result.solution = s.usableSolution(code) && feasible;
+          result.error = s.statusMessage(code);
+          solved = result.solution;
+          console.log(`Solver status: ${result.status} - ${result.error}`);
+        }
+        if(solved) {
+          let i = ps + 2;
+          // Get value of objective function.
+          if(output[i].startsWith('Objective')) {
+            result.obj = parseFloat(output[i].split(/\s+/)[1]);
+            i++;
+          }
+          // Skip the "# Columns N" line.
+          if(output[i].startsWith('# Columns')) i++;
+          // Fill dictionary with variable name: value entries until the
+          // "# Rows N" line.
+          while(i < output.length && !output[i].startsWith('#')) {
+            const v = output[i].split(/\s+/);
+            x_dict[v[0]] = parseFloat(v[1]);
+            i++;
+          }
+          // Fill the solution vector, adding 0 for missing columns.
+          getValuesFromDict();
+        }
+      }
+      if(!solved) console.log('No solution found');
+    } else if(bp.id === 'lp_solve') {
       const
           // NOTE: LP_solve both messages and solution console, hence
           // the log file is processed in two "stages".
@@ -919,7 +2575,7 @@ module.exports = class MILPSolver {
         solved = output[i].startsWith('Value of objective function:');
         i++;
       }
-      result.messages = msgs;
+      result.messages = result.messages.concat(msgs);
       if(solved) {
         // Get value of objective function
         result.obj = parseFloat(output[i].split(':')[1]);
@@ -951,6 +2607,11 @@ module.exports = class MILPSolver {
       console.log(err.toString());
       result.model = 'ERROR reading solver model file: ' + err;
     }
+    // Add the constant term that presolve moved out of the objective.
+    if(bp.obj_constant && result.solution) {
+      const obj = parseFloat(result.obj);
+      if(isFinite(obj)) result.obj = obj + bp.obj_constant;
+    }
     if(result.error) console.log('Solver error:', result.error);
     return result;
   }
@@ -103,12 +103,22 @@ class LinnyRModel {
     this.start_period = 1; // defines starting point in datasets
     this.end_period = 1;
     this.look_ahead = 0;
+    // Seed for the pseudo-random number generator (0 = new seed per run).
+    this.random_seed = 0;
+    // Time aggregation into representative periods ('' = no aggregation).
+    this.aggregation_period = '';
+    this.representative_periods = 12;
+    this.aggregation_method = 'k-means';
     this.grid_pixels = 20;
     this.align_to_grid = true;
     this.with_power_flow = false;
     this.ignore_grid_capacity = false;
     this.ignore_KVL = false;
     this.ignore_power_losses = false;
+    // N-1 contingency analysis mode: '' (none), 'report' (check for
+    // post-contingency overloads after solving) or 'secure' (add
+    // post-contingency flow limits to the MILP).
+    this.contingency_analysis = '';
     this.infer_cost_prices = false;
     this.report_results = false;
     this.show_block_arrows = true;
@@ -122,6 +132,18 @@ class LinnyRModel {
     this.MIP_gap = 1e-4; // relative MIP gap
     this.always_diagnose = true;
     this.show_notices = true;
+    this.warm_start = false; // use solution of previous block as start
+    this.compute_duals = false; // re-solve blocks as LP to obtain duals
+    this.readable_lp = false; // name LP variables after entities
+    // Named solver parameter profiles, and the name of the profile that
+    // is used when solving (empty string denotes "no profile").
+    this.solver_profiles = {};
+    this.solver_profile = '';
+    // In multi-objective mode, the VM optimizes the objectives in order
+    // of priority. Objectives are stored as strings like "min CO2|L 1%"
+    // that are parsed by the VM when the model is solved.
+    this.multi_objective = false;
+    this.objectives = [];
 
     // Sensitivity-related properties
     this.base_case_selectors = '';
@@ -251,7 +273,8 @@ class LinnyRModel {
             's=', this.time_scale, tu[this.time_unit],
             ' t=', this.start_period, '-', this.end_period,
             ' b=', this.block_length,
-            ' l=', this.look_ahead].join('');
+            ' l=', this.look_ahead,
+            ' r=', this.random_seed].join('');
     let go = '';
     if(this.with_power_flow) {
       if(this.ignore_grid_capacity) go += 'c';
@@ -276,6 +299,7 @@ class LinnyRModel {
         sep = false,
         sbl = false,
         sla = false,
+        srs = false,
         cap = false,
         kvl = false,
         pls = false;
@@ -318,6 +342,12 @@ class LinnyRModel {
         }
       } else if(setting === 'l') {
         sla = parseInt(value);
+      } else if(setting === 'r') {
+        srs = parseInt(value);
+        if(isNaN(srs) || srs < 0) {
+          UI.warn(`Invalid random seed in settings "${ss}"`);
+          ok = false;
+        }
       } else if(!value && setting.startsWith('-')) {
         cap = setting.indexOf('c') >= 0;
         kvl = setting.indexOf('k') >= 0;
@@ -331,6 +361,7 @@ class LinnyRModel {
       if(sep !== false) this.end_period = sep;
       if(sbl !== false) this.block_length = sbl;
       if(sla !== false) this.look_ahead = sla;
+      if(srs !== false) this.random_seed = srs;
       if(this.with_power_flow) {
         this.ignore_grid_capacity = cap;
         this.ignore_KVL = kvl;
@@ -340,6 +371,62 @@ class LinnyRModel {
     return ok;
   }
   
+  parseObjective(s) {
+    // Parse string `s` as an objective of the form "max name|attribute"
+    // or "min name|attribute", optionally followed by a tolerance, e.g.,
+    // "min CO2 emission|L 0.5%". Return the objective as an object, or
+    // an error message if `s` does not define a valid objective.
+    // NOTE: The name "(all actors)" denotes the objective that is used
+    // when the model is not in multi-objective mode, i.e., the weighted
+    // sum of actor cash flows.
+    let str = s.trim().replace(/\s+/g, ' ');
+    const
+        sense = str.substring(0, 3).toLowerCase(),
+        tm = str.match(/ (\d*\.?\d+) ?%$/);
+    if(sense !== 'max' && sense !== 'min' || str.charAt(3) !== ' ') {
+      return `Objective "${s}" must start with "max" or "min"`;
+    }
+    let tol = 0;
+    if(tm) {
+      tol = parseFloat(tm[1]) / 100;
+      str = str.substring(0, str.length - tm[0].length);
+    }
+    str = str.substring(4);
+    const bi = str.lastIndexOf('|');
+    let name = str,
+        attr = '';
+    if(bi >= 0) {
+      name = str.substring(0, bi).trim();
+      attr = str.substring(bi + 1).trim().toUpperCase();
+    }
+    let obj = null;
+    if(name === '(all actors)') {
+      attr = attr || 'CF';
+      if(attr !== 'CF') {
+        return `Objective "${s}" can only have attribute CF`;
+      }
+    } else {
+      obj = this.objectByName(name);
+      if(obj instanceof Actor) {
+        attr = attr || 'CF';
+        if(['CF', 'CI', 'CO'].indexOf(attr) < 0) {
+          return `Objective "${s}" must have attribute CF, CI or CO`;
+        }
+      } else if(obj instanceof Process || obj instanceof Product) {
+        attr = attr || 'L';
+        if(attr !== 'L') {
+          return `Objective "${s}" must have attribute L`;
+        }
+      } else {
+        return `Objective "${s}" must refer to an actor, process or product`;
+      }
+    }
+    const text = [sense, ' ', (obj ? obj.displayName : name), '|', attr,
+        (tol ? ' ' + VM.sig4Dig(tol * 100) + '%' : '')].join('');
+    return {sense: sense, sign: (sense === 'max' ? 1 : -1), object: obj,
+        attribute: attr, tolerance: tol, text: text};
+  }
+
   powerGridByID(id) {
     // Return power grid identified by hex string `id`.
     if(this.power_grids.hasOwnProperty(id)) return this.power_grids[id];
@@ -602,6 +689,12 @@ class LinnyRModel {
       x = e.initial_level;
     } else if(a === 'LCF') {
       x = e.pace_expression;
+    } else if(a === 'MUT') {
+      x = e.min_up_time;
+    } else if(a === 'MDT') {
+      x = e.min_down_time;
+    } else if(a === 'QC') {
+      x = e.quadratic_cost;
     } else if(a === 'P') {
       x = e.price;
     } else if(a === 'W') {
@@ -1407,8 +1500,8 @@ class LinnyRModel {
     //      multiplier = 1 and base unit = '1' to denote "atomic unit".
     //  (2) Linny-R remains agnostic about physics, SI standards etc.
     //      so modelers can do anything they like.
-    //  (3) Linny-R may in the future be extended with a unit consistency
-    //      check.
+    //  (3) The consistency of scale units can be checked by the
+    //      UnitChecker.
     name = UI.cleanName(name);
     // NOTE: Empty string denotes default unit, so test this first to
     // avoid a warning .
@@ -1578,6 +1671,23 @@ class LinnyRModel {
     return pg;
   }
   
+  addSolverProfile(name, node=null) {
+    // Add a solver profile to the model, or return the existing one.
+    let sp = this.solver_profiles[name];
+    if(sp) return sp;
+    sp = new SolverProfile(name);
+    if(node) sp.initFromXML(node);
+    this.solver_profiles[name] = sp;
+    return sp;
+  }
+  
+  get solverProfileParameters() {
+    // Return the parameters of the selected solver profile as JSON string,
+    // or the empty string if no (valid) profile has been selected.
+    const sp = this.solver_profiles[this.solver_profile];
+    return (sp ? JSON.stringify(sp.parameters) : '');
+  }
+  
   addNote(node=null) {
     // Add a note to the focal cluster.
     let n = new Note(this.focal_cluster);
@@ -2263,6 +2373,7 @@ class LinnyRModel {
       mergeDistinct(p.upper_bound.referencedEntities, extras);
       mergeDistinct(p.initial_level.referencedEntities, extras);
       mergeDistinct(p.price.referencedEntities, extras);
+      mergeDistinct(p.quadratic_cost.referencedEntities, extras);
       xml.push(p.asXML);
     }
     for(const p of entities.Process) {
@@ -2270,6 +2381,9 @@ class LinnyRModel {
       mergeDistinct(p.upper_bound.referencedEntities, extras);
       mergeDistinct(p.initial_level.referencedEntities, extras);
       mergeDistinct(p.pace_expression.referencedEntities, extras);
+      mergeDistinct(p.min_up_time.referencedEntities, extras);
+      mergeDistinct(p.min_down_time.referencedEntities, extras);
+      mergeDistinct(p.quadratic_cost.referencedEntities, extras);
       xml.push(p.asXML);
     }
     // Only now add the XML for the selected clusters.
@@ -2850,11 +2964,13 @@ class LinnyRModel {
     }
     for(let k in this.processes) if(this.processes.hasOwnProperty(k)) {
       const p = this.processes[k];
-      xl.push(p.lower_bound, p.upper_bound, p.initial_level, p.pace_expression);
+      xl.push(p.lower_bound, p.upper_bound, p.initial_level, p.pace_expression,
+          p.min_up_time, p.min_down_time, p.quadratic_cost);
     }
     for(let k in this.products) if(this.products.hasOwnProperty(k)) {
       const p = this.products[k];
-      xl.push(p.lower_bound, p.upper_bound, p.initial_level, p.price);
+      xl.push(p.lower_bound, p.upper_bound, p.initial_level, p.price,
+          p.quadratic_cost);
     }
     for(let k in this.clusters) if(this.clusters.hasOwnProperty(k)) {
       for(const n of this.clusters[k].notes) xl.push(n.color);
@@ -2955,6 +3071,16 @@ class LinnyRModel {
         this.sensitivity_outcomes[i] = so.join('|');
       }
     }
+    // Rename entities in the objectives for multi-objective mode.
+    for(let i = 0; i < this.objectives.length; i++) {
+      const
+          o = this.objectives[i],
+          bi = o.lastIndexOf('|');
+      if(bi > 4 && o.substring(4, bi).trim().replace(/\s+/g, ' ')
+          .toLowerCase() === en1) {
+        this.objectives[i] = o.substring(0, 4) + en2 + o.substring(bi);
+      }
+    }
     // Name was changed, so update controller dialogs to display the new name.
     UI.updateControllerDialogs('CDEFJX');
     // NOTE: The return value is used by the Equation manager.
@@ -3071,6 +3197,11 @@ class LinnyRModel {
       this.ignore_grid_capacity = nodeParameterValue(node, 'ignore-grid-capacity') === '1';
       this.ignore_KVL = nodeParameterValue(node, 'ignore-KVL') === '1';
       this.ignore_power_losses = nodeParameterValue(node, 'ignore-power-losses') === '1';
+      this.contingency_analysis =
+          nodeParameterValue(node, 'contingency-analysis');
+      if(['report', 'secure'].indexOf(this.contingency_analysis) < 0) {
+        this.contingency_analysis = '';
+      }
       this.infer_cost_prices = nodeParameterValue(node, 'cost-prices') === '1';
       this.report_results = nodeParameterValue(node, 'report-results') === '1';
       this.show_block_arrows = nodeParameterValue(node, 'block-arrows') === '1';
@@ -3078,6 +3209,21 @@ class LinnyRModel {
       this.always_diagnose = nodeParameterValue(node, 'diagnose') !== '0';
       this.no_semi_continuous = nodeParameterValue(node, 'no-semi-continuous') === '1';
       this.show_notices = nodeParameterValue(node, 'show-notices') === '1';
+      this.warm_start = nodeParameterValue(node, 'warm-start') === '1';
+      this.compute_duals = nodeParameterValue(node, 'compute-duals') === '1';
+      this.readable_lp = nodeParameterValue(node, 'readable-lp') === '1';
+      this.multi_objective =
+          nodeParameterValue(node, 'multi-objective') === '1';
+      this.aggregation_period =
+          nodeParameterValue(node, 'aggregation-period');
+      if(['day', 'week'].indexOf(this.aggregation_period) < 0) {
+        this.aggregation_period = '';
+      }
+      this.representative_periods = Math.max(1, safeStrToInt(
+          nodeParameterValue(node, 'representative-periods'), 12));
+      this.aggregation_method =
+          (nodeParameterValue(node, 'aggregation-method') === 'k-medoids' ?
+              'k-medoids' : 'k-means');
       this.name = xmlDecoded(nodeContentByTag(node, 'name'));
       this.author = xmlDecoded(nodeContentByTag(node, 'author'));
       this.comments = xmlDecoded(nodeContentByTag(node, 'notes'));
@@ -3091,6 +3237,8 @@ class LinnyRModel {
       this.integer_tolerance = safeStrToFloat(
           nodeContentByTag(node, 'integer-tolerance'), 5e-7);
       this.MIP_gap = safeStrToFloat(nodeContentByTag(node, 'mip-gap'), 1e-4);
+      this.solver_profile = xmlDecoded(
+          nodeContentByTag(node, 'solver-profile'));
       // Legacy models have tag "optimization-period" instead of "block-length".
       const bl_str = nodeContentByTag(node, 'block-length') ||
           nodeContentByTag(node, 'optimization-period'); 
@@ -3101,6 +3249,8 @@ class LinnyRModel {
           safeStrToInt(nodeContentByTag(node, 'end-period')));
       this.look_ahead = Math.max(0,
           safeStrToInt(nodeContentByTag(node, 'look-ahead-period')));
+      this.random_seed = Math.max(0,
+          safeStrToInt(nodeContentByTag(node, 'random-seed'), 0));
       this.grid_pixels = Math.max(10,
           safeStrToInt(nodeContentByTag(node, 'grid-pixels')));
       this.round_sequence = nodeContentByTag(node, 'round-sequence');
@@ -3114,6 +3264,15 @@ class LinnyRModel {
       this.default_unit = xmlDecoded(
           nodeContentByTag(node, 'default-scale-unit'));
       if(!this.default_unit) this.default_unit = CONFIGURATION.default_scale_unit;
+      const on = childNodeByTag(node, 'objectives');
+      if(on) {
+        for(let ci = 0; ci < on.childNodes.length; ci++) {
+          const c = on.childNodes.item(ci);
+          if(c.nodeName === 'objective') {
+            this.objectives.push(xmlDecoded(nodeContent(c)));
+          }
+        }
+      }
     } // END IF *not* including a model
 
     // Declare some local variables that will be used a lot.
@@ -3148,6 +3307,16 @@ class LinnyRModel {
         }
       }
     }
+    // Solver profiles are not "entities", and can be included "as is".
+    n = childNodeByTag(node, 'solverprofiles');
+    if(n) {
+      for(let ci = 0; ci < n.childNodes.length; ci++) {
+        const c = n.childNodes.item(ci);
+        if(c.nodeName === 'profile') {
+          this.addSolverProfile(xmlDecoded(nodeContentByTag(c, 'name')), c);
+        }
+      }
+    }
     // When including a model, actors may be bound to an existing actor.
     n = childNodeByTag(node, 'actors');
     if(n) {
@@ -3452,11 +3621,23 @@ class LinnyRModel {
     if(this.ignore_grid_capacity) p += ' ignore-grid-capacity="1"';
     if(this.ignore_KVL) p += ' ignore-KVL="1"';
     if(this.ignore_power_losses) p += ' ignore-power-losses="1"';
+    if(this.contingency_analysis) {
+      p += ' contingency-analysis="' + this.contingency_analysis + '"';
+    }
     if(this.infer_cost_prices) p += ' cost-prices="1"';
     if(this.report_results) p += ' report-results="1"';
     if(this.show_block_arrows) p += ' block-arrows="1"';
     if(this.no_semi_continuous) p += ' no-semi-continuous="1"';
     if(this.show_notices) p += ' show-notices="1"';
+    if(this.warm_start) p += ' warm-start="1"';
+    if(this.compute_duals) p += ' compute-duals="1"';
+    if(this.readable_lp) p += ' readable-lp="1"';
+    if(this.multi_objective) p += ' multi-objective="1"';
+    if(this.aggregation_period) {
+      p += [' aggregation-period="', this.aggregation_period,
+          '" representative-periods="', this.representative_periods,
+          '" aggregation-method="', this.aggregation_method, '"'].join('');
+    }
     let xml = this.xml_header + ['<model', p, '><name>',  xmlEncoded(this.name),
         '</name><author>', xmlEncoded(this.author),
         '</author><notes>', xmlEncoded(this.comments),
@@ -3471,12 +3652,18 @@ class LinnyRModel {
         '</timeout-period><preferred-solver>', xmlEncoded(this.preferred_solver), 
         '</preferred-solver><integer-tolerance>', this.integer_tolerance,
         '</integer-tolerance><mip-gap>', this.MIP_gap,
-        '</mip-gap><block-length>', this.block_length,
+        '</mip-gap><solver-profile>', xmlEncoded(this.solver_profile),
+        '</solver-profile><block-length>', this.block_length,
         '</block-length><start-period>', this.start_period,
         '</start-period><end-period>', this.end_period,
         '</end-period><look-ahead-period>', this.look_ahead,
-        '</look-ahead-period><round-sequence>', this.round_sequence,
-        '</round-sequence><scaleunits>'].join('');
+        '</look-ahead-period><random-seed>', this.random_seed,
+        '</random-seed><round-sequence>', this.round_sequence,
+        '</round-sequence><objectives>'].join('');
+    for(const o of this.objectives) {
+      xml += '<objective>' + xmlEncoded(o) + '</objective>';
+    }
+    xml += '</objectives><scaleunits>';
     let obj;
     for(obj in this.scale_units) if(this.scale_units.hasOwnProperty(obj)) {
       xml += this.scale_units[obj].asXML;
@@ -3485,7 +3672,13 @@ class LinnyRModel {
     for(obj in this.power_grids) if(this.power_grids.hasOwnProperty(obj)) {
       xml += this.power_grids[obj].asXML;
     }
-    xml += '</powergrids><actors>';
+    xml += '</powergrids><solverprofiles>';
+    for(obj in this.solver_profiles) {
+      if(this.solver_profiles.hasOwnProperty(obj)) {
+        xml += this.solver_profiles[obj].asXML;
+      }
+    }
+    xml += '</solverprofiles><actors>';
     for(obj in this.actors) {
       // NOTE: Do not to save "(no actor)".
       if(this.actors.hasOwnProperty(obj) && obj != UI.nameToID(UI.NO_ACTOR)) {
@@ -3808,10 +4001,16 @@ class LinnyRModel {
       p.pace_expression.reset(1);
       // NOTE: Immediately calculate pace (*static* integer value >= 1).
       p.pace = Math.max(1, Math.floor(p.pace_expression.result(1)));
+      // Minimum up and down times default to 0 (= no constraint).
+      p.min_up_time.reset(0);
+      p.min_down_time.reset(0);
+      // Quadratic cost defaults to 0 (= no quadratic objective term).
+      p.quadratic_cost.reset(0);
       this.cleanVector(p.level, p.initial_level.result(1));
       this.cleanVector(p.cost_price, VM.UNDEFINED);
       this.cleanVector(p.cash_flow, 0, 0);
       this.cleanVector(p.marginal_cash_flow, 0, 0);
+      this.cleanVector(p.reduced_cost, VM.UNDEFINED);
       this.cleanVector(p.cash_in, 0, 0);
       this.cleanVector(p.cash_out, 0, 0);
       // NOTE: `start_ups` is a list of time steps when start-up occurred.
@@ -3834,11 +4033,13 @@ class LinnyRModel {
       p.upper_bound.reset(p.isSinkNode ? VM.PLUS_INFINITY : 0);
       // Price defaults to 0.
       p.price.reset(0);
+      p.quadratic_cost.reset(0);
       p.initial_level.reset(0);
       // Level defaults to initial level.
       this.cleanVector(p.level, p.initial_level.result(1));
       this.cleanVector(p.cost_price, VM.UNDEFINED);
       this.cleanVector(p.highest_cost_price, VM.UNDEFINED);
+      this.cleanVector(p.marginal_price, VM.UNDEFINED);
       if(p.is_buffer) this.cleanVector(p.stock_price, VM.UNDEFINED);
       p.start_ups.length = 0;
       // NOTE: Peak increase also applies to products.
@@ -5170,6 +5371,62 @@ class PowerGrid {
 } // END of class PowerGrid
 
 
+// CLASS SolverProfile
+class SolverProfile {
+  constructor(name) {
+    this.name = name;
+    // NOTE: Profile parameters are solver-independent. The solver server
+    // translates them into the syntax of the solver that is used.
+    // Value -1 (or 0 for threads and barrier tolerance) denotes "use the
+    // solver default".
+    this.threads = 0;
+    // Presolve level can be 0 (off), 1 (conservative) or 2 (aggressive).
+    this.presolve = -1;
+    this.seed = -1;
+    // MIP focus can be 0 (balanced), 1 (feasibility), 2 (optimality) or
+    // 3 (best bound).
+    this.mip_focus = 0;
+    // LP method can be 0 (primal simplex), 1 (dual simplex) or 2 (barrier).
+    this.lp_method = -1;
+    this.barrier_tol = 0;
+  }
+  
+  get parameters() {
+    // Return the profile parameters as an object.
+    return {
+        threads: this.threads,
+        presolve: this.presolve,
+        seed: this.seed,
+        mip_focus: this.mip_focus,
+        lp_method: this.lp_method,
+        barrier_tol: this.barrier_tol
+      };
+  }
+
+  get asXML() {
+    return ['<profile threads="', this.threads,
+        '" presolve="', this.presolve,
+        '" seed="', this.seed,
+        '" mip-focus="', this.mip_focus,
+        '" lp-method="', this.lp_method,
+        '" barrier-tol="', this.barrier_tol,
+        '"><name>', xmlEncoded(this.name),
+        '</name></profile>'].join('');
+  }
+  
+  initFromXML(node) {
+    this.threads = safeStrToInt(nodeParameterValue(node, 'threads'), 0);
+    this.presolve = safeStrToInt(nodeParameterValue(node, 'presolve'), -1);
+    this.seed = safeStrToInt(nodeParameterValue(node, 'seed'), -1);
+    this.mip_focus = safeStrToInt(nodeParameterValue(node, 'mip-focus'), 0);
+    this.lp_method = safeStrToInt(nodeParameterValue(node, 'lp-method'), -1);
+    this.barrier_tol = safeStrToFloat(
+        nodeParameterValue(node, 'barrier-tol'), 0);
+  }
+
+} // END of class SolverProfile
+
+
 // CLASS Actor
 class Actor {
   constructor(name) {
@@ -5667,7 +5924,7 @@ class Note extends ObjectWithXYWH {
         } else if(obj instanceof Product) {
           if(attr === 'L') {
             from_unit = obj.scale_unit;
-          } else if(attr === 'CP' || attr === 'HCP') {
+          } else if(['CP', 'HCP', 'MP'].indexOf(attr) >= 0) {
             from_unit = MODEL.currency_unit;
           }
         } else if(obj instanceof Link) {
@@ -5680,7 +5937,7 @@ class Note extends ObjectWithXYWH {
               from_unit = '1';
             }
           }
-        } else if(['CI', 'CO', 'CF', 'MCF'].indexOf(attr) >= 0) {
+        } else if(['CI', 'CO', 'CF', 'MCF', 'RC'].indexOf(attr) >= 0) {
           from_unit = MODEL.currency_unit;
         }
         // If still no value, `attr` may be an expression-type attribute.
@@ -7694,6 +7951,11 @@ class Node extends NodeBox {
     this.lower_bound = new Expression(this, 'LB', '');
     this.upper_bound = new Expression(this, 'UB', '');
     this.initial_level = new Expression(this, 'IL', '0');
+    // Processes and products may also have a quadratic cost coefficient QC.
+    // When defined, the objective function includes the term -QC * L^2
+    // (weighted by the actor weight). This requires a solver that can
+    // solve quadratic problems (MIQP).
+    this.quadratic_cost = new Expression(this, 'QC', '');
     this.cost_price = [];
     // NOTE: For processes, level denotes the production level, for products
     // the stock level.
@@ -7719,6 +7981,12 @@ class Node extends NodeBox {
     return this.upper_bound.defined || this.lower_bound.defined;
   }
   
+  get hasQuadraticCost() {
+    // Return TRUE iff this node has a quadratic cost coefficient.
+    // NOTE: Quadratic cost is ignored for power grid processes.
+    return !this.grid && this.quadratic_cost.defined;
+  }
+  
   setConstraintOffsets() {
     // Set the offset properties of the constraints that relate to this
     // node. These properties are used when drawing these constraints.
@@ -7891,13 +8159,26 @@ class Node extends NodeBox {
     // its Negative/Zero/Positive state.
     // This means that at least one output link must have the "positive",
     // "zero", "negative", "start-up", "shut-down", "spinning reserve" or
-    // "first commit" multiplier.
+    // "first commit" multiplier, or that this node is a process with a
+    // minimum up time or minimum down time.
     for(const l of this.outputs) {
       if(VM.LM_NEEDING_ON_OFF.indexOf(l.multiplier) >= 0) {
         return true;
       }
     }
-    return false;
+    return this.hasMinUpTime || this.hasMinDownTime;
+  }
+  
+  get hasMinUpTime() {
+    // Return TRUE iff this node is a process with a minimum up time.
+    // NOTE: Minimum up time is ignored for power grid processes.
+    return this instanceof Process && !this.grid && this.min_up_time.defined;
+  }
+  
+  get hasMinDownTime() {
+    // Return TRUE iff this node is a process with a minimum down time.
+    // NOTE: Minimum down time is ignored for power grid processes.
+    return this instanceof Process && !this.grid && this.min_down_time.defined;
   }
   
   get needsNZP() {
@@ -7932,20 +8213,21 @@ class Node extends NodeBox {
   
   get needsStartUpData() {
     // Return TRUE iff this node has an output data link for start-up
-    // or first commit.
+    // or first commit, or is a process with a minimum up time.
     for(const l of this.outputs) {
       const m = l.multiplier;
       if(m === VM.LM_STARTUP || m === VM.LM_FIRST_COMMIT) return true;
     }
-    return false;
+    return this.hasMinUpTime;
   }
   
   get needsShutDownData() {
-    // Return TRUE iff this node has an output data link for shut-down. 
+    // Return TRUE iff this node has an output data link for shut-down,
+    // or is a process with a minimum down time.
     for(const l of this.outputs) {
       if(l.multiplier === VM.LM_SHUTDOWN) return true;
     }
-    return false;
+    return this.hasMinDownTime;
   }
   
   get needsFirstCommitData() {
@@ -8154,6 +8436,12 @@ class Process extends Node {
     // X[Math.floor((T-1) / PACE + 1]
     this.pace = 1;
     this.pace_expression = new Expression(this, 'LCF', '1');
+    // Minimum up time (MUT) and minimum down time (MDT) are expressed in
+    // time steps. When defined, a process that starts up must remain ON
+    // for at least MUT time steps, and a process that shuts down must
+    // remain OFF for at least MDT time steps.
+    this.min_up_time = new Expression(this, 'MUT', '');
+    this.min_down_time = new Expression(this, 'MDT', '');
     // NOTE: processes have NO input attributes other than LB, UB and IL
     // for processes, the default bounds are [0, +INF]
     this.equal_bounds = false;
@@ -8166,11 +8454,16 @@ class Process extends Node {
     this.power_grid = null;
     this.length_in_km = 0;
     this.reactance = 0;
+    // Grid process can be marked as candidate for N-1 contingency analysis.
+    this.contingency = false;
     // Processes have 4 more result attributes: CF, MCF, CI and CO
     this.cash_flow = [];
     this.marginal_cash_flow = [];
     this.cash_in = [];
     this.cash_out = [];
+    // Reduced cost of the production level is computed only if the
+    // model setting "compute duals" is selected.
+    this.reduced_cost = [];
     // Production level changing from 0 to positive counts as "start up",
     // while changing from positive to 0 counts as "shut down"
     // NOTE: being relatively rare, start_ups and shut_downs are not vectors,
@@ -8220,6 +8513,9 @@ class Process extends Node {
     if(this.grid) a.LB = -a.UB;
     a.IL = this.initial_level.asAttribute;
     a.LCF = this.pace_expression.asAttribute;
+    a.MUT = this.min_up_time.asAttribute;
+    a.MDT = this.min_down_time.asAttribute;
+    a.QC = this.quadratic_cost.asAttribute;
     if(MODEL.solved) {
       const t = MODEL.t;
       a.L = this.level[t];
@@ -8228,6 +8524,7 @@ class Process extends Node {
       a.CI = this.cash_in[t];
       a.CO = this.cash_out[t];
       if(MODEL.infer_cost_prices) a.CP = this.cost_price[t];
+      if(MODEL.compute_duals) a.RC = this.reduced_cost[t];
     }
     return a;
   }
@@ -8262,6 +8559,7 @@ class Process extends Node {
     if(this.integer_level) p += ' integer-level="1"';
     if(this.level_to_zero) p += ' level-to-zero="1"';
     if(this.equal_bounds) p += ' equal-bounds="1"';
+    if(this.contingency) p += ' contingency="1"';
     // NOTE: Save power grid related properties even when grid element
     // is not checked (so properties re-appear when re-checked).
     return ['<process', p, '><name>',  xmlEncoded(n),
@@ -8271,7 +8569,10 @@ class Process extends Node {
         '</upper-bound><lower-bound>', this.lower_bound.asXML,
         '</lower-bound><initial-level>', this.initial_level.asXML,
         '</initial-level><pace>', this.pace_expression.asXML,
-        '</pace><grid-id>', (this.power_grid ? this.power_grid.id : ''),
+        '</pace><min-up-time>', this.min_up_time.asXML,
+        '</min-up-time><min-down-time>', this.min_down_time.asXML,
+        '</min-down-time><quadratic-cost>', this.quadratic_cost.asXML,
+        '</quadratic-cost><grid-id>', (this.power_grid ? this.power_grid.id : ''),
         '</grid-id><length>', this.length_in_km,
         '</length><x-coord>', x,
         '</x-coord><y-coord>', y,
@@ -8285,6 +8586,7 @@ class Process extends Node {
     this.integer_level = nodeParameterValue(node, 'integer-level') === '1';
     this.level_to_zero = nodeParameterValue(node, 'level-to-zero') === '1';
     this.equal_bounds = nodeParameterValue(node, 'equal-bounds') === '1';
+    this.contingency = nodeParameterValue(node, 'contingency') === '1';
     this.resize();
     this.comments = xmlDecoded(nodeContentByTag(node, 'notes'));
     this.lower_bound.text = xmlDecoded(nodeContentByTag(node, 'lower-bound'));
@@ -8306,6 +8608,13 @@ class Process extends Node {
     this.pace_expression.text = pace_text || '1';
     // NOTE: Immediately evaluate pace expression as integer.
     this.pace = Math.max(1, Math.floor(this.pace_expression.result(1)));
+    // NOTE: Legacy models have no minimum up and down times.
+    this.min_up_time.text = xmlDecoded(nodeContentByTag(node, 'min-up-time'));
+    this.min_down_time.text =
+        xmlDecoded(nodeContentByTag(node, 'min-down-time'));
+    // NOTE: Legacy models have no quadratic cost.
+    this.quadratic_cost.text =
+        xmlDecoded(nodeContentByTag(node, 'quadratic-cost'));
     this.power_grid = MODEL.powerGridByID(nodeContentByTag(node, 'grid-id'));
     this.length_in_km = safeStrToFloat(nodeContentByTag(node, 'length'), 0);
     // NOTE: Reactance may be an empty string to indicate "infer from length".
@@ -8320,6 +8629,9 @@ class Process extends Node {
       IO_CONTEXT.rewrite(this.upper_bound);
       IO_CONTEXT.rewrite(this.initial_level);
       IO_CONTEXT.rewrite(this.pace_expression);
+      IO_CONTEXT.rewrite(this.min_up_time);
+      IO_CONTEXT.rewrite(this.min_down_time);
+      IO_CONTEXT.rewrite(this.quadratic_cost);
     }
   }
   
@@ -8363,17 +8675,21 @@ class Process extends Node {
     if(a === 'CI') return this.cash_in;
     if(a === 'CO') return this.cash_out;
     if(a === 'CP') return this.cost_price;
+    if(a === 'RC') return this.reduced_cost;
     return null;
   }
 
   attributeExpression(a) {
-    // Processes have four expression attributes.
+    // Processes have seven expression attributes.
     if(a === 'LB') return this.lower_bound;
     if(a === 'UB') {
       return (this.equal_bounds ? this.lower_bound : this.upper_bound);
     }
     if(a === 'LCF') return this.pace_expression;
     if(a === 'IL') return this.initial_level;
+    if(a === 'MUT') return this.min_up_time;
+    if(a === 'MDT') return this.min_down_time;
+    if(a === 'QC') return this.quadratic_cost;
     return null;
   }
 
@@ -8453,9 +8769,13 @@ class Process extends Node {
     this.initial_level.text = p.initial_level.text;
     this.integer_level = p.integer_level;
     this.pace_expression = p.pace_expression;
+    this.min_up_time.text = p.min_up_time.text;
+    this.min_down_time.text = p.min_down_time.text;
+    this.quadratic_cost.text = p.quadratic_cost.text;
     this.equal_bounds = p.equal_bounds;
     this.level_to_zero = p.level_to_zero;
     this.collapsed = p.collapsed;
+    this.contingency = p.contingency;
   }
 
   differences(p) {
@@ -8480,11 +8800,14 @@ class Product extends Node {
     // For products, the default bounds are [0, 0], and modeler-defined bounds
     // typically are equal.
     this.equal_bounds = true;
-    // In addition to LB, UB and IL, products has 1 input attribute: P.
+    // In addition to LB, UB, IL and QC, products have 1 input attribute: P.
     this.price = new Expression(this, 'P', '');
     // Products have a highest cost price, and may have a stock price (if storage).
     this.highest_cost_price = [];
     this.stock_price = [];
+    // Marginal price (dual value of the product balance constraint) is
+    // computed only if the model setting "compute duals" is selected.
+    this.marginal_price = [];
     // Stock level changing from 0 to positive counts as "start up", while
     // changing from positive to 0 counts as a "shut-down".
     // NOTE: Being relatively rare, start_ups and shut_downs are not vectors,
@@ -8495,6 +8818,11 @@ class Product extends Node {
     this.is_source = false;
     this.is_sink = false;
     this.is_buffer = false;
+    // Stock level of a cyclic buffer must end each block (or representative
+    // period) at its start level. The initial level of a buffer can also be
+    // left free, so that it is optimized.
+    this.is_cyclic = false;
+    this.free_initial_level = false;
     this.is_data = false;
     this.no_slack = false;
     this.no_links = false;
@@ -8525,6 +8853,7 @@ class Product extends Node {
     a.UB = (this.equal_bounds ? a.LB : this.upper_bound.asAttribute);
     a.IL = this.initial_level.asAttribute;
     a.P = this.price.asAttribute;
+    a.QC = this.quadratic_cost.asAttribute;
     if(MODEL.solved) {
       const t = MODEL.t;
       a.L = this.level[t];
@@ -8534,6 +8863,7 @@ class Product extends Node {
         // Highest cost price may be undefined if product has no inflows. 
         if(a.HCP === VM.MINUS_INFINITY) a.HCP = '';
       }
+      if(MODEL.compute_duals) a.MP = this.marginal_price[t];
     }
     return a;
   }
@@ -8734,7 +9064,11 @@ class Product extends Node {
         x = this.x,
         y = this.y,
         p = ` code="${this.code}"`;
-    if(this.is_buffer) p += ' is-buffer="1"';
+    if(this.is_buffer) {
+      p += ' is-buffer="1"';
+      if(this.is_cyclic) p += ' is-cyclic="1"';
+      if(this.free_initial_level) p += ' free-initial-level="1"';
+    }
     if(this.is_source) p += ' is-source="1"';
     if(this.is_sink) p += ' is-sink="1"';
     if(this.is_data) p += ' is-information="1"';
@@ -8761,7 +9095,8 @@ class Product extends Node {
       '</notes><upper-bound>', this.upper_bound.asXML,
       '</upper-bound><lower-bound>', this.lower_bound.asXML,
       '</lower-bound><price>', this.price.asXML,
-      '</price><x-coord>', x,
+      '</price><quadratic-cost>', this.quadratic_cost.asXML,
+      '</quadratic-cost><x-coord>', x,
       '</x-coord><y-coord>', y,
       '</y-coord></product>'].join('');
     return xml;
@@ -8771,6 +9106,9 @@ class Product extends Node {
     // NOTE: Do not set code while importing, as new code must be assigned!
     if(!IO_CONTEXT) this.code = nodeParameterValue(node, 'code');
     this.is_buffer = nodeParameterValue(node, 'is-buffer') === '1';
+    this.is_cyclic = nodeParameterValue(node, 'is-cyclic') === '1';
+    this.free_initial_level =
+        nodeParameterValue(node, 'free-initial-level') === '1';
     this.is_source = nodeParameterValue(node, 'is-source') === '1';
     this.is_sink = nodeParameterValue(node, 'is-sink') === '1';
     this.is_data = nodeParameterValue(node, 'is-information') === '1';
@@ -8788,6 +9126,9 @@ class Product extends Node {
     this.price.text = xmlDecoded(pp);
     // Legacy models can have price time series data as hexadecimal string.
     this.convertLegacyPriceData(nodeContentByTag(node, 'profit-data'));
+    // NOTE: Legacy models have no quadratic cost.
+    this.quadratic_cost.text =
+        xmlDecoded(nodeContentByTag(node, 'quadratic-cost'));
     this.lower_bound.text = xmlDecoded(nodeContentByTag(node, 'lower-bound'));
     this.upper_bound.text = xmlDecoded(nodeContentByTag(node, 'upper-bound'));
     // Legacy models can have LB and UB hexadecimal data strings.
@@ -8804,6 +9145,7 @@ class Product extends Node {
       IO_CONTEXT.addedNode(this);
       // Contextualize the expressions.
       IO_CONTEXT.rewrite(this.price);
+      IO_CONTEXT.rewrite(this.quadratic_cost);
       IO_CONTEXT.rewrite(this.lower_bound);
       IO_CONTEXT.rewrite(this.upper_bound);
       IO_CONTEXT.rewrite(this.initial_level);
@@ -8841,17 +9183,19 @@ class Product extends Node {
     if(a === 'L') return this.level;
     if(a === 'CP') return this.cost_price;
     if(a === 'HCP') return this.highest_cost_price;
+    if(a === 'MP') return this.marginal_price;
     return null;
   }
 
   attributeExpression(a) {
-    // Products have four expression attributes.
+    // Products have five expression attributes.
     if(a === 'LB') return this.lower_bound;
     if(a === 'UB') {
       return (this.equal_bounds ? this.lower_bound : this.upper_bound);
     }
     if(a === 'IL') return this.initial_level;
     if(a === 'P') return this.price;
+    if(a === 'QC') return this.quadratic_cost;
     return null;
   }
 
@@ -8940,9 +9284,12 @@ class Product extends Node {
     this.scale_unit = p.scale_unit;
     this.equal_bounds = p.equal_bounds;
     this.price.text = p.price.text;
+    this.quadratic_cost.text = p.quadratic_cost.text;
     this.is_source = p.is_source;
     this.is_sink = p.is_sink;
     this.is_buffer = p.is_buffer;
+    this.is_cyclic = p.is_cyclic;
+    this.free_initial_level = p.free_initial_level;
     this.is_data = p.is_data;
     this.no_slack = p.no_slack;
     this.initial_level.text = p.initial_level.text;
@@ -11830,6 +12177,9 @@ class ExperimentRun {
     this.block_messages = [];
     this.warning_count = 0;
     this.solver_seconds = 0;
+    // Seed used for the pseudo-random numbers of this run, so that the
+    // run can be replayed exactly (0 = not yet set).
+    this.seed = 0;
   }
   
   start() {
@@ -11850,6 +12200,7 @@ class ExperimentRun {
     return ['<experiment-run number="', this.number,
         '" started="', this.time_started,
         '" recorded="', this.time_recorded,
+        '" seed="', this.seed,
         '"><x-title>', xmlEncoded(this.experiment.title),
         '</x-title><x-combi>', this.combination.join(' '),
         '</x-combi><time-steps>', this.time_steps,
@@ -11863,6 +12214,7 @@ class ExperimentRun {
     this.number = safeStrToInt(nodeParameterValue(node, 'number'));
     this.time_started = safeStrToInt(nodeParameterValue(node, 'started'));
     this.time_recorded = safeStrToInt(nodeParameterValue(node, 'recorded'));
+    this.seed = safeStrToInt(nodeParameterValue(node, 'seed'), 0);
     const t = xmlDecoded(nodeContentByTag(node, 'x-title'));
     // NOTE: For sensitivity analysis runs, the experiment title is undefined.
     if(t != this.experiment.title) {
@@ -12063,7 +12415,8 @@ class Experiment {
     this.variables = [];
     this.configuration_dims = 0;
     this.column_scenario_dims = 0;
-    this.iterator_ranges = [[0,0], [0,0], [0,0]];
+    // NOTE: The 4th iterator (e) defines the steps of a Pareto sweep.
+    this.iterator_ranges = [[0,0], [0,0], [0,0], [0,0]];
     this.iterator_dimensions = [];
     this.settings_selectors = [];
     this.settings_dimensions = [];
@@ -12088,6 +12441,9 @@ class Experiment {
     this.chart_combinations = [];
     // String to store original model settings while executing experiment runs.
     this.original_model_settings = '';
+    // List of run numbers when only some runs must be performed (runtime
+    // only, so not saved).
+    this.run_list = null;
     // NOTE: clearRuns adds some more properties -- see below.
     this.clearRuns();
   }
@@ -12133,7 +12489,7 @@ class Experiment {
   get iteratorRangeString() {
     // Return the iterator ranges as "from,to" pairs separated by |
     const ir = [];
-    for(let i = 0; i < 3; i++) {
+    for(let i = 0; i < 4; i++) {
       ir.push(this.iterator_ranges[i].join(','));
     }
     return ir.join('|');
@@ -12143,9 +12499,9 @@ class Experiment {
     // Parse `s` as "from,to" pairs, ignoring syntax errors.
     if(s) {
       const ir = s.split('|');
-      // Add 2 extra substrings to have at least 3.
-      ir.push('', '');
-      for(let i = 0; i < 3; i++) {
+      // Add 3 extra substrings to have at least 4.
+      ir.push('', '', '');
+      for(let i = 0; i < 4; i++) {
         const r = ir[i].split(',');
         // Likewise add extra substring to have at least 2.
         r.push('');
@@ -12169,8 +12525,8 @@ class Experiment {
   updateIteratorDimensions() {
     // Create iterator selectors for each index variable having a relevant range.
     this.iterator_dimensions = [];
-    const il = ['i', 'j', 'k'];
-    for(let i = 0; i < 3; i++) {
+    const il = ['i', 'j', 'k', 'e'];
+    for(let i = 0; i < 4; i++) {
       const r = this.iterator_ranges[i];
       if(r[0] || r[1]) {
         const
@@ -913,11 +913,11 @@ function mergeDistinct(list, into) {
 function iteratorSet(list) {
   // Return TRUE iff list is something like ['i=1', 'i=2', 'i=3'].
   if(list.length === 0) return false;
-  // Analyze the first element: must start with i=, j= or k=.
+  // Analyze the first element: must start with i=, j=, k= or e=.
   const
       parts = list[0].split('='),
       iterator = parts[0];
-  if(parts.length !== 2 || 'ijk'.indexOf(iterator) < 0) return false;
+  if(parts.length !== 2 || 'ijke'.indexOf(iterator) < 0) return false;
   // Left-hand part must be an integer number: the first iterator value.
   const first = parts[1] - 0;
   if(first != parts[1]) return false;
@@ -1401,6 +1401,8 @@ if(NODE) module.exports = {
   bestFit: bestFit,
   hexToFloat: hexToFloat,
   stringToFloatArray: stringToFloatArray,
+  packFloat: packFloat,
+  packVector: packVector,
   unpackFloat: unpackFloat,
   unpackVector: unpackVector,
   hexToBytes: hexToBytes,
@@ -54,6 +54,8 @@ class Expression {
     this.stack = []; 
     // NOTE: code = NULL indicates: not compiled yet.
     this.code = null;
+    // JavaScript function equivalent to the code (NULL if not compiled).
+    this.func = null;
     // Error message when last compiled.
     this.compile_issue = '';
     // Error message when last computed.
@@ -155,6 +157,7 @@ class Expression {
     // Must be called after successful compilation by the expression parser.
     this.text = parser.expr;
     this.code = parser.code;
+    this.func = parser.func;
     this.eligible_prefixes = parser.eligible_prefixes;
     // NOTE: Overrule `is_static` to make that the "initial level" attribute
     // is always evaluated for t=1.
@@ -205,6 +208,7 @@ class Expression {
     this.compiling = true;
     // Clear the VM instruction list.
     this.code = null;
+    this.func = null;
     const xp = new ExpressionParser(this.text, this.object, this.attribute);
     if(xp.error === '') {
       // NOTE: Except for dataset modifiers and note colors, expressions
@@ -390,13 +394,20 @@ class Expression {
     this.trace(pluralS(cl, 'VM instruction'));
     this.program_counter = 0;
     this.stack.length = 0;
-    while(ok && this.program_counter < cl && v[t] === VM.COMPUTING) {
-      vmi = this.code[this.program_counter];
-      // Instructions are 2-element arrays [function, [arguments]].
-      // The function is called with this expression as first parameter,
-      // and the argument list as second parameter.
-      vmi[0](this, vmi[1]);
-      this.program_counter++;
+    if(this.func && VM.compile_expressions && !DEBUGGING) {
+      // The compiled function has the same effect as the loop below.
+      // NOTE: When debugging, the interpreter is used so that each
+      // instruction is traced.
+      this.func(this, v, t);
+    } else {
+      while(ok && this.program_counter < cl && v[t] === VM.COMPUTING) {
+        vmi = this.code[this.program_counter];
+        // Instructions are 2-element arrays [function, [arguments]].
+        // The function is called with this expression as first parameter,
+        // and the argument list as second parameter.
+        vmi[0](this, vmi[1]);
+        this.program_counter++;
+      }
     }
     // Stack should now have length 1. If not, report error unless the
     // length is due to some other error.
@@ -1703,6 +1714,7 @@ class ExpressionParser {
         if(this.TRACE) console.log('TRACE: arg[0] not an expression, but', arg0);
       }
       args = [arg0, anchor1, offset1, anchor2, offset2];
+      this.variableParsed(args, obj, attr);
     }
     if(msg) {
       this.error = msg;
@@ -1725,6 +1737,12 @@ class ExpressionParser {
     return args;
   }
 
+  variableParsed(args, obj, attr) {
+    // NOTE: Called by parseVariable when attribute `attr` of entity `obj`
+    // has been coded as `args`; this permits subclasses to relate VM
+    // instruction arguments to entity attributes.
+  }
+
   getSymbol() {
     // Get the next substring in the expression that is a valid symbol
     // while advancing the position-in-text (`pit`) and length-of-symbol
@@ -2103,11 +2121,1156 @@ class ExpressionParser {
     }
     if(this.TRACE || DEBUGGING) console.log('PARSED', this.ownerName, ':',
         this.expr, this.code);
+    // If so configured, also compile the code to a JavaScript function.
+    this.func = (this.error === '' && CONFIGURATION.compile_expressions ?
+        this.codeAsFunction() : null);
+  }
+
+  codeAsFunction() {
+    // Return a JavaScript function that has the same effect as executing
+    // the VM code by the interpreter loop in Expression.compute, or NULL
+    // if the code cannot be compiled.
+    // NOTE: The function is called with parameters (x, v, t), where `x` is
+    // the expression, and `v` is the vector that is being computed for
+    // time step `t`. Like the interpreter, the function stops executing
+    // when v[t] is no longer "computing".
+    const
+        code = this.code,
+        fl = [],
+        al = [],
+        lines = [],
+        // Arithmetic on two finite numbers is coded "inline"; all other
+        // cases are left to the VM instruction.
+        dyadic = [[VMI_add, '+'], [VMI_sub, '-'], [VMI_mul, '*'],
+            [VMI_div, '/']],
+        dyad = (i, op) => {
+            const test = (op === '/' ? ' && Math.abs(b) > NZ' : '');
+            return ['s = x.stack; n = s.length; a = s[n - 2]; b = s[n - 1];',
+                'if(n > 1 && typeof a === \'number\' && ' +
+                    'typeof b === \'number\' &&',
+                '    a > L && a < U && b > L && b < U' + test + ') {',
+                `  s.length = n - 1; s[n - 2] = a ${op} b;`,
+                `} else F[${i}](x, A[${i}]);`];
+          },
+        instruction = (i) => {
+            const f = code[i][0];
+            if(f === VMI_push_number) {
+              return ['s = x.stack;',
+                  `if(s.length < MX) s.push(A[${i}]); else F[${i}](x, A[${i}]);`];
+            }
+            if(f === VMI_negate) {
+              return ['s = x.stack; n = s.length; a = s[n - 1];',
+                  'if(n > 0 && typeof a === \'number\' && a > L && a < U) {',
+                  '  s[n - 1] = (Math.abs(a) < NZ ? 0 : -a);',
+                  `} else F[${i}](x, A[${i}]);`];
+            }
+            for(const d of dyadic) if(f === d[0]) return dyad(i, d[1]);
+            // Other instructions may compute other expressions, and
+            // these may signal a cyclic reference by changing v[t].
+            return [`F[${i}](x, A[${i}]);`, 'if(v[t] !== C) return;'];
+          },
+        emit = (from, to, indent) => {
+            // Add the lines for the instructions from index `from` up to
+            // (but not including) `to`. Return FALSE if the code does not
+            // have the structure that is produced by the parser.
+            let i = from;
+            while(i < to) {
+              const f = code[i][0];
+              if(f === VMI_jump || f === VMI_pop_false) return false;
+              if(f === VMI_jump_if_false) {
+                // The code for (c ? a : b) is: [c, JIF T, a, JUMP E,
+                // POP_FALSE, b] where T is the index of POP_FALSE and E
+                // is the index of the first instruction after b. When
+                // there is no ELSE part, T is the index after a.
+                const tt = code[i][1];
+                if(!(tt > i && tt <= to)) return false;
+                const
+                    ie = tt - 1 > i && code[tt - 1][0] === VMI_jump,
+                    te = (ie ? code[tt - 1][1] : tt);
+                if(ie && !(te > tt && te <= to &&
+                    code[tt][0] === VMI_pop_false)) return false;
+                lines.push(indent + 'a = x.top(true);',
+                    indent + 'if(a === 0 || a === VM.UNDEFINED || a === false) {');
+                // NOTE: The ELSE part starts by popping the FALSE result.
+                if(ie) {
+                  lines.push(indent + '  x.stack.pop();');
+                  if(!emit(tt + 1, te, indent + '  ')) return false;
+                }
+                lines.push(indent + '} else {', indent + '  x.stack.pop();');
+                if(!emit(i + 1, (ie ? tt - 1 : tt), indent + '  ')) return false;
+                lines.push(indent + '}');
+                i = te;
+              } else {
+                for(const l of instruction(i)) lines.push(indent + l);
+                i++;
+              }
+            }
+            return true;
+          };
+    for(const c of code) {
+      fl.push(c[0]);
+      al.push(c[1]);
+    }
+    if(!emit(0, code.length, '')) {
+      if(DEBUGGING) {
+        console.log('NOTE: Expression will be interpreted:', this.expr);
+      }
+      return null;
+    }
+    try {
+      const f = new Function('x', 'v', 't', 'F', 'A', [
+          'const',
+          '    C = VM.COMPUTING, L = VM.MINUS_INFINITY, U = VM.PLUS_INFINITY,',
+          '    NZ = VM.NEAR_ZERO, MX = VM.MAX_STACK;',
+          'let s, n, a, b;'].concat(lines).join('\n'));
+      return (x, v, t) => f(x, v, t, fl, al);
+    } catch(err) {
+      if(DEBUGGING) {
+        console.log('WARNING: Failed to compile expression', this.expr, err);
+      }
+      return null;
+    }
   }
 
 } // END of class ExpressionParser
 
 
+// CLASS UnitParser
+// NOTE: The unit parser is an expression parser that also records the
+// entity attributes and the scale units that the code refers to, as
+// these cannot be inferred from the code itself.
+class UnitParser extends ExpressionParser {
+  variableParsed(args, obj, attr) {
+    // Relate the arguments for VMI_push_var to the entity attribute.
+    if(!this.variables) this.variables = new Map();
+    this.variables.set(args, [obj, attr || obj.defaultAttribute]);
+  }
+
+  getSymbol() {
+    // Record which numbers are scale unit symbols.
+    const pit = this.pit;
+    super.getSymbol();
+    if(typeof this.sym === 'number') {
+      const v = UI.cleanName(this.expr.substring(pit, this.pit).trim()
+          .replace(/^'|'$/g, ''));
+      // NOTE: Operands are coded immediately, so the index of the VM
+      // instruction that will push this number is known.
+      if(MODEL.scale_units.hasOwnProperty(v)) {
+        if(!this.number_units) this.number_units = new Map();
+        this.number_units.set(this.code.length, v);
+      }
+    }
+  }
+
+} // END of class UnitParser
+
+
+// CLASS UnitChecker
+// NOTE: The unit checker infers the scale unit of each expression by
+// propagating the units of the variables it refers to through its VM
+// code, and then compares the result with the unit that the attribute
+// of the expression should have. Units are represented as "powers",
+// i.e., objects {unit: exponent, ...} such that EUR/MWh is represented
+// as {EUR: 1, MWh: -1}. The empty object {} denotes a number or a
+// dimensionless quantity, and NULL denotes that the unit cannot be
+// inferred.
+class UnitChecker {
+  constructor(model) {
+    this.model = model;
+    // List of issues {entity, attribute, message}.
+    this.issues = [];
+    // Cache for the inferred level units of processes.
+    this.level_units = new Map();
+    // Expressions being analyzed (to prevent cyclic recursion).
+    this.analyzing = new Set();
+  }
+
+  unitPowers(u) {
+    // Return the powers for unit string `u`. The part up to the first
+    // slash is the numerator; products are denoted by asterisks, and
+    // exponents by a caret, e.g., "kg*m^2/s^2".
+    const p = {};
+    if(!u || u === '1') return p;
+    const parts = u.split('/');
+    for(let i = 0; i < parts.length; i++) {
+      for(let f of parts[i].split('*')) {
+        f = f.trim();
+        let e = 1;
+        const m = f.match(/^(.+)\^(-?\d+)$/);
+        if(m) {
+          f = m[1].trim();
+          e = parseInt(m[2]);
+        }
+        if(!f || f === '1') continue;
+        p[f] = (p[f] || 0) + (i > 0 ? -e : e);
+        if(p[f] === 0) delete p[f];
+      }
+    }
+    return p;
+  }
+
+  unitString(p) {
+    // Return powers `p` as unit string.
+    if(p === null) return '?';
+    const
+        num = [],
+        den = [],
+        pow = (u, e) => (e > 1 ? `${u}^${e}` : u);
+    for(const u of Object.keys(p).sort(ciCompare)) {
+      if(p[u] > 0) {
+        num.push(pow(u, p[u]));
+      } else {
+        den.push(pow(u, -p[u]));
+      }
+    }
+    let s = num.join('*') || '1';
+    if(den.length) s += '/' + den.join('*');
+    return s;
+  }
+
+  combinedPowers(p, q, sign) {
+    // Return the powers for `p` multiplied by `q` (`sign` = 1) or
+    // divided by `q` (`sign` = -1).
+    if(p === null || q === null) return null;
+    const r = Object.assign({}, p);
+    for(const u of Object.keys(q)) {
+      r[u] = (r[u] || 0) + sign * q[u];
+      if(r[u] === 0) delete r[u];
+    }
+    return r;
+  }
+
+  conversionFactor(p, q) {
+    // Return the factor f such that 1 p = f q, or FALSE if powers `p`
+    // and `q` are not convertible.
+    const
+        pk = Object.keys(p).filter((u) => p[u] !== q[u]),
+        qk = Object.keys(q).filter((u) => p[u] !== q[u]);
+    if(pk.length !== qk.length) return false;
+    let f = 1;
+    for(const u of pk) {
+      let m = VM.UNDEFINED;
+      const i = qk.findIndex((v) => {
+          if(q[v] !== p[u]) return false;
+          m = this.model.unitConversionMultiplier(u, v);
+          return m !== VM.UNDEFINED;
+        });
+      if(i < 0) return false;
+      f *= Math.pow(m, p[u]);
+      qk.splice(i, 1);
+    }
+    return f;
+  }
+
+  mismatch(p, q) {
+    // Return the empty string if powers `p` and `q` match, and otherwise
+    // a phrase that describes the mismatch.
+    const f = this.conversionFactor(p, q);
+    if(f === 1) return '';
+    const s = `${this.unitString(p)} and ${this.unitString(q)}`;
+    if(f === false) return s;
+    return `${s} without conversion (1 ${this.unitString(p)} = ` +
+        `${VM.sig4Dig(f)} ${this.unitString(q)})`;
+  }
+
+  addIssue(entity, attribute, message) {
+    this.issues.push({entity: entity, attribute: attribute, message: message});
+  }
+
+  issueSubject(i) {
+    // Return the entity and attribute of issue `i` as a string.
+    let a = i.attribute;
+    if(i.entity instanceof Dataset) {
+      if(i.entity === this.model.equations_dataset) return 'Equation ' + a;
+    } else {
+      a = VM.attribute_names[a] || a;
+    }
+    return `${i.entity.displayName} (${a})`;
+  }
+
+  get reportLines() {
+    // Return the issues as a list of strings.
+    return this.issues.map((i) => `${this.issueSubject(i)}: ${i.message}`);
+  }
+
+  levelUnit(p) {
+    // Return the powers for the unit of the level of process `p`. This
+    // unit is inferred from the first product that is produced (or if
+    // none, consumed) in proportion to the process level.
+    if(this.level_units.has(p)) return this.level_units.get(p);
+    let u = null;
+    for(const l of p.outputs.concat(p.inputs)) {
+      const n = (l.from_node === p ? l.to_node : l.from_node);
+      if(!n.is_data && l.multiplier === VM.LM_LEVEL) {
+        u = this.unitPowers(n.scale_unit);
+        break;
+      }
+    }
+    this.level_units.set(p, u);
+    return u;
+  }
+
+  attributeUnit(e, a) {
+    // Return the powers for the unit of attribute `a` of entity `e`.
+    const cu = this.unitPowers(this.model.currency_unit);
+    if(['CI', 'CO', 'CF', 'MCF'].indexOf(a) >= 0) return cu;
+    if(e instanceof Dataset) {
+      if(e === this.model.equations_dataset) return null;
+      return this.unitPowers(e.scale_unit);
+    }
+    if(e instanceof Product) {
+      const u = this.unitPowers(e.scale_unit);
+      if(['L', 'LB', 'UB', 'IL'].indexOf(a) >= 0) return u;
+      if(['P', 'CP', 'HCP', 'MP'].indexOf(a) >= 0) {
+        return this.combinedPowers(cu, u, -1);
+      }
+    } else if(e instanceof Process) {
+      const u = this.levelUnit(e);
+      if(['L', 'LB', 'UB', 'IL'].indexOf(a) >= 0) return u;
+      if(a === 'CP' || a === 'RC') return this.combinedPowers(cu, u, -1);
+      if(['LCF', 'MUT', 'MDT'].indexOf(a) >= 0) return {};
+    } else if(e instanceof Link) {
+      if(a === 'D' || a === 'SOC') return {};
+      const
+          fn = e.from_node,
+          tn = e.to_node,
+          pn = (fn instanceof Process ? tn : fn);
+      if(a === 'F') {
+        return (e.multiplier <= VM.LM_MEAN ?
+            this.unitPowers(pn.scale_unit) : {});
+      }
+      if(a === 'R' && [VM.LM_LEVEL, VM.LM_POS_LEVEL, VM.LM_ABS_LEVEL,
+          VM.LM_NEG_LEVEL].indexOf(e.multiplier) >= 0) {
+        // The rate converts the level of the FROM node (or for links
+        // from products to processes, the level of the process) into
+        // the unit of the product that is produced or consumed.
+        const
+            lu = (fn instanceof Process ? this.levelUnit(fn) :
+                (tn instanceof Process ? this.levelUnit(tn) :
+                    this.unitPowers(fn.scale_unit))),
+            fu = (tn instanceof Process ? fn : tn).scale_unit;
+        return this.combinedPowers(this.unitPowers(fu), lu, -1);
+      }
+    } else if(e instanceof Actor) {
+      if(a === 'W') return {};
+    }
+    return null;
+  }
+
+  operandUnit(xp, i) {
+    // Return the powers for the unit of the value that the VM instruction
+    // at index `i` of the code of unit parser `xp` pushes on the stack.
+    const
+        f = xp.code[i][0],
+        args = xp.code[i][1];
+    if(CONSTANT_CODES.indexOf(f) >= 0) return {};
+    if(f === VMI_push_number) {
+      // Scale unit symbols evaluate as their multiplier, i.e., as the
+      // number of base units per unit.
+      const u = (xp.number_units ? xp.number_units.get(i) : null);
+      if(!u) return {};
+      return this.combinedPowers(
+          this.unitPowers(this.model.scale_units[u].base_unit),
+          this.unitPowers(u), -1);
+    }
+    const obj = args[0];
+    if(f === VMI_push_var) {
+      if(obj instanceof Expression) {
+        return this.attributeUnit(obj.object, obj.attribute);
+      }
+      if(obj.hasOwnProperty('c') && obj.hasOwnProperty('u')) {
+        return this.unitPowers(obj.u);
+      }
+      const ea = (xp.variables ? xp.variables.get(args) : null);
+      if(ea) return this.attributeUnit(ea[0], ea[1]);
+    } else if(f === VMI_push_dataset_modifier) {
+      // Equations have no unit of their own, so infer it from their
+      // expression.
+      if(obj.d === this.model.equations_dataset) {
+        return (obj.x ? this.expressionUnit(obj.x, false) : null);
+      }
+      return this.unitPowers(obj.d.scale_unit);
+    }
+    return null;
+  }
+
+  expressionUnit(x, report=true) {
+    // Return the powers for the unit of the result of expression `x`,
+    // or NULL if this unit cannot be inferred. When `report` is TRUE,
+    // inconsistencies within `x` are added to the issues.
+    if(this.analyzing.has(x) || !x.text.trim()) return null;
+    // NOTE: Parse the expression anew, as its code does not reveal which
+    // entity attributes it refers to.
+    const xp = new UnitParser(x.text, x.object, x.attribute);
+    if(xp.error) return null;
+    this.analyzing.add(x);
+    const
+        code = xp.code,
+        stack = [],
+        issue = (msg) => {
+            if(report) this.addIssue(x.object, x.attribute, msg);
+            return null;
+          },
+        // NOTE: Numbers fit with any unit when added or compared.
+        additive = (p, q, op) => {
+            if(p === null || q === null) return null;
+            if(isEmpty(p)) return q;
+            if(isEmpty(q)) return p;
+            const s = this.mismatch(p, q);
+            return (s ? issue(`${op} ${s}`) : p);
+          },
+        monadic = [VMI_negate, VMI_abs, VMI_round, VMI_int, VMI_fract,
+            VMI_min, VMI_max],
+        dimensionless = [VMI_not, VMI_sin, VMI_cos, VMI_atan, VMI_ln,
+            VMI_exp, VMI_sqrt, VMI_and, VMI_or],
+        comparisons = [VMI_eq, VMI_ne, VMI_gt, VMI_lt, VMI_ge, VMI_le],
+        infer = (from, to) => {
+            // Process the instructions from index `from` up to (but not
+            // including) `to`, and return FALSE if the code does not
+            // have the structure that is produced by the parser.
+            let i = from;
+            while(i < to) {
+              const
+                  f = code[i][0],
+                  args = code[i][1];
+              if(f === VMI_jump_if_false) {
+                // See ExpressionParser.codeAsFunction for the structure
+                // of (c ? a : b).
+                const tt = args;
+                if(!(tt > i && tt <= to)) return false;
+                const
+                    ie = tt - 1 > i && code[tt - 1][0] === VMI_jump,
+                    te = (ie ? code[tt - 1][1] : tt);
+                stack.pop();
+                const n = stack.length;
+                if(!infer(i + 1, (ie ? tt - 1 : tt)) ||
+                    stack.length !== n + 1) return false;
+                const a = stack.pop();
+                if(ie) {
+                  if(!infer(tt + 1, te) || stack.length !== n + 1) {
+                    return false;
+                  }
+                  stack.push(additive(a, stack.pop(), 'branches yield'));
+                } else {
+                  stack.push(a);
+                }
+                i = te;
+                continue;
+              }
+              if(f === VMI_jump || f === VMI_pop_false) return false;
+              if(DYADIC_CODES.indexOf(f) >= 0) {
+                if(stack.length < 2) return false;
+                const
+                    b = stack.pop(),
+                    a = stack.pop();
+                let r = null;
+                if(f === VMI_add || f === VMI_sub) {
+                  r = additive(a, b, 'adds up');
+                } else if(comparisons.indexOf(f) >= 0) {
+                  r = additive(a, b, 'compares');
+                  if(r !== null) r = {};
+                } else if(f === VMI_concat || f === VMI_replace_undefined) {
+                  r = additive(a, b, 'combines');
+                } else if(f === VMI_mul) {
+                  r = this.combinedPowers(a, b, 1);
+                } else if(f === VMI_div || f === VMI_div_zero) {
+                  r = this.combinedPowers(a, b, -1);
+                } else if(f === VMI_mod || f === VMI_at) {
+                  r = a;
+                } else if(f === VMI_and || f === VMI_or) {
+                  r = {};
+                } else if(f === VMI_power && a !== null) {
+                  // Only integer exponents that are numbers can be
+                  // applied to units.
+                  const e = code[i - 1];
+                  if(isEmpty(a)) {
+                    r = a;
+                  } else if(e[0] === VMI_push_number &&
+                      Number.isInteger(e[1])) {
+                    r = {};
+                    for(const u of Object.keys(a)) r[u] = a[u] * e[1];
+                  }
+                }
+                stack.push(r);
+              } else if(MONADIC_CODES.indexOf(f) >= 0) {
+                if(stack.length < 1) return false;
+                const a = stack.pop();
+                if(monadic.indexOf(f) >= 0) {
+                  stack.push(a);
+                } else if(dimensionless.indexOf(f) >= 0) {
+                  stack.push(a === null ? null : {});
+                } else {
+                  stack.push(null);
+                }
+              } else {
+                stack.push(this.operandUnit(xp, i));
+              }
+              i++;
+            }
+            return true;
+          };
+    const r = (infer(0, code.length) && stack.length === 1 ?
+        stack[0] : null);
+    this.analyzing.delete(x);
+    return r;
+  }
+
+  checkExpression(x) {
+    // Check whether the unit of the result of expression `x` matches
+    // with the unit of its attribute.
+    const r = this.expressionUnit(x);
+    if(r === null || isEmpty(r)) return;
+    // NOTE: Dataset modifiers should have the dataset unit, equations
+    // can have any unit, and expressions for other attributes need only
+    // be checked if the unit of the attribute is known.
+    const e = (x.object instanceof Dataset ?
+        this.attributeUnit(x.object, '') :
+        this.attributeUnit(x.object, x.attribute));
+    if(e === null || isEmpty(e)) return;
+    const f = this.conversionFactor(r, e);
+    if(f === 1) return;
+    let msg = `yields ${this.unitString(r)} where ` +
+        `${this.unitString(e)} is expected`;
+    if(f !== false) {
+      msg += ` (1 ${this.unitString(r)} = ${VM.sig4Dig(f)} ` +
+          `${this.unitString(e)})`;
+    }
+    this.addIssue(x.object, x.attribute, msg);
+  }
+
+  checkProcess(p) {
+    // Check whether the static rates of links to and from process `p`
+    // are plausible when products are measured in different units that
+    // are convertible, i.e., whether the output of some dimension does
+    // not exceed the input after conversion.
+    const
+        rated = (links) => {
+            const rl = [];
+            for(const l of links) {
+              const
+                  n = (l.from_node === p ? l.to_node : l.from_node),
+                  x = l.relative_rate;
+              if(!x.compiled) x.compile();
+              if(l.multiplier === VM.LM_LEVEL && !n.is_data &&
+                  n.scale_unit !== '1' && x.code && x.code.length === 1 &&
+                  x.code[0][0] === VMI_push_number) {
+                rl.push({link: l, unit: n.scale_unit, rate: x.code[0][1]});
+              }
+            }
+            return rl;
+          },
+        inputs = rated(p.inputs),
+        outputs = rated(p.outputs),
+        done = new Set(),
+        factor = (from, to) => (from === to ? 1 :
+            this.model.unitConversionMultiplier(from, to));
+    for(const o of outputs) if(!done.has(o)) {
+      let tin = 0,
+          tout = 0,
+          mixed = false;
+      for(const l of outputs) {
+        const f = factor(l.unit, o.unit);
+        if(f !== VM.UNDEFINED) {
+          done.add(l);
+          tout += l.rate * f;
+          mixed = mixed || l.unit !== o.unit;
+        }
+      }
+      for(const l of inputs) {
+        const f = factor(l.unit, o.unit);
+        if(f !== VM.UNDEFINED) {
+          tin += l.rate * f;
+          mixed = mixed || l.unit !== o.unit;
+        }
+      }
+      if(mixed && tin > 0 && tout > tin * (1 + VM.SIG_DIF_FROM_ZERO)) {
+        this.addIssue(p, 'L', `output of ${VM.sig4Dig(tout)} ${o.unit} ` +
+            `exceeds input of ${VM.sig4Dig(tin)} ${o.unit} per unit of level`);
+      }
+    }
+  }
+
+  check() {
+    // Check the unit consistency of all expressions and processes in
+    // the model, and return the list of issues.
+    this.issues.length = 0;
+    this.level_units.clear();
+    for(const x of this.model.allExpressions) {
+      // NOTE: Skip note colors and expressions of bound line selectors.
+      if(x.object instanceof Note || x.object instanceof BoundLine) continue;
+      this.checkExpression(x);
+    }
+    for(let k in this.model.processes) {
+      if(this.model.processes.hasOwnProperty(k)) {
+        this.checkProcess(this.model.processes[k]);
+      }
+    }
+    return this.issues;
+  }
+
+} // END of class UnitChecker
+
+
+// CLASS SparseTableau
+// NOTE: Constraints are added to the tableau one row at a time, so the
+// coefficients are stored row after row in typed arrays: for row `r`,
+// the column indices and their coefficients are at positions
+// row_start[r] up to (but not including) row_start[r + 1]. The arrays
+// grow in chunks, which keeps memory use close to 12 bytes per non-zero
+// coefficient. As the MPS format is column-based, the tableau can also
+// produce a column-compressed copy of the coefficients.
+class SparseTableau {
+  constructor(chunk_size=65536) {
+    this.chunk_size = chunk_size;
+    this.release();
+  }
+
+  reset() {
+    // Remove all rows, but retain the allocated buffers.
+    this.row_count = 0;
+    this.nonzero_count = 0;
+    this.row_start[0] = 0;
+  }
+
+  release() {
+    // Remove all rows, and free the memory taken up by grown buffers.
+    this.row_start = new Int32Array(this.chunk_size);
+    this.right_hand_side = new Float64Array(this.chunk_size);
+    this.constraint_types = new Uint8Array(this.chunk_size);
+    this.column_index = new Int32Array(this.chunk_size);
+    this.coefficient = new Float64Array(this.chunk_size);
+    this.reset();
+  }
+
+  get length() {
+    // Return the number of rows, as for the former array of row objects.
+    return this.row_count;
+  }
+
+  get byteSize() {
+    // Return the number of bytes allocated for the tableau buffers.
+    return this.row_start.byteLength + this.right_hand_side.byteLength +
+        this.constraint_types.byteLength + this.column_index.byteLength +
+        this.coefficient.byteLength;
+  }
+
+  grown(a, n) {
+    // Return typed array `a` if it can hold `n` elements, or otherwise a
+    // copy of `a` that is extended by at least one chunk.
+    if(n <= a.length) return a;
+    const b = new a.constructor(Math.max(n,
+        a.length + Math.max(this.chunk_size, a.length >> 1)));
+    b.set(a);
+    return b;
+  }
+
+  addRow(row, rhs, ct) {
+    // Append `row` (an object {column index: coefficient}) with its
+    // right-hand side `rhs` and constraint type `ct`.
+    const
+        r = this.row_count,
+        cols = Object.keys(row);
+    let n = this.nonzero_count;
+    // NOTE: Reserve one extra element for the row start that ends row r.
+    this.row_start = this.grown(this.row_start, r + 2);
+    this.right_hand_side = this.grown(this.right_hand_side, r + 1);
+    this.constraint_types = this.grown(this.constraint_types, r + 1);
+    this.column_index = this.grown(this.column_index, n + cols.length);
+    this.coefficient = this.grown(this.coefficient, n + cols.length);
+    // NOTE: Object keys that are integers are listed in ascending order,
+    // so the coefficients of a row are sorted by column index.
+    for(const c of cols) {
+      this.column_index[n] = parseInt(c);
+      this.coefficient[n] = row[c];
+      n++;
+    }
+    this.right_hand_side[r] = rhs;
+    this.constraint_types[r] = ct;
+    this.nonzero_count = n;
+    this.row_count = r + 1;
+    this.row_start[r + 1] = n;
+  }
+
+  rowAsObject(r) {
+    // Return row `r` as an object {column index: coefficient}.
+    const row = {};
+    for(let i = this.row_start[r]; i < this.row_start[r + 1]; i++) {
+      row[this.column_index[i]] = this.coefficient[i];
+    }
+    return row;
+  }
+
+  substituteColumns(values) {
+    // Remove the coefficients of the columns that have a value in object
+    // `values` {column index: value} and move their product with this
+    // value to the right-hand side.
+    let n = 0;
+    for(let r = 0; r < this.row_count; r++) {
+      const
+          first = this.row_start[r],
+          last = this.row_start[r + 1];
+      let s = 0;
+      // NOTE: The row start can be overwritten once it has been read.
+      this.row_start[r] = n;
+      for(let i = first; i < last; i++) {
+        const v = values[this.column_index[i]];
+        if(v === undefined) {
+          this.column_index[n] = this.column_index[i];
+          this.coefficient[n] = this.coefficient[i];
+          n++;
+        } else {
+          s += this.coefficient[i] * v;
+        }
+      }
+      this.right_hand_side[r] -= s;
+    }
+    this.row_start[this.row_count] = n;
+    this.nonzero_count = n;
+  }
+
+  columnCompressed(ncol) {
+    // Return the coefficients in column-compressed form: for column `c`
+    // (numbered from 1 to `ncol`) the row indices and coefficients are
+    // at positions start[c] up to (but not including) start[c + 1].
+    // NOTE: Within each column, the rows are in ascending order.
+    const
+        nnz = this.nonzero_count,
+        start = new Int32Array(ncol + 2),
+        row_index = new Int32Array(nnz),
+        coefficient = new Float64Array(nnz),
+        next = new Int32Array(ncol + 2);
+    // First count the non-zeros per column...
+    for(let i = 0; i < nnz; i++) start[this.column_index[i] + 1]++;
+    // ... then accumulate these counts to obtain the column starts...
+    for(let c = 1; c <= ncol + 1; c++) start[c] += start[c - 1];
+    next.set(start);
+    // ... and finally distribute the entries over the columns.
+    for(let r = 0; r < this.row_count; r++) {
+      for(let i = this.row_start[r]; i < this.row_start[r + 1]; i++) {
+        const j = next[this.column_index[i]]++;
+        row_index[j] = r;
+        coefficient[j] = this.coefficient[i];
+      }
+    }
+    return {start: start, row_index: row_index, coefficient: coefficient};
+  }
+
+} // END of class SparseTableau
+
+
+// CLASS TimeAggregation
+// NOTE: For expansion planning over a long run period, the time series of
+// the model datasets can be clustered into k representative days or weeks.
+// The VM then optimizes only over these representative periods, and after
+// the run the results are mapped back onto the full time axis.
+// NOTE: As each representative period is weighted, storage cannot move
+// stock from one representative period to the next: the VM would count
+// such a transfer as many times as the weight of the period. Therefore,
+// all buffer products are cyclic under aggregation, i.e., their level at
+// the end of each representative period equals their level at its start.
+// Storage across periods (e.g., seasonal storage) is hence NOT modeled.
+class TimeAggregation {
+  constructor(model) {
+    this.model = model;
+    // Settings of the full run, to be restored after the run.
+    this.end_period = model.end_period;
+    this.block_length = model.block_length;
+    this.look_ahead = model.look_ahead;
+    // Datasets that have time series data, and their full vectors.
+    this.datasets = [];
+    this.full_vectors = [];
+    // Period length in time steps, and the number of (also partial)
+    // periods in the run.
+    this.period_length = 0;
+    this.period_count = 0;
+    // Index of the representative period for each period of the run.
+    this.cluster = [];
+    // Representative periods in chronological order, and the number of
+    // periods that each of them represents.
+    this.representatives = [];
+    this.weights = [];
+    // `map[tt]` is the time step in the full run that time step `tt` of
+    // the aggregated run represents.
+    this.map = [0];
+    // Reason why the run cannot be aggregated (if so).
+    this.message = '';
+  }
+  
+  get summary() {
+    // Return a description of the aggregation for the Monitor.
+    const
+        m = this.model,
+        pu = m.aggregation_period,
+        pl = this.period_length,
+        lines = ['Time aggregation: ' + pluralS(this.period_count, pu) +
+            ' represented by ' + pluralS(this.representatives.length,
+                'representative ' + pu) + ' (' + m.aggregation_method + ')'];
+    for(let r = 0; r < this.representatives.length; r++) {
+      const p = this.representatives[r];
+      lines.push(['- ', pu, ' ', p + 1, ' (t=', p * pl + 1, '-', (p + 1) * pl,
+          '): weight ', VM.sig4Dig(this.weights[r])].join(''));
+    }
+    lines.push('NOTE: Buffer levels are cyclic per ' + pu +
+        ' -- storage across periods is not modeled');
+    return lines.join('\n');
+  }
+  
+  distance(a, b, n) {
+    // Return the squared Euclidean distance between the feature arrays
+    // `a` and `b` for the first `n` time steps of a period.
+    const pl = this.period_length;
+    let d = 0;
+    for(let i = 0; i < a.length; i += pl) {
+      for(let j = i; j < i + n; j++) {
+        const dx = a[j] - b[j];
+        d += dx * dx;
+      }
+    }
+    return d;
+  }
+  
+  nearest(f, centers, n) {
+    // Return the index of the center nearest to feature array `f`.
+    // NOTE: Ties are resolved in favor of the lowest index, so that the
+    // clustering is deterministic.
+    let best = 0,
+        bd = VM.PLUS_INFINITY;
+    for(let c = 0; c < centers.length; c++) {
+      const d = this.distance(f, centers[c], n);
+      if(d < bd) {
+        best = c;
+        bd = d;
+      }
+    }
+    return best;
+  }
+  
+  setup() {
+    // Cluster the periods of the run, and return TRUE if the run can be
+    // aggregated. If not, `message` explains why.
+    const
+        m = this.model,
+        pu = m.aggregation_period,
+        pd = VM.time_unit_values[pu],
+        pl = Math.round(pd / m.timeStepDuration),
+        n = m.end_period - m.start_period + 1,
+        nf = Math.floor(n / pl),
+        rp = m.representative_periods;
+    if(pl < 1 || Math.abs(pl * m.timeStepDuration - pd) > VM.NEAR_ZERO) {
+      this.message = `Time step does not divide a ${pu}`;
+      return false;
+    }
+    if(nf <= rp) {
+      this.message = 'Run comprises only ' + pluralS(nf, 'full ' + pu);
+      return false;
+    }
+    this.period_length = pl;
+    this.period_count = Math.ceil(n / pl);
+    // Features are the time series of the datasets over the run, scaled
+    // to the range [0, 1]. Datasets that are constant over the run are
+    // still compressed, but do not contribute to the clustering.
+    const series = [];
+    for(let k in m.datasets) if(m.datasets.hasOwnProperty(k)) {
+      const ds = m.datasets[k];
+      if(ds === m.equations_dataset || ds.array || ds.data.length < 2) continue;
+      this.datasets.push(ds);
+      let low = VM.PLUS_INFINITY,
+          high = VM.MINUS_INFINITY;
+      for(let t = 1; t <= n; t++) {
+        const v = ds.vector[t];
+        // NOTE: Exceptional values (errors, undefined) are ignored.
+        if(v > VM.MINUS_INFINITY && v < VM.PLUS_INFINITY) {
+          low = Math.min(low, v);
+          high = Math.max(high, v);
+        }
+      }
+      if(high - low > VM.NEAR_ZERO) series.push([ds.vector, low, high - low]);
+    }
+    if(!series.length) {
+      this.message = 'No dataset time series vary over the run';
+      return false;
+    }
+    const features = [];
+    for(let p = 0; p < this.period_count; p++) {
+      const f = new Float64Array(series.length * pl);
+      for(let i = 0; i < series.length; i++) {
+        const
+            s = series[i],
+            v = s[0];
+        for(let j = 0; j < pl; j++) {
+          const
+              t = p * pl + j + 1,
+              x = v[t];
+          if(t <= n && x > VM.MINUS_INFINITY && x < VM.PLUS_INFINITY) {
+            f[i * pl + j] = (x - s[1]) / s[2];
+          }
+        }
+      }
+      features.push(f);
+    }
+    // Only full periods are clustered.
+    const full = features.slice(0, nf);
+    let members = (m.aggregation_method === 'k-medoids' ?
+        this.kMedoids(full, rp) : this.kMeans(full, rp));
+    // Empty clusters are dropped, and the others are ordered by their
+    // representative period.
+    members = members.filter((c) => c.members.length > 0);
+    members.sort((a, b) => a.representative - b.representative);
+    for(let r = 0; r < members.length; r++) {
+      const c = members[r];
+      this.representatives.push(c.representative);
+      this.weights.push(c.members.length);
+      for(const p of c.members) this.cluster[p] = r;
+    }
+    // A partial last period is represented by the representative period
+    // that is nearest for the time steps it has, and adds its fraction
+    // of a period to the weight of that representative.
+    if(this.period_count > nf) {
+      const
+          lpl = n - nf * pl,
+          reps = this.representatives.map((p) => features[p]),
+          r = this.nearest(features[nf], reps, lpl);
+      this.cluster[nf] = r;
+      this.weights[r] += lpl / pl;
+    }
+    for(const p of this.representatives) {
+      for(let j = 1; j <= pl; j++) this.map.push(p * pl + j);
+    }
+    return true;
+  }
+  
+  initialCenters(features, k) {
+    // Return the indices of `k` periods that are spread out over the
+    // feature space: first the period nearest to the mean, and then each
+    // time the period that is farthest from the periods chosen so far.
+    const
+        pl = this.period_length,
+        mean = new Float64Array(features[0].length),
+        chosen = [];
+    for(const f of features) {
+      for(let i = 0; i < f.length; i++) mean[i] += f[i] / features.length;
+    }
+    chosen.push(this.nearest(mean, features, pl));
+    const md = features.map((f) => this.distance(f, features[chosen[0]], pl));
+    while(chosen.length < k) {
+      let far = 0;
+      for(let p = 1; p < features.length; p++) if(md[p] > md[far]) far = p;
+      chosen.push(far);
+      for(let p = 0; p < features.length; p++) {
+        md[p] = Math.min(md[p], this.distance(features[p], features[far], pl));
+      }
+    }
+    return chosen;
+  }
+  
+  assign(features, centers) {
+    // Return the list of member periods for each center.
+    const
+        pl = this.period_length,
+        members = centers.map(() => []);
+    for(let p = 0; p < features.length; p++) {
+      members[this.nearest(features[p], centers, pl)].push(p);
+    }
+    return members;
+  }
+  
+  kMeans(features, k) {
+    // Cluster the periods using Lloyd's algorithm, and represent each
+    // cluster by the member period nearest to its centroid.
+    const
+        pl = this.period_length,
+        centroids = this.initialCenters(features, k).map(
+            (p) => features[p].slice());
+    let members = this.assign(features, centroids),
+        changed = true;
+    for(let iter = 0; changed && iter < 100; iter++) {
+      for(let c = 0; c < k; c++) if(members[c].length) {
+        const cc = centroids[c];
+        cc.fill(0);
+        for(const p of members[c]) {
+          const f = features[p];
+          for(let i = 0; i < f.length; i++) cc[i] += f[i];
+        }
+        for(let i = 0; i < cc.length; i++) cc[i] /= members[c].length;
+      }
+      const next = this.assign(features, centroids);
+      changed = next.some((ml, c) => ml.join() !== members[c].join());
+      members = next;
+    }
+    return members.map((ml, c) => {
+        const mf = ml.map((p) => features[p]);
+        return {members: ml, representative: (ml.length ?
+            ml[this.nearest(centroids[c], mf, pl)] : -1)};
+      });
+  }
+  
+  kMedoids(features, k) {
+    // Cluster the periods by Voronoi iteration: each cluster is
+    // represented by the member period that has the smallest sum of
+    // distances to the other members.
+    const pl = this.period_length;
+    let medoids = this.initialCenters(features, k),
+        members = [],
+        changed = true;
+    for(let iter = 0; changed && iter < 100; iter++) {
+      members = this.assign(features, medoids.map((p) => features[p]));
+      changed = false;
+      for(let c = 0; c < k; c++) if(members[c].length) {
+        let best = medoids[c],
+            bd = VM.PLUS_INFINITY;
+        for(const p of members[c]) {
+          let d = 0;
+          for(const q of members[c]) {
+            d += this.distance(features[p], features[q], pl);
+          }
+          if(d < bd) {
+            best = p;
+            bd = d;
+          }
+        }
+        if(best !== medoids[c]) {
+          medoids[c] = best;
+          changed = true;
+        }
+      }
+    }
+    return members.map((ml, c) => ({members: ml, representative: medoids[c]}));
+  }
+  
+  compress() {
+    // Restrict the model run to the representative periods.
+    // NOTE: The run is solved as a single block without look-ahead.
+    const
+        m = this.model,
+        n = this.map.length - 1;
+    for(const ds of this.datasets) this.full_vectors.push(ds.vector.slice());
+    m.end_period = m.start_period + n - 1;
+    m.block_length = n;
+    m.look_ahead = 0;
+  }
+  
+  compressDatasets() {
+    // Replace the values of the dataset vectors by those for the time steps
+    // they represent.
+    // NOTE: This must be done "in place" after the VM has been reset, as
+    // compiled expressions refer to these vectors.
+    for(let i = 0; i < this.datasets.length; i++) {
+      const
+          v = this.datasets[i].vector,
+          fv = this.full_vectors[i];
+      for(let tt = 1; tt < this.map.length; tt++) v[tt] = fv[this.map[tt]];
+    }
+  }
+  
+  weightObjective() {
+    // Multiply the objective coefficients of the columns for each time step
+    // by the weight of the representative period of that time step.
+    // NOTE: Chunk variables are not time-dependent, so their coefficients
+    // (e.g., for investments) are not weighted.
+    const
+        pl = this.period_length,
+        cols = VM.cols,
+        co = VM.chunk_offset;
+    for(const obj of [VM.objective, VM.quadratic]) {
+      for(let i in obj) if(Number(i)) {
+        const c = parseInt(i);
+        if(c < co) {
+          obj[i] *= this.weights[Math.floor(Math.floor((c - 1) / cols) / pl)];
+        }
+      }
+    }
+  }
+  
+  position(t) {
+    // Return the time step of the aggregated run that represents time
+    // step `t` of the full run.
+    // NOTE: Time steps in the look-ahead period are treated as being part
+    // of the last period of the run.
+    const
+        pl = this.period_length,
+        p = Math.min(Math.floor((t - 1) / pl), this.period_count - 1);
+    return this.cluster[p] * pl + (t - 1) % pl + 1;
+  }
+  
+  disaggregate() {
+    // Restore the full run, and map the results of the aggregated run
+    // onto its time axis.
+    const m = this.model;
+    m.end_period = this.end_period;
+    m.block_length = this.block_length;
+    m.look_ahead = this.look_ahead;
+    const
+        rl = m.runLength,
+        pos = [0];
+    for(let t = 1; t <= rl; t++) pos.push(this.position(t));
+    const
+        expand = (v) => {
+            const av = v.slice();
+            v.length = rl + 1;
+            for(let t = 1; t <= rl; t++) v[t] = av[pos[t]];
+          },
+        expandList = (l) => {
+            if(!l.length) return;
+            const av = l.slice();
+            l.length = 0;
+            for(let t = 1; t <= rl; t++) if(av.indexOf(pos[t]) >= 0) l.push(t);
+          };
+    for(let i = 0; i < this.datasets.length; i++) {
+      const v = this.datasets[i].vector;
+      v.length = 0;
+      for(const x of this.full_vectors[i]) v.push(x);
+    }
+    for(let k in m.actors) if(m.actors.hasOwnProperty(k)) {
+      const a = m.actors[k];
+      expand(a.cash_flow);
+      expand(a.cash_in);
+      expand(a.cash_out);
+    }
+    for(let k in m.clusters) if(m.clusters.hasOwnProperty(k)) {
+      const c = m.clusters[k];
+      expand(c.cash_flow);
+      expand(c.cash_in);
+      expand(c.cash_out);
+    }
+    for(let k in m.processes) if(m.processes.hasOwnProperty(k)) {
+      const p = m.processes[k];
+      expand(p.level);
+      expand(p.cost_price);
+      expand(p.cash_flow);
+      expand(p.marginal_cash_flow);
+      expand(p.reduced_cost);
+      expand(p.cash_in);
+      expand(p.cash_out);
+      expandList(p.start_ups);
+      expandList(p.shut_downs);
+    }
+    for(let k in m.products) if(m.products.hasOwnProperty(k)) {
+      const p = m.products[k];
+      expand(p.level);
+      expand(p.cost_price);
+      expand(p.highest_cost_price);
+      expand(p.marginal_price);
+      if(p.is_buffer) expand(p.stock_price);
+      expandList(p.start_ups);
+      expandList(p.shut_downs);
+    }
+    for(let k in m.links) if(m.links.hasOwnProperty(k)) {
+      expand(m.links[k].actual_flow);
+    }
+    // Dynamic expressions must be recomputed for the full run, so their
+    // vectors are cleared.
+    for(const x of m.allExpressions) {
+      if(!x.is_static && !(x.object instanceof Dataset && x.object.array)) {
+        m.cleanVector(x.vector, VM.NOT_COMPUTED);
+        x.wildcard_vectors = {};
+        x.cache = {};
+      }
+    }
+  }
+
+} // END of class TimeAggregation
+
+
 // CLASS VirtualMachine
 class VirtualMachine {
   constructor() {
@@ -2161,10 +3324,16 @@ class VirtualMachine {
     this.prompt_to_diagnose = false;
     // Array for VM instructions.
     this.code = [];
-    // The Simplex tableau: matrix, rhs and ct will have same length.
-    this.matrix = [];
-    this.right_hand_side = [];
-    this.constraint_types = [];
+    // The Simplex tableau: coefficient matrix, rhs and constraint types.
+    this.matrix = new SparseTableau();
+    // Values of the columns that are removed by the presolve stage.
+    this.fixed_columns = {};
+    // Number and round letter of the block that the tableau represents
+    // (0 if the tableau is empty).
+    this.tableau_block = 0;
+    this.tableau_round = '';
+    // Time aggregation of the current run (NULL if not aggregated).
+    this.time_aggregation = null;
     // String to hold lines of (solver-dependent) model equations.
     this.lines = '';
     // String specifying a numeric issue (empty if none).
@@ -2175,11 +3344,30 @@ class VirtualMachine {
     this.bound_issues = {};
     // The call stack tracks evaluation of "nested" expression variables.
     this.call_stack = [];
+    // Expressions are computed by their compiled JavaScript function (if
+    // any) unless this flag is cleared.
+    this.compile_expressions = CONFIGURATION.compile_expressions;
+    // Seed and state of the pseudo-random number generator. The seed is
+    // set anew for each run, so that runs can be replayed exactly.
+    this.random_seed = 0;
+    this.random_state = 0;
     this.block_count = 0;
     // Sequence of round numbers (set by default or as experiment parameter).
     this.round_sequence = '';
     // NOTE: Current round is index in round sequence.
     this.current_round = 0;
+    // In multi-objective mode, each block is solved in a sequence of
+    // stages, each optimizing one objective. By default, there is only
+    // one stage (denoted by NULL) that uses the weighted actor objective.
+    this.objectives = [];
+    this.stages = [null];
+    // NOTE: Current stage is index in the list of stages.
+    this.stage = 0;
+    // Index of the stage for which the solver is running.
+    this.solved_stage = 0;
+    // Objective vectors and values (per stage) for the current block.
+    this.objective_vectors = [];
+    this.stage_values = [];
     // Add arrays for solver results per block.
     this.round_times = [];
     this.round_secs = [];
@@ -2187,6 +3375,9 @@ class VirtualMachine {
     this.solver_secs = [];
     this.messages = [];
     this.equations = [];
+    // Infeasible blocks have an entry {block number: IIS report} where
+    // the report is NULL until the modeler asks to explain infeasibility.
+    this.iis_reports = {};
     
     // Default texts to display for (still) empty results.
     this.NO_MESSAGES = '(no messages)';
@@ -2412,6 +3603,9 @@ class VirtualMachine {
       'UB':  'upper bound',
       'IL':  'initial level',
       'LCF': 'level change frequency',
+      'MUT': 'minimum up time',
+      'MDT': 'minimum down time',
+      'QC':  'quadratic cost',
       'L':   'level',
       'P':   'price',
       'CP':  'cost price',
@@ -2425,19 +3619,23 @@ class VirtualMachine {
       'D':   'delay',
       'F':   'flow',
       'SOC': 'share of cost',
-      'A':   'active'
+      'A':   'active',
+      'MP':  'marginal price',
+      'RC':  'reduced cost'
     };
     // NOTE: Defaults are level (L), link flow (F), cluster cash flow (CF),
     // actor cash flow (CF); dataset value (no attribute).
     // NOTE: Exogenous properties first, then the computed properties.
-    this.process_attr = ['LB', 'UB', 'IL', 'LCF', 'L', 'CI', 'CO', 'CF', 'MCF', 'CP'];
-    this.product_attr = ['LB', 'UB', 'IL', 'P', 'L', 'CP', 'HCP'];
+    this.process_attr = ['LB', 'UB', 'IL', 'LCF', 'MUT', 'MDT', 'QC', 'L', 'CI',
+        'CO', 'CF', 'MCF', 'CP', 'RC'];
+    this.product_attr = ['LB', 'UB', 'IL', 'P', 'QC', 'L', 'CP', 'HCP', 'MP'];
     this.cluster_attr = ['CI', 'CO', 'CF'];
     this.link_attr = ['R', 'D', 'SOC', 'F'];
     this.constraint_attr = ['SOC', 'A'];
     this.actor_attr = ['W', 'CI', 'CO', 'CF'];
     // Only expression attributes can be used for sensitivity analysis.
-    this.expression_attr = ['LB', 'UB', 'IL', 'LCF', 'P', 'R', 'D', 'W'];
+    this.expression_attr = ['LB', 'UB', 'IL', 'LCF', 'MUT', 'MDT', 'QC', 'P',
+        'R', 'D', 'W'];
     // Attributes per entity type letter.
     this.attribute_codes = {
       A: this.actor_attr,
@@ -2456,7 +3654,8 @@ class VirtualMachine {
       for(const a of ac) this.entity_attribute_names[el].push(a);
     }
     // Level-based attributes are computed only AFTER optimization.
-    this.level_based_attr = ['L', 'CP',  'HCP', 'CF', 'MCF', 'CI', 'CO', 'F', 'A'];
+    this.level_based_attr = ['L', 'CP',  'HCP', 'CF', 'MCF', 'CI', 'CO', 'F', 'A',
+        'MP', 'RC'];
     this.object_types = ['Process', 'Product', 'Cluster', 'Link', 'Constraint',
         'Actor', 'Dataset', 'Equation'];
     this.type_attributes = [this.process_attr, this.product_attr,
@@ -2475,7 +3674,9 @@ class VirtualMachine {
       mosek: 'MOSEK',
       cplex: 'CPLEX',
       scip: 'SCIP',
-      lp_solve: 'LP_solve'
+      highs: 'HiGHS',
+      lp_solve: 'LP_solve',
+      builtin: 'Built-in'
     };
   }
   
@@ -2494,10 +3695,67 @@ class VirtualMachine {
     return this.solver_id === 'mosek' || MODEL.no_semi_continuous;
   }
 
+  get supportsWarmStart() {
+    // Return TRUE if the selected solver can use a start solution.
+    return ['gurobi', 'mosek', 'cplex', 'scip'].indexOf(this.solver_id) >= 0;
+  }
+
+  get supportsDuals() {
+    // Return TRUE if the selected solver can compute dual values by
+    // re-solving a block as LP with its integer variables fixed.
+    return ['gurobi', 'cplex', 'highs'].indexOf(this.solver_id) >= 0;
+  }
+
+  get supportsIIS() {
+    // Return TRUE if the selected solver can compute an irreducible
+    // infeasible subsystem (IIS) for an infeasible block.
+    return ['gurobi', 'cplex'].indexOf(this.solver_id) >= 0;
+  }
+
+  get supportsQuadratic() {
+    // Return TRUE if the selected solver can solve problems having
+    // quadratic terms in the objective function (MIQP).
+    return ['gurobi', 'cplex', 'mosek', 'scip'].indexOf(this.solver_id) >= 0;
+  }
+
   get noSupportForSOS() {
     // Return TRUE if the selected solver does NOT support special
     // ordered sets (SOS).
-    return this.solver_id === 'mosek';
+    return this.solver_id === 'mosek' || this.solver_id === 'highs';
+  }
+
+  newRandomSeed() {
+    // Return a new seed for the pseudo-random number generator.
+    return Math.floor(Math.random() * 2147483646) + 1;
+  }
+  
+  get runSeed() {
+    // Return the seed for the pseudo-random numbers of the run to be
+    // performed: the seed of the active experiment run (if any), otherwise
+    // the seed set in the model settings, or else a new seed.
+    const x = MODEL.running_experiment;
+    if(x) {
+      const xr = EXPERIMENT_MANAGER.activeRun(x);
+      if(xr && xr.seed) return xr.seed;
+    }
+    return MODEL.random_seed || this.newRandomSeed();
+  }
+  
+  seedRandom(seed) {
+    // Initialize the pseudo-random number generator with `seed`.
+    this.random_seed = seed;
+    this.random_state = seed >>> 0;
+  }
+  
+  random() {
+    // Return a pseudo-random number from the interval [0, 1).
+    // NOTE: This implements the Mulberry32 generator, which is fast and
+    // produces the same sequence on any platform for the same seed.
+    this.random_state = (this.random_state + 0x6D2B79F5) >>> 0;
+    let z = this.random_state;
+    z = Math.imul(z ^ (z >>> 15), z | 1);
+    z ^= z + Math.imul(z ^ (z >>> 7), z | 61);
+    return ((z ^ (z >>> 14)) >>> 0) / 4294967296;
   }
 
   reset() {
@@ -2575,6 +3833,13 @@ class VirtualMachine {
     this.solver_secs.length = 0;
     this.messages.length = 0;
     this.equations.length = 0;
+    this.iis_reports = {};
+    // Solution vector of the last block (or round) that was solved, to be
+    // used as start solution for the next block (if model so requires).
+    this.previous_solution = null;
+    this.start_values = '';
+    // No tableau to export yet.
+    this.tableau_block = 0;
     // Initialize arrays to the expected number of blocks so that values
     // can be stored asynchronously.
     for(let i = 0; i < this.nr_of_blocks; i++) {
@@ -2595,6 +3860,8 @@ class VirtualMachine {
       this.round_sequence = MODEL.round_sequence;
     }
     this.current_round = 0;
+    this.stage = 0;
+    this.stage_values = [];
     // Set the current time step, *relative* to the start of the simulation
     // period (i.e., t = 0 corresponds with the "from" time step t_0).
     this.t = 0;
@@ -2613,6 +3880,14 @@ class VirtualMachine {
     return r;
   }
   
+  actualTimeStep(t) {
+    // Return time step `t` (relative to the start of the run), or for a
+    // time-aggregated run, the time step of the full run it represents.
+    const ta = this.time_aggregation;
+    if(ta && t > 0 && t < ta.map.length) return ta.map[t];
+    return t;
+  }
+
   inLookAhead(t) {
     // Return TRUE if VM is executing its tableau construction code AND
     // time step `t` falls in the look-ahead period of the previous block.
@@ -3173,6 +4448,8 @@ class VirtualMachine {
       // Only products can have slack variables.
       p.stock_LE_slack_var_index = -1;
       p.stock_GE_slack_var_index = -1;
+      // Buffer products can have their initial level optimized.
+      p.initial_level_var_index = -1;
     } else {
       // Only processes can be semi-continuous or grid elements.
       p.semic_var_index = -1;
@@ -3504,13 +4781,18 @@ class VirtualMachine {
       if(MODEL.ignore_power_losses) this.logMessage(1,
           'NOTE: Disregarding transmission losses');
       POWER_GRID_MANAGER.inferCycleBasis();
-      if(POWER_GRID_MANAGER.messages.length > 1) {
+      POWER_GRID_MANAGER.inferContingencies();
+      // NOTE: Power grid messages include information that is not a
+      // warning, such as the grid summary.
+      if(POWER_GRID_MANAGER.messages.some((m) => m.startsWith(VM.WARNING))) {
         UI.warn('Check monitor for power grid warnings');
       }
       this.logMessage(1, POWER_GRID_MANAGER.messages.join('\n'));
       if(POWER_GRID_MANAGER.cycle_basis.length) this.logMessage(1,
           'Enforcing Kirchhoff\'s voltage law for ' +
           POWER_GRID_MANAGER.cycleBasisAsString);
+      if(POWER_GRID_MANAGER.contingencies.length) this.logMessage(1,
+          POWER_GRID_MANAGER.contingenciesAsString);
     }
 
     // FIRST: Define indices for all variables (index = Simplex tableau
@@ -3612,6 +4894,16 @@ class VirtualMachine {
         cvi++;
       }
     }
+    // Add one chunk variable for buffer products having an initial level
+    // that is to be optimized.
+    for(const k of product_keys) if(!MODEL.ignored_entities[k]) {
+      const p = MODEL.products[k];
+      if(p.is_buffer && p.free_initial_level) {
+        p.initial_level_var_index = cvi;
+        this.chunk_variables.push(['IL', p]);
+        cvi++;
+      }
+    }
 
     // Now *all* variables have been defined. The next step is to set
     // their bounds.
@@ -3871,6 +5163,38 @@ class VirtualMachine {
     // NOTE: for the VM's current time step (VM.t)!
     this.code.push([VMI_set_objective, null]);
 
+    // In multi-objective mode, infer the objectives and the sequence of
+    // stages in which each block must be solved.
+    this.setupObjectives();
+
+    // Processes and products may add quadratic terms to the objective.
+    // NOTE: These terms are ignored when the solver does not support them.
+    const qc_nodes = [];
+    for(const k of process_keys) if(!MODEL.ignored_entities[k]) {
+      const p = MODEL.processes[k];
+      if(p.hasQuadraticCost) qc_nodes.push(p);
+    }
+    for(const k of product_keys) if(!MODEL.ignored_entities[k]) {
+      const p = MODEL.products[k];
+      if(p.hasQuadraticCost) qc_nodes.push(p);
+    }
+    if(qc_nodes.length) {
+      if(this.objectives.length) {
+        // NOTE: Objectives are locked by linear constraints, so quadratic
+        // terms cannot be part of them.
+        this.logMessage(1, this.WARNING + 'Quadratic cost of ' +
+            pluralS(qc_nodes.length, 'node') +
+            ' ignored in multi-objective mode');
+      } else if(this.supportsQuadratic) {
+        for(const n of qc_nodes) this.code.push([VMI_add_quadratic_cost, n]);
+      } else {
+        this.logMessage(1, this.WARNING + 'Quadratic cost of ' +
+            pluralS(qc_nodes.length, 'node') + ' ignored because solver ' +
+            this.solver_names[this.solver_id] +
+            ' does not support quadratic objectives');
+      }
+    }
+
     // NOTES:
     // (1) Scaling of the objective function coefficients is performed by
     //     the VM just before the tableau is submitted to the solver, so
@@ -3921,6 +5245,13 @@ class VirtualMachine {
       }
       if(!MODEL.ignore_KVL) this.code.push(
           [VMI_add_kirchhoff_constraints, POWER_GRID_MANAGER.cycle_basis]);
+      // NOTE: Post-contingency flow limits are meaningless when grid
+      // capacity is ignored.
+      if(MODEL.contingency_analysis === 'secure' &&
+          !MODEL.ignore_grid_capacity &&
+          POWER_GRID_MANAGER.contingencies.length) this.code.push(
+          [VMI_add_contingency_constraints,
+              POWER_GRID_MANAGER.contingencies]);
     }
 
     // NEXT: Add product constraints to calculate (and constrain) their stock.
@@ -4124,8 +5455,13 @@ class VirtualMachine {
         //     previous block from the RHS if t=block_start, or the initial level
         //     if t=1
         if(p.is_buffer) {
-          this.code.push([VMI_add_const_to_coefficient,
-              [p.level_var_index, 1, 1]]); // delay of 1
+          if(p.initial_level_var_index >= 0) {
+            // NOTE: For t=1, the initial level is a chunk variable.
+            this.code.push([VMI_add_previous_stock_to_coefficient, p]);
+          } else {
+            this.code.push([VMI_add_const_to_coefficient,
+                [p.level_var_index, 1, 1]]); // delay of 1
+          }
         }
         
         // Set the coefficient for this product's stock NOW to -1 so that
@@ -4136,12 +5472,19 @@ class VirtualMachine {
         if(!p.is_data || p.inputs.length + p.outputs.length > 0) {
           this.code.push([VMI_add_const_to_coefficient,
               [p.level_var_index, -1]]);
-          this.code.push([VMI_add_constraint, VM.EQ]);
+          // NOTE: Product balance rows are recorded so that their dual
+          // values can be stored as marginal prices of the product.
+          this.code.push([VMI_add_product_balance_constraint, p]);
         }
       } // END of IF p not a constant
 
       // Set the bound constraints on the product stock variable
       this.setProductBoundConstraints(p);
+      // Cyclic buffer products must end each cycle at their start level.
+      // NOTE: Under time aggregation, all buffer products are cyclic.
+      if(p.is_buffer && (p.is_cyclic || this.time_aggregation)) {
+        this.code.push([VMI_add_cyclic_stock_constraint, p]);
+      }
     } // End of FOR all products
 
     // NEXT: add constraints that will set values of binary variables
@@ -4275,6 +5618,16 @@ class VirtualMachine {
        NOTE: These constraints alone set the lower bound for BPI and CPI, so
        these variables can take on higher values. The modeler must ensure
        that there is a cost associated with the actual flow, not a revenue.
+
+       For processes having a minimum up time MUT, a start-up in any of the
+       last MUT time steps means that the process must be ON:
+       (p) SU[t-MUT+1] + ... + SU[t] - OO[t] <= 0
+       Likewise, for processes having a minimum down time MDT, a shut-down
+       in any of the last MDT time steps means that the process must be OFF:
+       (q) SD[t-MDT+1] + ... + SD[t] + OO[t] <= 1
+       NOTE: When time step t-k falls before the block start, the start-ups
+       and shut-downs recorded for previous blocks are moved to the right-
+       hand side.
     */
     // NOTE: As of 20 June 2021, binary attributes of products are also computed.
     const pp_nodes = [];
@@ -4304,10 +5657,18 @@ class VirtualMachine {
           if(p.first_commit_var_index >= 0) {
             this.code.push([VMI_add_first_commit_constraints, p]);
           }
+          // Processes may have a minimum up time.
+          if(p.hasMinUpTime) {
+            this.code.push([VMI_add_min_up_time_constraints, p]);
+          }
         }
         // Likewise add constraints for shut-down (if needed).
         if(p.shut_down_var_index >= 0) {
           this.code.push([VMI_add_shutdown_constraints, p]);
+          // Processes may have a minimum down time.
+          if(p.hasMinDownTime) {
+            this.code.push([VMI_add_min_down_time_constraints, p]);
+          }
         }
       } // END IF product has on/off binary variable
       
@@ -4348,6 +5709,175 @@ class VirtualMachine {
       `Problem formulation took ${this.elapsedTime} seconds.`);
   } // END of setup_problem function
 
+  get epsilonFraction() {
+    // Return the fraction of the range of the second objective that is
+    // to be used as epsilon-constraint, or -1 if no Pareto sweep is
+    // performed. This fraction is e/N for selector "e=e" of the running
+    // experiment, where N is the upper limit of its iterator range for e.
+    const x = MODEL.running_experiment;
+    if(x) {
+      const n = x.iterator_ranges[3][1];
+      for(const sel of x.activeCombination) {
+        if(sel.startsWith('e=')) {
+          if(n <= 0) return 0;
+          return Math.min(1, Math.max(0, parseInt(sel.substring(2)) / n));
+        }
+      }
+    }
+    return -1;
+  }
+
+  setupObjectives() {
+    // Infer the list of objectives and the sequence of stages in which
+    // each block must be solved. By default, there is one stage that uses
+    // the weighted actor cash flow objective.
+    this.objectives.length = 0;
+    this.stages = [null];
+    if(!MODEL.multi_objective) return;
+    for(const ot of MODEL.objectives) {
+      const o = MODEL.parseObjective(ot);
+      if(typeof o === 'string') {
+        this.logMessage(1, this.WARNING + o);
+      } else if(o.object && !(o.object instanceof Actor) &&
+          o.object.level_var_index < 0) {
+        this.logMessage(1, this.WARNING + 'Objective "' + o.text +
+            '" ignored because this node has no level variable');
+      } else {
+        this.objectives.push(o);
+      }
+    }
+    if(this.objectives.length < 2) {
+      this.logMessage(1, this.WARNING +
+          'Multi-objective mode requires at least 2 valid objectives');
+      this.objectives.length = 0;
+      return;
+    }
+    const
+        n = this.objectives.length,
+        ef = this.epsilonFraction;
+    this.stages.length = 0;
+    if(ef < 0) {
+      // Lexicographic optimization: optimize the objectives in order of
+      // priority, each time locking the values of the objectives that
+      // have been optimized in earlier stages.
+      for(let i = 0; i < n; i++) this.stages.push({optimize: i});
+    } else {
+      // Epsilon-constraint method: first find the best value of the
+      // second objective, and its value when the first objective is
+      // optimized. These two "anchor" stages define the range of the
+      // second objective. Then optimize the first objective while
+      // constraining the second objective to the fraction `ef` of this
+      // range, and finally optimize the other objectives lexicographically.
+      this.stages.push({optimize: 1, anchor: true},
+          {optimize: 0, anchor: true}, {optimize: 0, epsilon: ef});
+      for(let i = 2; i < n; i++) this.stages.push({optimize: i});
+    }
+    const ol = [];
+    for(let i = 0; i < n; i++) ol.push(`${i + 1}. ${this.objectives[i].text}`);
+    this.logMessage(1, 'MULTI-OBJECTIVE (' +
+        (ef < 0 ? 'lexicographic' : 'epsilon-constraint at ' +
+            VM.sig4Dig(ef * 100) + '% of range of objective 2') +
+        '):\n' + ol.join('\n'));
+  }
+
+  objectiveVector(o, abl, wo) {
+    // Return the coefficients for objective `o` as a sparse vector over
+    // all time steps of the current chunk, so that maximizing the vector
+    // product with the solution vector optimizes `o`. When `o` is the
+    // weighted actor objective, this vector is obtained from `wo`.
+    const v = {};
+    if(!o.object) {
+      for(let i in wo) if(Number(i) && i < this.chunk_offset) {
+        v[i] = o.sign * wo[i];
+      }
+      return v;
+    }
+    for(let t = 0; t < abl; t++) {
+      const k = t * this.cols;
+      if(o.object instanceof Actor) {
+        if(o.attribute !== 'CO') v[k + o.object.cash_in_var_index] = o.sign;
+        if(o.attribute !== 'CI') {
+          v[k + o.object.cash_out_var_index] =
+              (o.attribute === 'CO' ? o.sign : -o.sign);
+        }
+      } else {
+        v[k + o.object.level_var_index] = o.sign;
+      }
+    }
+    return v;
+  }
+
+  setStageObjective(abl) {
+    // Replace the objective function by the objective that must be
+    // optimized in the current stage, and add constraints that lock the
+    // values of the objectives that have been optimized in earlier stages.
+    const
+        wo = this.objective,
+        st = this.stages[this.stage];
+    if(this.stage === 0) this.stage_values.length = 0;
+    this.objective_vectors.length = 0;
+    for(const o of this.objectives) {
+      this.objective_vectors.push(this.objectiveVector(o, abl, wo));
+    }
+    this.objective = Object.assign({}, this.objective_vectors[st.optimize]);
+    // NOTE: Retain the small penalties on peak increase variables.
+    for(let i = 0; i < this.chunk_variables.length; i++) {
+      const ci = this.chunk_offset + i;
+      if(wo.hasOwnProperty(ci)) this.objective[ci] = wo[ci];
+    }
+    const
+        sv = this.stage_values,
+        lock = (oi, v) => {
+            // Add constraint that (sign-normalized) objective `oi` must
+            // be at least `v`.
+            this.matrix.addRow(this.objective_vectors[oi], v, VM.GE);
+          };
+    for(let i = 0; i < this.stage; i++) {
+      const
+          si = this.stages[i],
+          oi = si.optimize,
+          z = (sv[i] ? sv[i][oi] : undefined);
+      if(z === undefined) {
+        this.logMessage(this.block_count, this.WARNING + 'Objective ' +
+            (oi + 1) + ' not locked: no solution for stage ' + (i + 1));
+      } else if('epsilon' in si || !si.anchor) {
+        // NOTE: The tolerance is relative, but locks should at least
+        // tolerate numerical imprecision.
+        lock(oi, z - Math.max(this.objectives[oi].tolerance * Math.abs(z),
+            VM.SIG_DIF_FROM_ZERO));
+      }
+    }
+    if('epsilon' in st || (this.stage > 2 && 'epsilon' in this.stages[2])) {
+      const
+          best = (sv[0] ? sv[0][1] : undefined),
+          worst = (sv[1] ? sv[1][1] : undefined);
+      if(best === undefined || worst === undefined) {
+        this.logMessage(this.block_count, this.WARNING +
+            'No epsilon-constraint: range of objective 2 is unknown');
+      } else {
+        const e = this.stages[2].epsilon;
+        lock(1, worst + e * (best - worst) - VM.SIG_DIF_FROM_ZERO);
+      }
+    }
+  }
+
+  setStageValues(stage, x) {
+    // Record the values of all objectives for solution vector `x` of the
+    // current block that was obtained in the specified stage.
+    if(!(x instanceof Array)) {
+      this.stage_values[stage] = null;
+      return;
+    }
+    const v = [];
+    for(const ov of this.objective_vectors) {
+      let z = 0;
+      // NOTE: Solution vector `x` is zero-based.
+      for(let i in ov) if(ov.hasOwnProperty(i)) z += ov[i] * x[i - 1];
+      v.push(z);
+    }
+    this.stage_values[stage] = v;
+  }
+
   scaleObjective() {
     // scales coefficients to range between -2 and +2
     // NOTE: also computes and sets the minimum slack penalty value
@@ -4417,6 +5947,17 @@ class VirtualMachine {
     }
   }
 
+  scaleQuadraticTerms() {
+    // Scale the quadratic objective coefficients like the linear ones.
+    // NOTE: Quadratic cost is a cash flow, so unless the model has no cash
+    // flows, it must also be divided by the cash scalar, as the cash flow
+    // variables in the linear part of the objective will be.
+    let m = 1 / this.scaling_factor;
+    if(!this.no_cash_flows) m /= this.cash_scalar;
+    if(m === 1) return;
+    for(let i in this.quadratic) if(Number(i)) this.quadratic[i] *= m;
+  }
+
   scaleCashFlowConstraints() {
     // Scale cash flow coefficients per actor by dividing them by the
     // largest cash flow coefficient (in absolute value) within the
@@ -4429,41 +5970,40 @@ class VirtualMachine {
         'Cash flows scaled by 1/' + this.cash_scalar);
     // Use reciprocal as multiplier to scale the constraint coefficients.
     const m = 1 / this.cash_scalar;
-    let cv;
+    const
+        tbl = this.matrix,
+        cashVariable = (ci) => {
+            // Return TRUE if column `ci` is a cash variable.
+            let cv;
+            if(ci < this.chunk_offset) {
+              // NOTE: Subtract 1 as variables array is zero-based.
+              cv = this.variables[(ci - 1) % this.cols];
+            } else {
+              // Chunk variable array is zero-based.
+              cv = this.chunk_variables[ci - this.chunk_offset];
+            }
+            return (cv ? cv[0].startsWith('C') : null);
+          };
     for(const k of this.cash_constraints) {
-      const cc = this.matrix[k];
-      for(let ci in cc) if(cc.hasOwnProperty(ci)) {
-        if(ci < this.chunk_offset) {
-          // NOTE: Subtract 1 as variables array is zero-based.
-          cv = this.variables[(ci - 1) % this.cols];
-        } else {
-          // Chunk variable array is zero-based.
-          cv = this.chunk_variables[ci - this.chunk_offset];
-        }
+      for(let i = tbl.row_start[k]; i < tbl.row_start[k + 1]; i++) {
         // NOTE: Do not scale the coefficient of the cash variable.
-        if(cv && !cv[0].startsWith('C')) cc[ci] *= m;
+        if(cashVariable(tbl.column_index[i]) === false) tbl.coefficient[i] *= m;
       }
       // NOTE: The RHS of the CF constraint may be non-zero due to special
       // multipliers such as spinning reserve, and therefore also should be
       // scaled!
-      this.right_hand_side[k] *= m;
+      tbl.right_hand_side[k] *= m;
     }
     // In case the model contains data products that represent an actor
     // cash flow, the coefficients of the constraint that equates the
     // product level to the cash flow must be *multiplied* by the cash
     // scalar so that they equal the cash flow in the model's monetary unit.
     for(const k of this.actor_cash_constraints) {
-      const cc = this.matrix[k];
-      for(let ci in cc) if(cc.hasOwnProperty(ci)) {
-        if(ci < this.chunk_offset) {
-          // NOTE: Subtract 1 as variables array is zero-based.
-          cv = this.variables[(ci - 1) % this.cols];
-        } else {
-          // Chunk variable array is zero-based.
-          cv = this.chunk_variables[ci - this.chunk_offset];
-        }
+      for(let i = tbl.row_start[k]; i < tbl.row_start[k + 1]; i++) {
         // NOTE: Scale coefficients of cash variables only.
-        if(cv && cv[0].startsWith('C')) cc[ci] *= this.cash_scalar;
+        if(cashVariable(tbl.column_index[i])) {
+          tbl.coefficient[i] *= this.cash_scalar;
+        }
       }
     }
   }
@@ -4483,6 +6023,43 @@ class VirtualMachine {
     return n;
   }
 
+  setDualValues(block, duals, reduced_costs) {
+    // Store the dual values of the product balance rows as marginal prices
+    // of products, and the reduced costs of process level variables.
+    // NOTE: Dual values are lists of [index, value] pairs; row indices
+    // are zero-based, column indices are one-based.
+    const
+        bb = (block - 1) * MODEL.block_length + 1,
+        abl = Math.min(this.chunk_length, this.actualBlockLength(block)),
+        // NOTE: The objective function coefficients and the cash flows
+        // have been scaled down, so the dual values must be scaled back.
+        m = this.scaling_factor * this.cash_scalar;
+    // NOTE: Solvers report only non-zero values, so first clear marginal
+    // prices that may have been set for the look-ahead of the previous block.
+    for(let r in this.product_balance_rows) {
+      if(this.product_balance_rows.hasOwnProperty(r)) {
+        const pbr = this.product_balance_rows[r];
+        if(pbr[1] < bb + abl) pbr[0].marginal_price[pbr[1]] = 0;
+      }
+    }
+    for(const d of duals) {
+      const pbr = this.product_balance_rows[d[0]];
+      // NOTE: A positive dual value means that an additional unit of the
+      // product *lowers* the objective, hence the sign change.
+      if(pbr && pbr[1] < bb + abl) pbr[0].marginal_price[pbr[1]] = -d[1] * m;
+    }
+    const rc = {};
+    for(const r of reduced_costs || []) rc[r[0]] = r[1];
+    for(let k in MODEL.processes) if(MODEL.processes.hasOwnProperty(k) &&
+        !MODEL.ignored_entities[k]) {
+      const p = MODEL.processes[k];
+      for(let i = 0; i < abl; i++) {
+        p.reduced_cost[bb + i] =
+            (rc[p.level_var_index + i * this.cols] || 0) * m;
+      }
+    }
+  }
+
   setLevels(block, round, x, err) {
     // Copy the values of decision variables calculated by the solver.
     // `x` holds the solver result, `err` is TRUE if the model was not
@@ -4680,6 +6257,12 @@ class VirtualMachine {
     const offset = this.cols * abl;
     for(let i = 0; i < ncv; i++) {
       const p = this.chunk_variables[i][1];
+      // The optimal initial level of a buffer product is its level at
+      // t=0, but only the first block determines this level.
+      if(this.chunk_variables[i][0] === 'IL') {
+        if(block === 1) p.level[0] = x[offset + i];
+        continue;
+      }
       p.b_peak_inc[block] = x[offset + i];
       i++;
       p.la_peak_inc[block] = x[offset + i];
@@ -5194,11 +6777,10 @@ class VirtualMachine {
   
   resetTableau() {
     // Clears tableau data: matrix, rhs and constraint types.
-    // NOTE: This reset is called when initializing, and to free up
-    // memory after posting a block to the server.
-    this.matrix.length = 0;
-    this.right_hand_side.length = 0;
-    this.constraint_types.length = 0;
+    // NOTE: This reset is called when initializing the tableau for a
+    // block. The tableau buffers are retained, so they need not grow
+    // again for the next block.
+    this.matrix.reset();
   }
   
   initializeTableau(abl) {
@@ -5226,6 +6808,8 @@ class VirtualMachine {
     // of matrix rows that then need to be scaled.
     this.cash_scalar = 1;
     this.cash_constraints = [];
+    // Product balance rows are recorded as {row index: [product, t]}.
+    this.product_balance_rows = {};
     // NOTE: The model may contain data products that represent a cash
     // flow property of an actor. To calculate the actual value of such
     // properties, the coefficients in the effectuating constraint must
@@ -5234,11 +6818,16 @@ class VirtualMachine {
     this.actor_cash_constraints = [];
     // Vector for the objective function coefficients.
     this.objective = {};
+    // Vector for the coefficients of the quadratic objective terms. As
+    // these terms are always squares of levels, the Q section of the
+    // tableau is a diagonal matrix, hence a vector suffices.
+    this.quadratic = {};
     // Vectors for the bounds on decision variables.
     this.lower_bounds = {};
     this.upper_bounds = {};
     // Clear the tableau matrix and constraint type and RHS columns.
     this.resetTableau();
+    this.tableau_block = 0;
     // NOTE: setupBlock only works properly if setupProblem was successful
     // Every variable gets one column per time step => tableau is organized
     // in segments per time step, where each segment has `cols` columns
@@ -5352,9 +6941,14 @@ class VirtualMachine {
   }
     
   finishBlockSetup(abl) {
+    // In multi-objective mode, the objective depends on the stage.
+    if(this.objectives.length) this.setStageObjective(abl);
+    // In a time-aggregated run, the representative periods are weighted.
+    if(this.time_aggregation) this.time_aggregation.weightObjective();
     // Scale the coefficients of the objective function, and calculate
     // the "base" slack penalty.
     this.scaleObjective();
+    this.scaleQuadraticTerms();
     this.scaleCashFlowConstraints();
     // Add (appropriately scaled!) slack penalties to the objective function
     // NOTE: penalties must become negative coefficients (solver MAXimizes!)
@@ -5381,10 +6975,130 @@ class VirtualMachine {
     this.logMessage(bc, 'Set-up ('+
         pluralS(this.code.length, 'VM instruction') + ') took ' +
         this.elapsedTime + ' seconds.');
+    this.logMessage(bc, 'Tableau: ' + pluralS(this.matrix.length, 'row') +
+        ', ' + pluralS(this.matrix.nonzero_count, 'non-zero coefficient') +
+        ' (memory used: ' + UI.sizeInBytes(this.matrix.byteSize) + ')');
     UI.setMessage(`Solving block ${bc}${this.supRound} of ${this.nr_of_blocks}`);
     setTimeout(() => VM.solveBlock(), 0);
   }
   
+  presolveTableau() {
+    // Reduce the size of the model file by substituting the values of
+    // fixed columns, turning rows that have only one variable into bounds
+    // on this variable, and dropping empty rows. Dropped rows are kept in
+    // the tableau as "free" rows, so that rows retain their number. The
+    // values of fixed columns are recorded, so that the solution vector
+    // can be completed when the solver has returned it.
+    this.fixed_columns = {};
+    if(!CONFIGURATION.presolve_tableau) return;
+    const
+        tbl = this.matrix,
+        abl = this.actualBlockLength(this.block_count),
+        ncols = abl * this.cols + this.chunk_variables.length,
+        lb = this.lower_bounds,
+        ub = this.upper_bounds,
+        // NOTE: Without explicit lower bound, variables are non-negative.
+        lower = (p) => (lb.hasOwnProperty(p) ? lb[p] : 0),
+        upper = (p) => (ub.hasOwnProperty(p) ? ub[p] :
+            VM.SOLVER_PLUS_INFINITY),
+        // Semi-continuous columns and columns in SOS constraints or in
+        // quadratic terms must remain in the model, as these are not
+        // fixed by equal bounds.
+        keep = {},
+        // Dual values of product balance rows can only be obtained for
+        // rows that are passed to the solver.
+        keep_rows = (MODEL.compute_duals && this.supportsDuals ?
+            this.product_balance_rows : {});
+    for(let p in this.is_semi_continuous) if(Number(p)) keep[p] = true;
+    for(let p in this.quadratic) if(Number(p)) keep[p] = true;
+    for(let j = 0; j < abl; j++) {
+      for(const vi of this.nzp_var_indices) {
+        for(let k = 0; k > -3; k--) keep[vi + j * this.cols + k] = true;
+      }
+      for(const svi of this.sos_var_indices) {
+        for(let k = 0; k < svi[1]; k++) {
+          keep[svi[0] + j * this.cols + k] = true;
+        }
+      }
+    }
+    let fixed = {},
+        nbr = 0,
+        ner = 0;
+    for(let p = 1; p <= ncols; p++) {
+      if(!keep[p] && ub.hasOwnProperty(p) && ub[p] === lower(p)) {
+        fixed[p] = ub[p];
+      }
+    }
+    // Substituting fixed columns may leave rows having only one variable,
+    // and when such a row is an equation, this variable is fixed as well.
+    do {
+      tbl.substituteColumns(fixed);
+      Object.assign(this.fixed_columns, fixed);
+      fixed = {};
+      for(let r = 0; r < tbl.length; r++) {
+        const
+            ct = tbl.constraint_types[r],
+            i = tbl.row_start[r];
+        if(ct === VM.FR || tbl.row_start[r + 1] - i !== 1 ||
+            keep_rows.hasOwnProperty(r)) continue;
+        const
+            p = tbl.column_index[i],
+            a = tbl.coefficient[i],
+            v = tbl.right_hand_side[r] / a;
+        // NOTE: Binary columns have implicit bounds, and columns without
+        // bounds may be "free" in the model file.
+        if(keep[p] || this.is_binary[p] || fixed.hasOwnProperty(p) ||
+            !(lb.hasOwnProperty(p) || ub.hasOwnProperty(p))) continue;
+        let l = lower(p),
+            u = upper(p);
+        // NOTE: Dividing by a negative coefficient reverses the inequality.
+        if(ct === VM.EQ || (ct === VM.GE) === (a > 0)) l = Math.max(l, v);
+        if(ct === VM.EQ || (ct === VM.LE) === (a > 0)) u = Math.min(u, v);
+        // Leave infeasible bounds to be reported by the solver.
+        if(l > u) continue;
+        if(l !== lower(p)) lb[p] = l;
+        if(u !== upper(p)) ub[p] = u;
+        tbl.constraint_types[r] = VM.FR;
+        nbr++;
+        if(l === u) fixed[p] = l;
+      }
+    } while(Object.keys(fixed).length);
+    // Drop rows that have no variables left, unless they are infeasible.
+    for(let r = 0; r < tbl.length; r++) {
+      const ct = tbl.constraint_types[r];
+      if(ct === VM.FR || tbl.row_start[r + 1] > tbl.row_start[r]) continue;
+      const rhs = tbl.right_hand_side[r];
+      if((ct === VM.GE || rhs > -VM.NEAR_ZERO) &&
+          (ct === VM.LE || rhs < VM.NEAR_ZERO)) {
+        tbl.constraint_types[r] = VM.FR;
+        ner++;
+      } else {
+        // NOTE: Infeasible rows are left to be reported by the solver.
+        this.logMessage(this.block_count, VM.WARNING + 'Row C' + (r + 1) +
+            ' has no variables left and is infeasible: 0 ' +
+            this.constraint_symbols[ct] + ' ' + this.sig4Dig(rhs));
+      }
+    }
+    const
+        nfc = Object.keys(this.fixed_columns).length,
+        msg = [];
+    if(nfc) msg.push(pluralS(nfc, 'fixed column'));
+    if(nbr) msg.push(pluralS(nbr, 'single-variable row') + ' (now bounds)');
+    if(ner) msg.push(pluralS(ner, 'empty row'));
+    if(msg.length) {
+      this.logMessage(this.block_count, 'Presolve removed ' + msg.join(', '));
+    }
+  }
+  
+  postsolveSolution(x) {
+    // Complete solution vector `x` by adding the values of the columns
+    // that have been removed from the model file by `presolveTableau`.
+    // NOTE: Columns are numbered from 1, while `x` is zero-based.
+    for(let p in this.fixed_columns) if(Number(p)) {
+      x[p - 1] = this.fixed_columns[p];
+    }
+  }
+  
   actualBlockLength(block) {
     // The actual block length is the number of time steps to be considered
     // by the solver; the abl of the last block is likely to be shorter
@@ -5464,7 +7178,19 @@ class VirtualMachine {
     }
   }
   
-  writeLpFormat(cplex=false, named_constraints=false) {
+  writeLpFormat(cplex=false, named_constraints=false, readable=false) {
+    // Write the model code lines and then submit them to the solver.
+    this.lpFormat(cplex, named_constraints, readable);
+    setTimeout(() => VM.submitFile(), 0);
+  }
+
+  lpFormat(cplex=false, named_constraints=false, readable=false,
+      block=this.block_count) {
+    // Set `lines` to the tableau for block `block` in LP format. If
+    // `readable` is TRUE, variables and constraints are named after the
+    // entities in the variable legend instead of X1, ..., Xn and C1, ...,
+    // Cm. This requires the CPLEX format, as a legend that maps the names
+    // onto tableau columns and rows is added as comment lines.
     // NOTE: Up to version 1.5.6, actual block length of last block used
     // to be shorter than the chunk length so as not to go beyond the
     // simulation end time. The look-ahead is now *always* part of the
@@ -5473,29 +7199,61 @@ class VirtualMachine {
     // behavior can still be generated by limiting time series length to
     // the simulation period.
     const
-        abl = this.actualBlockLength(this.block_count),
+        abl = this.actualBlockLength(block),
         // Get the number digits for variable names.
         z = this.columnsInBlock.toString().length,
+        names = (readable && cplex ? this.tableauNames(block) : null),
         // LP_solve uses semicolon as separator between equations.
         EOL = (cplex ? '\n' : ';\n'),
         // Local function that returns variable symbol (e.g. X001) with
         // its coefficient if specified (e.g., -0.123 X001) in the
         // most compact notation.
         vbl = (index, c=false) => {
-            const v = 'X' + index.toString().padStart(z, '0');
+            const v = (names ? names.columns[index] :
+                'X' + index.toString().padStart(z, '0'));
             if(c === false) return v; // Only the symbol
             if(c === -1) return ` -${v}`; // No coefficient needed
             if(c < 0) return ` ${c} ${v}`; // Number had minus sign
             if(c === 1) return ` +${v}`; // No coefficient needed
             return ` +${c} ${v}`; // Prefix coefficient with +
             // NOTE: This may return  +0 X001.
-          };
+          },
+        // Columns removed by presolve are omitted.
+        fixed = this.fixed_columns;
     this.numeric_issue = '';
+    // Fixed columns contribute a constant term to the objective. As not
+    // all solvers accept constants in the objective function, this term
+    // is passed as a comment line, and added to the objective value by
+    // the solver service.
+    let obj_constant = 0;
+    for(let p in fixed) if(Number(p) && this.objective.hasOwnProperty(p)) {
+      obj_constant += this.objective[p] * fixed[p];
+    }
     // First add the objective (always MAXimize).
     if(cplex) {
-      this.lines = `\\${this.solver_id}\nMaximize\n`;
+      this.lines = `\\${this.solver_id}\n`;
+      if(obj_constant) this.lines += `\\Constant: ${obj_constant}\n`;
+      if(names) {
+        // Add the legend as lines "\Columns n: name ..." and "\Rows n:
+        // name ..." that list names for consecutive columns (rows) from
+        // column (row) n onwards.
+        for(const sect of ['Columns', 'Rows']) {
+          const list = names[sect.toLowerCase()];
+          let i = 1;
+          while(i < list.length) {
+            let line = `\\${sect} ${i}:`;
+            while(i < list.length && line.length < 100) {
+              line += ' ' + list[i];
+              i++;
+            }
+            this.lines += line + '\n';
+          }
+        }
+      }
+      this.lines += 'Maximize\n';
     } else {
-      this.lines = '/* Objective function */\nmax:\n';
+      this.lines = (obj_constant ? `/* Constant: ${obj_constant} */\n` : '') +
+          '/* Objective function */\nmax:\n';
     }
     let c,
         p,
@@ -5504,7 +7262,7 @@ class VirtualMachine {
     // NOTE: Iterate over ALL columns to maintain variable order.
     let ncols = abl * this.cols + this.chunk_variables.length;
     for(p = 1; p <= ncols; p++) {
-      if(this.objective.hasOwnProperty(p)) {
+      if(this.objective.hasOwnProperty(p) && !fixed.hasOwnProperty(p)) {
         c = this.objective[p];
         // Check for numeric issues.
         if (c < VM.MINUS_INFINITY || c > VM.PLUS_INFINITY) {
@@ -5519,6 +7277,30 @@ class VirtualMachine {
         line = '';
       }
     }
+    // Add the quadratic terms (CPLEX format only) as [ 2q X ^2 ... ] / 2.
+    if(cplex && this.supportsQuadratic) {
+      const qt = [];
+      for(p = 1; p <= ncols; p++) if(this.quadratic.hasOwnProperty(p)) {
+        c = this.quadratic[p];
+        if(c < VM.MINUS_INFINITY || c > VM.PLUS_INFINITY) {
+          this.setNumericIssue(c, p, 'quadratic objective coefficient');
+          break;
+        }
+        qt.push(vbl(p, 2 * c) + ' ^2');
+      }
+      if(qt.length) {
+        line += ' + [';
+        for(const q of qt) {
+          line += q;
+          // Keep lines under approx. 110 chars.
+          if(line.length >= 100) {
+            this.lines += line + '\n';
+            line = '';
+          }
+        }
+        line += ' ] / 2';
+      }
+    }
     this.lines += line + EOL;
     line = '';
     // Add the row constraints.
@@ -5527,14 +7309,22 @@ class VirtualMachine {
     } else {
       this.lines += '\n/* Constraints */\n';
     }
-    let nrows = this.matrix.length;
-    for(let r = 0; r < nrows; r++) {
-      const row = this.matrix[r];
-      if(named_constraints) line = `C${r + 1}: `;
-      for(p in row) if (row.hasOwnProperty(p)) {
-        c = row[p];
+    // NOTE: The rows are read directly from the tableau buffers.
+    const tbl = this.matrix;
+    for(let r = 0; r < tbl.length; r++) {
+      // NOTE: Rows dropped by presolve have become "free" rows.
+      if(tbl.constraint_types[r] === VM.FR) continue;
+      if(names) {
+        line = names.rows[r + 1] + ': ';
+      } else if(named_constraints) {
+        line = `C${r + 1}: `;
+      }
+      for(let i = tbl.row_start[r]; i < tbl.row_start[r + 1]; i++) {
+        p = tbl.column_index[i];
+        c = tbl.coefficient[i];
         if (c < VM.SOLVER_MINUS_INFINITY || c > VM.SOLVER_PLUS_INFINITY) {
-          console.log('INVALID COEFFICIENT\n', this.lines, 'row', r, 'column', p, row);
+          console.log('INVALID COEFFICIENT\n', this.lines, 'row', r,
+              'column', p, tbl.rowAsObject(r));
           this.setNumericIssue(c, p, 'constraint coefficient');
           break;
         }
@@ -5545,15 +7335,18 @@ class VirtualMachine {
           line = '';
         }
       }
-      c = this.right_hand_side[r];
+      c = tbl.right_hand_side[r];
       // NOTE: When previous block was infeasible or unbounded (no solution),
       // expressions for RHS may not evaluate as a number.
       if(Number.isNaN(c)) {
         this.setNumericIssue(c, r, 'constraint RHS');
         c = 0;
       }
+      // NOTE: Presolve may leave infeasible rows without variables. These
+      // are written as 0 X1 >= c so that the solver will report them.
+      if(tbl.row_start[r + 1] === tbl.row_start[r]) line += vbl(1, 0);
       this.lines += line + ' ' +
-          this.constraint_symbols[this.constraint_types[r]] + ' ' + c + EOL;
+          this.constraint_symbols[tbl.constraint_types[r]] + ' ' + c + EOL;
       line = '';
     }
     // Add the variable bounds.
@@ -5563,6 +7356,7 @@ class VirtualMachine {
       this.lines += '\n/* Variable bounds */\n';
     }
     for(p = 1; p <= ncols; p++) {
+      if(fixed.hasOwnProperty(p)) continue;
       let lb = null,
           ub = null;
       if(this.lower_bounds.hasOwnProperty(p)) {
@@ -5606,7 +7400,7 @@ class VirtualMachine {
       line = '';
       let scv = 0,
           vcnt = 0;
-      for(let i in this.is_binary) if(Number(i)) {
+      for(let i in this.is_binary) if(Number(i) && !fixed.hasOwnProperty(i)) {
         line += ' ' + vbl(i);
         scv++;
         vcnt++;
@@ -5622,7 +7416,7 @@ class VirtualMachine {
         scv = 0;
         vcnt = 0;
       }
-      for(let i in this.is_integer) if(Number(i)) {
+      for(let i in this.is_integer) if(Number(i) && !fixed.hasOwnProperty(i)) {
         line += ' ' + vbl(i);
         scv++;
         vcnt++;
@@ -5685,12 +7479,14 @@ class VirtualMachine {
       // NOTE: LP_solve does not differentiate between binary and integer,
       // so for binary variables, the constraint <= 1 must be added.
       const v_set = [];
-      for(let i in this.is_binary) if(Number(i)) {
+      for(let i in this.is_binary) if(Number(i) && !fixed.hasOwnProperty(i)) {
         const v = vbl(i);
         this.lines += `${v} <= 1;\n`;
         v_set.push(v);
       }
-      for(let i in this.is_integer) if(Number(i)) v_set.push(vbl(i));
+      for(let i in this.is_integer) {
+        if(Number(i) && !fixed.hasOwnProperty(i)) v_set.push(vbl(i));
+      }
       if(v_set.length > 0) this.lines += 'int ' + v_set.join(', ') + ';\n';
       // Clear the INT variable list.
       v_set.length = 0;
@@ -5719,67 +7515,488 @@ class VirtualMachine {
         }
       }
     }
-    setTimeout(() => VM.submitFile(), 0);
   }
   
-  rowToEquation(row, ct, rhs) {
+  variableAtColumn(c, block=this.block_count) {
+    // Return [type, entity, t] for column `c` of the tableau for block
+    // `block`, or NULL if `c` is not a valid column index.
+    // NOTE: As in the variable legend, columns are numbered from 1, and
+    // chunk variables follow the variables for all time steps. These
+    // are not time-dependent, so for these `t` is 0.
+    // NOTE: The last block may be shorter than the chunk length, so the
+    // chunk offset depends on the actual block length.
+    const chof = this.cols * this.actualBlockLength(block) + 1;
+    if(isNaN(c) || c < 1) return null;
+    if(c >= chof) {
+      const cv = this.chunk_variables[c - chof];
+      return (cv ? [cv[0], cv[1], 0] : null);
+    }
+    const v = this.variables[(c - 1) % this.cols];
+    return [v[0], v[1], (block - 1) * MODEL.block_length + 1 +
+        Math.floor((c - 1) / this.cols)];
+  }
+
+  rowToEquation(row, ct, rhs, block=this.block_count) {
+    // Return tableau row `row` as equation with entity names, variable
+    // types and time steps instead of column indices.
     const eq = [];
-    for(let i in row) if (isNumber(i)) {
-      const
-          c = this.sig4Dig(row[i]),
-          vi = i % this.cols,
-          t = Math.floor(i / this.cols);
-      eq.push(c + ' ' + this.variables[vi][1].displayName + ' ' +
-        this.variables[vi][0] + ' [' + t + ']');
+    for(let i in row) if(Number(i)) {
+      const v = this.variableAtColumn(parseInt(i), block);
+      if(v) {
+        eq.push(this.sig4Dig(row[i]) + ' ' + v[1].displayName + ' ' +
+            v[0] + (v[2] ? ' [' + v[2] + ']' : ''));
+      }
     }
     return eq.join(' + ') + ct + ' ' + this.sig4Dig(rhs);
   }
 
+  iisReport(block, iis) {
+    // Return a list of items {text, entities} that describe the IIS
+    // `iis` computed by the solver for block `block` in terms of model
+    // entities and time steps.
+    const
+        report = [],
+        // NOTE: Variables in solver output are named X1, X2, ...
+        col = (name) => parseInt(name.substring(1)),
+        entities = (names) => {
+            const list = [];
+            for(const n of names) {
+              const v = this.variableAtColumn(col(n), block);
+              if(v && list.indexOf(v[1]) < 0) list.push(v[1]);
+            }
+            return list;
+          };
+    for(const c of iis.constraints) {
+      const row = {};
+      for(const n of Object.keys(c[1])) row[col(n)] = c[1][n];
+      report.push({
+          text: c[0] + ': ' + this.rowToEquation(row, ' ' + c[2], c[3], block),
+          entities: entities(Object.keys(c[1]))
+        });
+    }
+    for(const b of iis.bounds) {
+      const v = this.variableAtColumn(col(b[0]), block);
+      report.push({
+          text: 'Bound: ' + (v ? b[1].replace(b[0], v[1].displayName + ' ' +
+              v[0] + (v[2] ? ' [' + v[2] + ']' : '')) : b[1]),
+          entities: entities([b[0]])
+        });
+    }
+    this.iis_reports[block] = report;
+    this.logMessage(block, 'Infeasibility explained by ' +
+        pluralS(iis.constraints.length, 'constraint') + ' and ' +
+        pluralS(iis.bounds.length, 'bound'));
+    return report;
+  }
+
+  tableauNames(block) {
+    // Return {columns, rows} with lists of unique identifiers for the
+    // columns and rows of the tableau for block `block`, composed of entity
+    // name, variable type and time step as in the variable legend, e.g.,
+    // "Boiler_L_t12" and "Heat_balance_t12". These names are acceptable
+    // to GAMS and AMPL, and to solvers that read the CPLEX LP format.
+    // NOTE: As columns and rows are numbered from 1, both lists start
+    // with an empty string.
+    const
+        abl = this.actualBlockLength(block),
+        ncols = abl * this.cols + this.chunk_variables.length,
+        chof = abl * this.cols + 1,
+        names = {columns: [''], rows: ['']},
+        used = {},
+        // Names may coincide after sanitizing, so then add the index, and
+        // if needed also a sequence number, while keeping names within the
+        // 63 characters that GAMS permits.
+        unique = (n, i) => {
+            let u = n,
+                k = 0;
+            while(used[u]) {
+              const sfx = '_' + i + (k ? '_' + k : '');
+              u = n.substring(0, 63 - sfx.length) + sfx;
+              k++;
+            }
+            used[u] = true;
+            return u;
+          };
+    for(let p = 1; p <= ncols; p++) {
+      let v = null;
+      if(p >= chof) {
+        const cv = this.chunk_variables[p - chof];
+        if(cv) v = [cv[0], cv[1], 0];
+      } else {
+        v = this.variableAtColumn(p, block);
+      }
+      names.columns.push(unique(v ? this.asIdentifier(v[1].displayName +
+          '_' + v[0] + (v[2] ? '_t' + v[2] : '')) : 'X' + p, p));
+    }
+    // Name the rows after their product if they are balance constraints,
+    // and otherwise after their first variable.
+    const tbl = this.matrix;
+    for(let r = 0; r < tbl.length; r++) {
+      const pbr = this.product_balance_rows[r];
+      let n = `C${r + 1}`;
+      if(pbr) {
+        n = this.asIdentifier(pbr[0].displayName + '_balance_t' + pbr[1]);
+      } else if(tbl.row_start[r + 1] > tbl.row_start[r]) {
+        n += '_' + names.columns[tbl.column_index[tbl.row_start[r]]];
+      }
+      names.rows.push(unique(n.substring(0, 63), r + 1));
+    }
+    return names;
+  }
+
+  asIdentifier(s) {
+    // Return string `s` with all non-alphanumeric characters replaced
+    // by underscores, prefixed by "X_" if it does not start with a letter,
+    // and truncated to the 63 characters that GAMS permits.
+    s = s.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    // NOTE: In the LP format, names that start with "e" followed by a
+    // digit or another "e" may be read as the exponent of a number.
+    if(!/^[A-Za-z]/.test(s) || /^[eE][0-9eE_]/.test(s)) s = 'X_' + s;
+    return s.substring(0, 63);
+  }
+
+  columnBounds(p) {
+    // Return [lower bound, upper bound] for tableau column `p` with the
+    // same meaning as in the LP file, using NULL for infinite bounds.
+    // NOTE: As in the LP format, the lower bound defaults to 0.
+    let lb = (this.lower_bounds.hasOwnProperty(p) ?
+            this.lower_bounds[p] : null),
+        ub = (this.upper_bounds.hasOwnProperty(p) ?
+            this.upper_bounds[p] : null);
+    if(lb === null && ub === null) {
+      lb = 0;
+    } else if(lb !== ub) {
+      if(ub !== null && ub >= VM.SOLVER_PLUS_INFINITY) ub = null;
+      if(lb === null) {
+        lb = (ub === null ? null : 0);
+      } else if(lb <= VM.SOLVER_MINUS_INFINITY) {
+        lb = null;
+      }
+    }
+    if(this.is_binary[p]) {
+      if(lb === null) lb = 0;
+      if(ub === null) ub = 1;
+    }
+    return [lb, ub];
+  }
+
+  get blockModelAvailable() {
+    // Return TRUE if the tableau of the last block that was set up has
+    // not been cleared yet.
+    return this.tableau_block > 0 && this.matrix.length > 0;
+  }
+
+  blockModelData() {
+    // Return the tableau of the last block that was set up as an object
+    // that can be stringified to JSON. This object has the properties:
+    //   format, version, model, block, round: identification
+    //   sense: always "maximize"
+    //   variables: list of {name, column, entity, attribute, t, type,
+    //     lb, ub} where `t` is 0 for chunk variables, `type` is
+    //     "continuous", "binary", "integer" or "semi-continuous", and
+    //     infinite bounds are NULL
+    //   objective: {linear: list of [column, coefficient], quadratic:
+    //     list of [column, q]} where q denotes the term q * x^2
+    //   constraints: list of {name, row, type, terms, rhs} where `type`
+    //     is "<=", ">=" or "=", and `terms` lists [column, coefficient]
+    //   sos: list of {name, type, columns, weights} where `type` is 1
+    //     or 2
+    // NOTE: Columns are numbered from 1 as in the variable legend; the
+    // columns that were fixed by the presolve are included as variables
+    // having equal bounds, but rows that presolve dropped are omitted.
+    const
+        abl = this.actualBlockLength(this.tableau_block),
+        ncols = abl * this.cols + this.chunk_variables.length,
+        fixed = this.fixed_columns,
+        names = this.tableauNames(this.tableau_block),
+        data = {
+          format: 'linny-r-block-model',
+          version: LINNY_R_VERSION,
+          model: MODEL.name,
+          block: this.tableau_block,
+          round: this.tableau_round,
+          sense: 'maximize',
+          variables: [],
+          objective: {linear: [], quadratic: []},
+          constraints: [],
+          sos: []
+        };
+    for(let p = 1; p <= ncols; p++) {
+      const
+          v = (p < this.chunk_offset ?
+              this.variableAtColumn(p, this.tableau_block) :
+              this.chunk_variables[p - this.chunk_offset]),
+          b = (fixed.hasOwnProperty(p) ? [fixed[p], fixed[p]] :
+              this.columnBounds(p));
+      data.variables.push({
+          name: names.columns[p],
+          column: p,
+          entity: (v ? v[1].displayName : ''),
+          attribute: (v ? v[0] : ''),
+          t: (v && p < this.chunk_offset ? v[2] : 0),
+          type: (this.is_binary[p] ? 'binary' :
+              (this.is_integer[p] ? 'integer' :
+                  (this.is_semi_continuous[p] ? 'semi-continuous' :
+                      'continuous'))),
+          lb: b[0],
+          ub: b[1]
+        });
+      if(this.objective.hasOwnProperty(p)) {
+        data.objective.linear.push([p, this.objective[p]]);
+      }
+      if(this.quadratic.hasOwnProperty(p)) {
+        data.objective.quadratic.push([p, this.quadratic[p]]);
+      }
+    }
+    const tbl = this.matrix;
+    for(let r = 0; r < tbl.length; r++) {
+      const ct = tbl.constraint_types[r];
+      if(ct === VM.FR) continue;
+      const terms = [];
+      for(let i = tbl.row_start[r]; i < tbl.row_start[r + 1]; i++) {
+        terms.push([tbl.column_index[i], tbl.coefficient[i]]);
+      }
+      data.constraints.push({
+          name: names.rows[r + 1],
+          row: r + 1,
+          type: this.constraint_symbols[ct],
+          terms: terms,
+          rhs: tbl.right_hand_side[r]
+        });
+    }
+    if(!this.noSupportForSOS) {
+      for(let j = 0; j < abl; j++) {
+        // SOS1 constraints for NZP-partitioned levels.
+        for(let i = 0; i < this.nzp_var_indices.length; i++) {
+          const vi = this.nzp_var_indices[i] + j * this.cols;
+          data.sos.push({name: `nzp${i}_${j}`, type: 1,
+              columns: [vi, vi - 1, vi - 2], weights: [1, 2, 3]});
+        }
+        // SOS2 constraints for the piecewise linear constraints.
+        for(let i = 0; i < this.sos_var_indices.length; i++) {
+          const
+              svi = this.sos_var_indices[i],
+              vi = svi[0] + j * this.cols,
+              s = {name: `pwlc${i}_${j}`, type: 2, columns: [], weights: []};
+          for(let k = 0; k < svi[1]; k++) {
+            s.columns.push(vi + k);
+            s.weights.push(k + 1);
+          }
+          data.sos.push(s);
+        }
+      }
+    }
+    return data;
+  }
+
+  blockModelAsLP() {
+    // Return the tableau of the last block that was set up in CPLEX LP
+    // format with variables and constraints named after the entities.
+    const
+        lines = this.lines,
+        issue = this.numeric_issue;
+    this.lpFormat(true, true, true, this.tableau_block);
+    const lp = this.lines;
+    // NOTE: Restore the model file lines, as these may not have been
+    // submitted yet.
+    this.lines = lines;
+    this.numeric_issue = issue;
+    return lp;
+  }
+
+  blockModelAsGAMS() {
+    // Return the tableau of the last block that was set up as a GAMS model.
+    const
+        data = this.blockModelData(),
+        vars = data.variables,
+        // NOTE: Variable names are looked up by column number.
+        vn = (c) => vars[c - 1].name,
+        num = (x) => (x === null ? 'inf' : x.toString()),
+        lines = [],
+        wrap = (terms, head, tail) => {
+            // Add a statement to `lines`, keeping these under approx.
+            // 110 characters.
+            let line = head;
+            for(const t of terms) {
+              if(line.length + t.length >= 100) {
+                lines.push(line);
+                line = '   ';
+              }
+              line += ' ' + t;
+            }
+            lines.push(line + tail);
+          },
+        term = (c, x, sqr=false) => (x < 0 ? '- ' : '+ ') +
+            (Math.abs(x) === 1 ? '' : Math.abs(x) + '*') +
+            (sqr ? `sqr(${vn(c)})` : vn(c)),
+        rel = {'<=': '=l=', '>=': '=g=', '=': '=e='},
+        decl = (kind, list, head=[]) => {
+            // Declare the variables in `list` with their legend as text.
+            if(!list.length && !head.length) return;
+            lines.push(kind, ...head);
+            for(const v of list) {
+              lines.push(`  ${v.name} '${v.entity.replace(/['"]/g, '')} ` +
+                  `${v.attribute}${v.t ? ' [' + v.t + ']' : ''}'`);
+            }
+            lines[lines.length - 1] += ';';
+            lines.push('');
+          },
+        by_type = (t) => vars.filter((v) => v.type === t);
+    lines.push(`* Linny-R ${data.version} block model: ${data.model}`,
+        `* Block ${data.block}${data.round}`, '');
+    decl('Free Variables', by_type('continuous'), ['  z \'objective\'']);
+    decl('Binary Variables', by_type('binary'));
+    decl('Integer Variables', by_type('integer'));
+    decl('SemiCont Variables', by_type('semi-continuous'));
+    // Bounds: GAMS defaults differ per variable type, so for all types
+    // except binary both bounds are set explicitly.
+    for(const v of vars) {
+      if(v.lb !== null && v.lb === v.ub) {
+        lines.push(`${v.name}.fx = ${v.lb};`);
+      } else if(v.type !== 'binary') {
+        lines.push(`${v.name}.lo = ${v.lb === null ? '-inf' : v.lb};`,
+            `${v.name}.up = ${num(v.ub)};`);
+      }
+    }
+    lines.push('');
+    // SOS are modeled by indexed SOS variables that are linked to the
+    // tableau variables by equations.
+    const links = [];
+    for(const s of data.sos) {
+      lines.push(`Set ${s.name}_i / 1*${s.columns.length} /;`,
+          `SOS${s.type} Variable ${s.name}(${s.name}_i);`);
+      for(let k = 0; k < s.columns.length; k++) {
+        links.push(`${s.name}_${k + 1}.. ${s.name}('${k + 1}') =e= ` +
+            vn(s.columns[k]) + ';');
+      }
+    }
+    if(data.sos.length) lines.push('');
+    const eqs = ['obj'].concat(data.constraints.map((c) => c.name),
+        links.map((l) => l.split('..')[0]));
+    lines.push('Equations');
+    lines.push(...eqs.map((e) => '  ' + e));
+    lines[lines.length - 1] += ';';
+    lines.push('');
+    wrap(data.objective.linear.map((t) => term(t[0], t[1])).concat(
+        data.objective.quadratic.map((t) => term(t[0], t[1], true))),
+        'obj.. z =e=', ' + 0;');
+    for(const c of data.constraints) {
+      wrap(c.terms.map((t) => term(t[0], t[1])), c.name + '..',
+          ` + 0 ${rel[c.type]} ${c.rhs};`);
+    }
+    lines.push(...links, '');
+    const
+        discrete = data.sos.length ||
+            vars.find((v) => v.type !== 'continuous'),
+        qp = data.objective.quadratic.length > 0;
+    lines.push('Model linnyr / all /;', 'Solve linnyr using ' +
+        (discrete ? (qp ? 'MIQCP' : 'MIP') : (qp ? 'QCP' : 'LP')) +
+        ' maximizing z;', '');
+    return lines.join('\n');
+  }
+
+  blockModelAsAMPL() {
+    // Return the tableau of the last block that was set up as an AMPL model.
+    const
+        data = this.blockModelData(),
+        vars = data.variables,
+        vn = (c) => vars[c - 1].name,
+        lines = [],
+        wrap = (terms, head, tail) => {
+            let line = head;
+            for(const t of terms) {
+              if(line.length + t.length >= 100) {
+                lines.push(line);
+                line = '   ';
+              }
+              line += ' ' + t;
+            }
+            lines.push(line + tail);
+          },
+        term = (c, x, sqr=false) => (x < 0 ? '- ' : '+ ') +
+            (Math.abs(x) === 1 ? '' : Math.abs(x) + '*') + vn(c) +
+            (sqr ? '^2' : ''),
+        bounds = (v) => {
+            const b = [];
+            if(v.lb !== null) b.push('>= ' + v.lb);
+            if(v.ub !== null) b.push('<= ' + v.ub);
+            return b;
+          };
+    lines.push(`# Linny-R ${data.version} block model: ${data.model}`,
+        `# Block ${data.block}${data.round}`, '');
+    for(const v of vars) {
+      let d = [];
+      if(v.type === 'semi-continuous') {
+        d.push(`in {0} union interval[${v.lb === null ? 0 : v.lb}, ` +
+            `${v.ub === null ? 'Infinity' : v.ub}]`);
+      } else {
+        if(v.type !== 'continuous') d.push(v.type);
+        d = d.concat(bounds(v));
+      }
+      lines.push(`var ${v.name}${d.length ? ' ' + d.join(', ') : ''};` +
+          ` # ${v.entity} ${v.attribute}${v.t ? ' [' + v.t + ']' : ''}`);
+    }
+    lines.push('');
+    wrap(data.objective.linear.map((t) => term(t[0], t[1])).concat(
+        data.objective.quadratic.map((t) => term(t[0], t[1], true))),
+        'maximize obj:', ' + 0;');
+    lines.push('');
+    for(const c of data.constraints) {
+      wrap(c.terms.map((t) => term(t[0], t[1])), `subject to ${c.name}:`,
+          ` + 0 ${c.type === '=' ? '==' : c.type} ${c.rhs};`);
+    }
+    // SOS are passed to the solver as suffixes: the set number (negative
+    // for SOS2) and the weight of each member.
+    if(data.sos.length) {
+      lines.push('', 'suffix sosno IN;', 'suffix ref IN;');
+      data.sos.forEach((s, i) => {
+        for(let k = 0; k < s.columns.length; k++) {
+          const n = vn(s.columns[k]);
+          lines.push(`let ${n}.sosno := ${s.type === 2 ? -(i + 1) : i + 1};`,
+              `let ${n}.ref := ${s.weights[k]};`);
+        }
+      });
+    }
+    lines.push('');
+    return lines.join('\n');
+  }
+
   writeMPSFormat() {
     // Write model code lines in MPS format. This format is column-based
-    // instead of row-based, hence for each column a separate string list.
-    // NOTE: Columns are numbered from 1 to N, hence a dummy list for c=0.
+    // instead of row-based, hence the lines for the COLUMNS section are
+    // read from a column-compressed copy of the tableau.
     const
         abl = this.actualBlockLength(this.block_count),
-        cols = [[]],
-        rhs = [];
-    let nrow = this.matrix.length,
+        tbl = this.matrix,
+        nrow = tbl.length,
         ncol = abl * this.cols + this.chunk_variables.length,
-        c,
+        invalid = (c) => Number.isNaN(c) || c < VM.SOLVER_MINUS_INFINITY ||
+            c > VM.SOLVER_PLUS_INFINITY;
+    let c,
         p,
         r;
-   this.numeric_issue = '';
+    this.numeric_issue = '';
     this.lines = '';
-    for(c = 1; c <= ncol; c++) cols.push([]);
     this.decimals = Math.max(nrow, ncol).toString().length;
+    const rowLabel = (r) => 'R' + (r + 1).toString().padStart(this.decimals, '0');
     this.lines += 'NAME block-' + this.blockWithRound + '\nROWS\n';
     // Start with the "free" row that will be the objective function.
     this.lines += ' N  OBJ\n';
     for(r = 0; r < nrow; r++) {
-      const
-          row = this.matrix[r],
-          row_lbl = 'R' + (r + 1).toString().padStart(this.decimals, '0');
-      this.lines += ' ' + this.constraint_letters[this.constraint_types[r]] +
-          '  ' + row_lbl + '\n';
-      for(p in row) if (row.hasOwnProperty(p)) {
-        c = row[p];
-        // Check for numeric issues.
-        if(c === undefined || c < VM.SOLVER_MINUS_INFINITY ||
-            c > VM.SOLVER_PLUS_INFINITY) {
-          this.setNumericIssue(c, p, 'constraint');
-          break;
-        }
-        if(p >= cols.length) {
-          console.log('Bad column number p', p, row_lbl, c);
-        }
-        cols[p].push(row_lbl + ' ' + c);
-      }
-      c = this.right_hand_side[r];
-      if(c === undefined || c === null ||
-          c < VM.SOLVER_MINUS_INFINITY || c > VM.SOLVER_PLUS_INFINITY) {
-        this.setNumericIssue(c, p, 'right-hand side');
-      } else {
-        rhs.push('    B ' + row_lbl + ' ' + c);
+      this.lines += ' ' + this.constraint_letters[tbl.constraint_types[r]] +
+          '  ' + rowLabel(r) + '\n';
+      if(invalid(tbl.right_hand_side[r])) {
+        // NOTE: Report the issue for the last column in the row.
+        this.setNumericIssue(tbl.right_hand_side[r],
+            tbl.column_index[tbl.row_start[r + 1] - 1], 'right-hand side');
+      }
+    }
+    // Check all constraint coefficients for numeric issues.
+    for(let i = 0; i < tbl.nonzero_count; i++) {
+      if(invalid(tbl.coefficient[i])) {
+        this.setNumericIssue(tbl.coefficient[i], tbl.column_index[i],
+            'constraint');
+        break;
       }
     }
     // The objective function is a row like those for the constraints.
@@ -5789,10 +8006,6 @@ class VirtualMachine {
         this.setNumericIssue(c, p, 'objective function coefficient');
         break;
       }
-      // NOTE: MPS assumes MINimization, hence negate all coefficients.
-      // NOTE: JavaScript differentiates between 0 and -0, so add 0 to
-      // prevent creating the special numeric value -0.
-      cols[p].push('OBJ ' + (-c + 0));
     }
     // Abort if any invalid coefficient was detected.
     if(this.numeric_issue) {
@@ -5802,24 +8015,35 @@ class VirtualMachine {
     }
     // Add the columns section.
     this.lines += 'COLUMNS\n';
+    const csc = tbl.columnCompressed(ncol);
     for(c = 1; c <= ncol; c++) {
-      const col_lbl = '    X' + c.toString().padStart(this.decimals, '0') + '  ';
-      // NOTE: If processes have no in- or outgoing links their decision
-      // variable does not occur in any constraint, and this may cause
-      // problems for solvers that cannot handle columns having a blank
-      // row name (e.g., CPLEX). To prevent errors, these columns are
-      // given coefficient 0 in the OBJ row.
-      if(cols[c].length) {
-        this.lines += col_lbl + cols[c].join('\n' + col_lbl) + '\n';
-      } else {
+      const
+          col_lbl = '    X' + c.toString().padStart(this.decimals, '0') + '  ',
+          first = csc.start[c],
+          last = csc.start[c + 1];
+      for(let i = first; i < last; i++) {
+        this.lines += col_lbl + rowLabel(csc.row_index[i]) + ' ' +
+            csc.coefficient[i] + '\n';
+      }
+      if(this.objective.hasOwnProperty(c)) {
+        // NOTE: MPS assumes MINimization, hence negate all coefficients.
+        // NOTE: JavaScript differentiates between 0 and -0, so add 0 to
+        // prevent creating the special numeric value -0.
+        this.lines += col_lbl + 'OBJ ' + (-this.objective[c] + 0) + '\n';
+      } else if(first === last) {
+        // NOTE: If processes have no in- or outgoing links their decision
+        // variable does not occur in any constraint, and this may cause
+        // problems for solvers that cannot handle columns having a blank
+        // row name (e.g., CPLEX). To prevent errors, these columns are
+        // given coefficient 0 in the OBJ row.
         this.lines += col_lbl + ' OBJ 0\n';
       }
     }
-    // Free up memory.
-    cols.length = 0;
     // Add the RHS section.
-    this.lines += 'RHS\n' + rhs.join('\n') + '\n';
-    rhs.length = 0;
+    this.lines += 'RHS\n';
+    for(r = 0; r < nrow; r++) {
+      this.lines += '    B ' + rowLabel(r) + ' ' + tbl.right_hand_side[r] + '\n';
+    }
     // Add the BOUNDS section.
     this.lines += 'BOUNDS\n';
     // NOTE: Start at column number 1, not 0.
@@ -5919,6 +8143,18 @@ class VirtualMachine {
   
   writeLastMPSLines() {
     this.hideSetUpOrWriteProgress();
+    // Add the QUADOBJ section. This section lists the lower triangle of
+    // matrix Q where the objective includes the term 1/2 x'Qx, so for the
+    // term q X^2 the entry is 2q.
+    if(this.supportsQuadratic) {
+      const qt = [];
+      for(let p in this.quadratic) if(this.quadratic.hasOwnProperty(p)) {
+        const x = '    X' + p.padStart(this.decimals, '0');
+        // NOTE: MPS assumes MINimization, hence negate all coefficients.
+        qt.push(`${x}  ${x.trim()}  ${-2 * this.quadratic[p] + 0}`);
+      }
+      if(qt.length) this.lines += 'QUADOBJ\n' + qt.join('\n') + '\n';
+    }
     // Add the SOS section.
     if(this.nzp_var_indices.length || this.sos_var_indices.length) {
       this.lines += 'SOS\n';
@@ -5979,6 +8215,14 @@ class VirtualMachine {
   stopSolving() {
     // Wrap-up after solving is completed or aborted.    
     this.stopTimer();
+    // Terminate the solver process if it is still running.
+    MONITOR.abortSolverJob();
+    // Map the results of a time-aggregated run onto the full time axis.
+    if(this.time_aggregation) {
+      this.time_aggregation.disaggregate();
+      this.time_aggregation = null;
+      this.nr_of_time_steps = MODEL.end_period - MODEL.start_period + 1;
+    }
     // Stop rotating the Linny-R icon, and update buttons.
     UI.stopSolving();
   }
@@ -6024,18 +8268,39 @@ Solver status = ${json.status}`);
       if(errmsg.indexOf('nfeasible') >= 0 || errmsg.indexOf('nbounded') >= 0) {
         this.prompt_to_diagnose = true;
       }
+      // NOTE: Without slack variables, infeasibility can be explained
+      // by the solver.
+      if(errmsg.indexOf('nfeasible') >= 0 && !this.diagnose) {
+        this.iis_reports[bnr] = null;
+      }
     }
     this.logMessage(bnr, msg);
     this.equations[bnr - 1] = json.model;
     if(DEBUGGING) console.log(json.data);
+    // Add the values of the columns that were removed by presolve.
+    if(json.solution && json.data.x instanceof Array) {
+      this.postsolveSolution(json.data.x);
+    }
     // Store the results in the decision variable vectors (production
     // levels and stock level), but do NOT overwrite "look-ahead" levels
     // if this block was not solved (indicated by the 4th parameter that
     // tests the status).
+    // In multi-objective mode, the values of the objectives must be
+    // known to lock them in later stages.
+    const last_stage = this.solved_stage === this.stages.length - 1;
+    if(this.objectives.length) {
+      this.setStageValues(this.solved_stage, json.solution && json.data.x);
+    }
     try {
       this.setLevels(bnr, rl, json.data.x, !json.solution);
-      // NOTE: Post-process levels only AFTER the last round!
-      if(rl === this.lastRound) {
+      // Keep the solution vector if it can serve as start solution.
+      if(MODEL.warm_start && json.solution && json.data.x instanceof Array) {
+        this.previous_solution = {block: bnr, x: json.data.x};
+      }
+      if(json.duals) this.setDualValues(bnr, json.duals, json.reduced_costs);
+      // NOTE: Post-process levels only AFTER the last round, and only
+      // after the last stage of this round.
+      if(rl === this.lastRound && last_stage) {
         // Calculate data for all other dependent variables.
         this.calculateDependentVariables(bnr);    
         // Add progress bar segment only now, knowing status AND slack use.
@@ -6070,6 +8335,14 @@ Solver status = ${json.status}`);
       MODEL.t = 1;
       this.stopSolving();
       MODEL.solved = true;
+      // Check whether outages of contingency candidates would overload
+      // other grid lines.
+      if(MODEL.with_power_flow && MODEL.contingency_analysis &&
+          POWER_GRID_MANAGER.contingencies.length) {
+        POWER_GRID_MANAGER.checkContingencies();
+        this.logMessage(this.nr_of_blocks,
+            POWER_GRID_MANAGER.overloadsAsString);
+      }
       this.checkLicense();
       UI.drawDiagram(MODEL);
       // Show the reset button (GUI only).
@@ -6086,7 +8359,9 @@ Solver status = ${json.status}`);
         UI.warn('Model is infeasible or unbounded -- ' +
             '<strong>Alt</strong>-click on the <em>Run</em> button ' +
             '<img id="solve-btn" class="sgray" src="images/solve.png">' +
-            ' for diagnosis');
+            ' for diagnosis' + (Object.keys(this.iis_reports).length &&
+                this.supportsIIS ? ', or explain infeasibility in the ' +
+                    '<em>Monitor</em>' : ''));
       } else if(this.block_issues) {
         let msg = 'Issues occurred in ' +
             pluralS(this.block_issues, 'block') +
@@ -6114,6 +8389,13 @@ Solver status = ${json.status}`);
     this.logMessage(this.block_count, ['\nSetting up block #', bwr,
         ' (t=', fromt, '-', fromt + abl - 1, '; ',
         pluralS(abl, 'time step'), ')'].join(''));
+    if(this.objectives.length) {
+      const st = this.stages[this.stage];
+      this.logMessage(this.block_count, ['Stage ', this.stage + 1, ' of ',
+          this.stages.length, ': ', this.objectives[st.optimize].text,
+          (st.anchor ? ' (range of objective 2)' :
+              ('epsilon' in st ? ' (epsilon-constraint)' : ''))].join(''));
+    }
     this.setupBlock();
   }
   
@@ -6149,9 +8431,7 @@ Solver status = ${json.status}`);
               k = (bt - 1) * VM.cols + vi,
               row = {};
           row[k] = 1;
-          VM.matrix.push(row);
-          VM.right_hand_side.push(pl);
-          VM.constraint_types.push(VM.EQ);
+          VM.matrix.addRow(row, pl, VM.EQ);
           fvl.push(pl + ' for bt=' + bt);
         }
         msg.push(`- ${vbl[1].displayName} [${vbl[0]}]: ${fvl.join(', ')}`);
@@ -6186,20 +8466,33 @@ Solver status = ${json.status}`);
     } else {
       this.show_progress = false;
     }
+    this.presolveTableau();
     // Generate lines of code in format that should be accepted by solver.
+    // NOTE: Dual values are matched with rows by their name.
+    const
+        named = MODEL.compute_duals && this.supportsDuals,
+        // NOTE: The model may use entity names instead of X1, X2, ...
+        // (only for solvers that read the CPLEX LP format).
+        readable = MODEL.readable_lp;
     if(this.solver_id === 'gurobi') {
-      this.writeLpFormat(true);
+      this.writeLpFormat(true, named, readable);
     } else if(this.solver_id === 'mosek' || this.solver_id === 'scip') {
       // NOTE: For MOSEK, constraints must be named, or variable names
       // in solution file will not match. SCIP works, but generates warnings.
-      this.writeLpFormat(true, true);
+      this.writeLpFormat(true, true, readable);
     } else if(this.solver_id === 'cplex') {
       // NOTE: The more widely accepted CPLEX LP format differs from the
       // LP_solve format that was used by the first versions of Linny-R.
       // TRUE indicates "CPLEX format".
-      this.writeLpFormat(true);
+      this.writeLpFormat(true, named, readable);
+    } else if(this.solver_id === 'highs') {
+      // NOTE: HiGHS reads the CPLEX LP format, but does not support SOS.
+      this.writeLpFormat(true, named, readable);
     } else if(this.solver_id === 'lp_solve') {
       this.writeLpFormat(false);
+    } else if(this.solver_id === 'builtin') {
+      // NOTE: The built-in solver reads the CPLEX LP format.
+      this.writeLpFormat(true, false, readable);
     } else {
       const msg = `Cannot write LP format: invalid solver ID "${this.solver_id}"`;
       this.logMessage(this.block_count, msg);
@@ -6208,10 +8501,58 @@ Solver status = ${json.status}`);
     }
   }  
 
+  warmStartValues() {
+    // Return the start solution for the current block as lines "name value"
+    // for the integer variables of the time steps that were also part of
+    // the previous block (or round), or the empty string if the model does
+    // not require a warm start, or no such solution is available.
+    const ps = this.previous_solution;
+    if(!MODEL.warm_start || !ps || !this.supportsWarmStart) return '';
+    // Columns of this block are shifted by the number of time steps between
+    // the first time steps of the blocks (0 for a next round).
+    const
+        shift = (this.block_count - ps.block) * MODEL.block_length * this.cols,
+        // NOTE: Chunk variables are not time-dependent, so these are skipped.
+        last = ps.x.length - this.chunk_variables.length - shift,
+        z = this.columnsInBlock.toString().length,
+        // NOTE: Variable names must match those in the model file.
+        names = (MODEL.readable_lp && this.solver_id !== 'lp_solve' ?
+            this.tableauNames(this.block_count).columns : null),
+        lines = [];
+    if(shift < 0 || last <= 0) return '';
+    for(const p of Object.keys(this.is_binary).concat(
+        Object.keys(this.is_integer))) {
+      const c = parseInt(p);
+      if(c > 0 && c <= last && c < this.chunk_offset &&
+          !this.fixed_columns.hasOwnProperty(c)) {
+        lines.push((names ? names[c] : 'X' + p.padStart(z, '0')) + ' ' +
+            Math.round(parseFloat(ps.x[c + shift - 1]) || 0));
+      }
+    }
+    if(lines.length) {
+      this.logMessage(this.block_count, 'Warm start with ' +
+          pluralS(lines.length, 'integer variable') + ' from block #' +
+          ps.block);
+    }
+    return lines.join('\n');
+  }
+
   submitFile() {
     // Prepare to POST the model file (LP or MPS) to the Linny-R server.
-    // NOTE: The tableau is no longer needed, so free up its memory.
-    this.resetTableau();
+    // NOTE: The start solution requires the integer variable lists, so
+    // it must be obtained before the tableau is reset.
+    this.start_values = this.warmStartValues();
+    // NOTE: The tableau can be exported from the Monitor only if it is
+    // retained until the next block is set up. To limit memory use while
+    // the solver is running, this is done only when the Monitor is shown.
+    if(MONITOR.visible) {
+      this.tableau_block = this.block_count;
+      this.tableau_round = (this.blockWithRound + '').substring(
+          (this.block_count + '').length);
+    } else {
+      this.tableau_block = 0;
+      this.matrix.release();
+    }
     if(this.numeric_issue) {
       const msg = 'Invalid ' + this.numeric_issue;
       this.logMessage(this.block_count, msg);
@@ -6222,9 +8563,16 @@ Solver status = ${json.status}`);
       this.logMessage(this.block_count,
           'Model file creation (' + UI.sizeInBytes(this.lines.length) +
               ') took ' + this.elapsedTime + ' seconds.');
+      // NOTE: The response may be processed only after the stage has
+      // been advanced, so record which stage is being solved.
+      this.solved_stage = this.stage;
       // NOTE: Monitor will use (and then clear) VM.lines, so no need
       // to pass it on as parameter.
       MONITOR.submitBlockToSolver();
+      // In multi-objective mode, the next stage must be solved first.
+      this.stage++;
+      if(this.stage < this.stages.length) return;
+      this.stage = 0;
       // Now the round number can be increased...
       this.current_round++;
       // ... and also the blocknumber if all rounds have been played.
@@ -6237,7 +8585,27 @@ Solver status = ${json.status}`);
   
   solve() {
     // Compile model to VM code; then start sequence of solving blocks.
+    // NOTE: First seed the pseudo-random number generator, so that the
+    // run can be replayed exactly.
+    this.seedRandom(this.runSeed);
     this.reset();
+    this.time_aggregation = null;
+    if(MODEL.aggregation_period) {
+      const ta = new TimeAggregation(MODEL);
+      if(ta.setup()) {
+        // NOTE: The VM must be reset for the shorter run length before the
+        // dataset vectors can be compressed.
+        ta.compress();
+        this.reset();
+        ta.compressDatasets();
+        this.time_aggregation = ta;
+        this.logMessage(1, ta.summary);
+      } else {
+        UI.warn(ta.message + ' -- run is not aggregated');
+      }
+    }
+    // NOTE: Log the seed only now, as resetting the VM clears the messages.
+    this.logMessage(1, 'Random seed: ' + this.random_seed);
     this.startTimer();
     this.setupProblem();
     if(this.max_tableau_size) {
@@ -6316,9 +8684,67 @@ Solver status = ${json.status}`);
   }
   
   halt() {
-    // Abort solving process. This prevents submitting the next block.
+    // Abort solving process. This prevents submitting the next block,
+    // and terminates the solver if it is running.
     UI.waitToStop();
     this.halted = true;
+    MONITOR.abortSolverJob();
+  }
+
+  compareExpressionEvaluation() {
+    // Compute all expressions of the model for all time steps, first by
+    // interpreting their VM code and then by executing their compiled
+    // functions. Return {lines, differences} where `lines` is a list of
+    // strings reporting the computation times and the values that differ,
+    // and `differences` is the number of values that differ.
+    // NOTE: Level-based expressions can only be computed after solving,
+    // and method expressions require a method object.
+    const
+        xl = MODEL.allExpressions.filter((x) => x.defined &&
+            !x.is_level_based && !x.isMethod),
+        rl = MODEL.runLength,
+        cx = this.compile_expressions,
+        seed = this.runSeed,
+        results = [],
+        times = [];
+    for(const c of [false, true]) {
+      this.compile_expressions = c;
+      // NOTE: Use the same random numbers for both modes.
+      this.seedRandom(seed);
+      MODEL.resetExpressions();
+      for(const x of xl) x.reset();
+      const
+          r = [],
+          t0 = new Date().getTime();
+      for(const x of xl) {
+        const v = [];
+        for(let t = 1; t <= rl; t++) v.push(x.result(t));
+        r.push(v);
+      }
+      times.push((new Date().getTime() - t0) / 1000);
+      results.push(r);
+    }
+    this.compile_expressions = cx;
+    const
+        diffs = [],
+        compiled = xl.filter((x) => x.func).length,
+        report = [
+            `Expressions: ${xl.length} (${compiled} compiled), ` +
+                pluralS(rl, 'time step'),
+            `Interpreted: ${times[0]} seconds`,
+            `Compiled: ${times[1]} seconds` + (times[1] > 0 ?
+                ` (${VM.sig2Dig(times[0] / times[1])} times as fast)` : '')];
+    for(let i = 0; i < xl.length; i++) {
+      const a = results[0][i], b = results[1][i];
+      for(let t = 0; t < rl; t++) if(a[t] !== b[t]) {
+        diffs.push(`${xl[i].variableName} @ t=${t + 1}: ` +
+            `${VM.sig4Dig(a[t])} \u2260 ${VM.sig4Dig(b[t])}`);
+      }
+    }
+    report.push(pluralS(diffs.length, 'difference'));
+    // NOTE: Report no more than 10 differences.
+    return {lines: report.concat(diffs.slice(0, 10)),
+        differences: diffs.length};
   }
 
 }  // END of class VirtualMachine
@@ -6356,7 +8782,8 @@ function VMI_push_time_step(x) {
   // Push the current time step.
   // NOTE: This is the "local" time step for expression `x` (which always
   // starts at 1), adjusted for the first time step of the simulation period.
-  const t = x.step[x.step.length - 1] + MODEL.start_period - 1; 
+  const t = VM.actualTimeStep(x.step[x.step.length - 1]) +
+      MODEL.start_period - 1; 
   if(DEBUGGING) console.log('push absolute t = ' + t);
   x.push(t);
 }
@@ -6371,7 +8798,7 @@ function VMI_push_delta_t(x) {
 function VMI_push_relative_time(x) {
   // Push the "local" time step for expression `x`.
   // NOTE: Time step for optimization period always starts at 1.
-  const t = x.step[x.step.length - 1]; 
+  const t = VM.actualTimeStep(x.step[x.step.length - 1]); 
   if(DEBUGGING) console.log('push relative t = ' + t);
   x.push(t);
 }
@@ -6472,7 +8899,7 @@ function VMI_push_number_of_runs(x) {
 
 function VMI_push_random(x) {
   // Push a random number from the interval [0, 1).
-  const r = Math.random();
+  const r = VM.random();
   if(DEBUGGING) console.log('push random =', r);
   x.push(r);
 }
@@ -8168,18 +10595,18 @@ function VMI_if_else(x) {
 
 function randomExponential(lambda) {
   // Return a random number drawn from a Exp(lambda) distribution.
-  return -Math.log(Math.random()) / lambda;
+  return -Math.log(VM.random()) / lambda;
 }
 
 function randomWeibull(lambda, k) {
   // Return a random number drawn from a Weibull(lambda, k) distribution.
   if(Math.abs(k) < VM.NEAR_ZERO) return VM.DIV_ZERO;
-  return lambda * Math.pow(-Math.log(Math.random()), 1.0 / k);
+  return lambda * Math.pow(-Math.log(VM.random()), 1.0 / k);
 }
 
 function randomTriangular(a, b, c=0.5*(a + b)) {
   // Return a random number drawn from a Triangular(a, b, c) distribution.
-  const u = Math.random(), b_a = b - a, c_a = c - a;
+  const u = VM.random(), b_a = b - a, c_a = c - a;
   if(u < c_a / b_a) {
     return a + Math.sqrt(u * b_a * c_a);
   } else {
@@ -8200,7 +10627,7 @@ function randomNormal(mean, std) {
     c6 = 2.93816398269878,
     d1 = 7.78469570904146E-03, d2 = 0.32246712907004, d3 = 2.445134137143,
     d4 = 3.75440866190742,
-    p = Math.random(), p_low = 0.02425, p_high = 1 - p_low;
+    p = VM.random(), p_low = 0.02425, p_high = 1 - p_low;
   let q, r, zn = 0, zd = 1;
   if(p >= p_low && p <= p_high) {
     q = p - 0.5;
@@ -8221,7 +10648,7 @@ function randomBinomial(n, p) {
         log_q = Math.log(1.0 - pp);
   let x = 0, sum = 0;
   while(true) {
-    sum += Math.log(Math.random()) / (n - x);
+    sum += Math.log(VM.random()) / (n - x);
     if(sum < log_q) return (pp === p ? x : n - x);
     x++;
   }
@@ -8261,7 +10688,7 @@ function randomPoisson(lambda) {
     let k = 0, p = 1;
     do {
       k++;
-      p *= Math.random();
+      p *= VM.random();
     } while(p > L);
     return k - 1;
   } else {
@@ -8274,11 +10701,11 @@ function randomPoisson(lambda) {
           k = Math.log(c) - lambda - Math.log(beta);
     let n, u, v, x, y, lhs, rhs; 
     while(true) {
-      u = Math.random();
+      u = VM.random();
       x = (alpha - Math.log((1.0 - u) / u)) / beta;
       n = Math.floor(x + 0.5);
       if(n < 0) continue;
-      v = Math.random();
+      v = VM.random();
       y = alpha - beta * x;
       lhs = y + Math.log(Math.pow(v / (1.0 + Math.exp(y)), 2));
       rhs = k + n * Math.log(lambda) - Math.log(factorial(n));
@@ -8544,6 +10971,76 @@ function VMI_add_const_to_coefficient(args) {
   }
 }
 
+function VMI_add_previous_stock_to_coefficient(p) {
+  // Add the stock level of buffer product `p` in the previous time step
+  // to the product balance. For t=1, this is the level at t=0, which is
+  // optimized as a chunk variable that is bounded like the stock level.
+  // NOTE: In later blocks, the optimized initial level is known, so the
+  // chunk variable is fixed at this level.
+  const
+      k = VM.chunk_offset + p.initial_level_var_index,
+      bs = (VM.block_count - 1) * MODEL.block_length;
+  if(VM.t === bs + 1) {
+    let l = p.level[0],
+        u = l;
+    if(VM.block_count === 1) {
+      l = (p.lower_bound.defined ? p.lower_bound.result(1) : 0);
+      u = (p.upper_bound.defined ? p.upper_bound.result(1) : VM.PLUS_INFINITY);
+      if(p.equal_bounds && p.lower_bound.defined) u = l;
+    }
+    if(l !== 0) VM.lower_bounds[k] = Math.max(l, VM.SOLVER_MINUS_INFINITY);
+    if(u < VM.SOLVER_PLUS_INFINITY) VM.upper_bounds[k] = u;
+  }
+  if(DEBUGGING) {
+    console.log('add_previous_stock_to_coefficient (t = ' + VM.t + ')',
+        p.displayName);
+  }
+  if(VM.t === 1) {
+    if(k in VM.coefficients) {
+      VM.coefficients[k] += 1;
+    } else {
+      VM.coefficients[k] = 1;
+    }
+  } else {
+    VMI_add_const_to_coefficient([p.level_var_index, 1, 1]);
+  }
+}
+
+function VMI_add_cyclic_stock_constraint(p) {
+  // Add the constraint that the stock level of buffer product `p` at the
+  // end of a cycle equals its level at the start of this cycle. Cycles
+  // are blocks (excluding their look-ahead period), or the representative
+  // periods when the run is time-aggregated.
+  const
+      ta = VM.time_aggregation,
+      bt = VM.t - (VM.block_count - 1) * MODEL.block_length;
+  // Number of time steps in the cycle (0 if VM.t does not end a cycle).
+  let n = 0;
+  if(ta) {
+    if(VM.t % ta.period_length === 0) n = ta.period_length;
+  } else if(bt === MODEL.block_length ||
+      (bt < MODEL.block_length && VM.t === VM.nr_of_time_steps)) {
+    n = bt;
+  }
+  if(!n) return;
+  if(DEBUGGING) {
+    console.log('add_cyclic_stock_constraint (t = ' + VM.t + ')',
+        p.displayName, 'cycle length', n);
+  }
+  // (r) L[t] - L[t-n] = 0  (so the stock level is the same as n steps ago)
+  VMI_clear_coefficients();
+  VM.coefficients[VM.offset + p.level_var_index] = 1;
+  if(VM.t === n && p.initial_level_var_index >= 0) {
+    // The first cycle starts with the optimized initial level.
+    VM.coefficients[VM.chunk_offset + p.initial_level_var_index] = -1;
+  } else {
+    // NOTE: When L[t - n] has been computed for a previous block, this
+    // instruction will subtract it from the right-hand side.
+    VMI_add_const_to_coefficient([p.level_var_index, -1, n]);
+  }
+  VMI_add_constraint(VM.EQ);
+}
+
 function VMI_add_const_to_sum_coefficients(args) {
   // NOTE: Used to implement data links with SUM multiplier.
   // `args`: [var_index, number, delay (, 1)]
@@ -9214,6 +11711,21 @@ function VMI_set_objective() {
   }
 }
 
+function VMI_add_quadratic_cost(n) {
+  // Add the term -W * QC * L^2 for node `n` to the objective function for
+  // the current time step. Here W is the weight of the actor of `n`.
+  // NOTE: Products have the "(no actor)" actor, so their weight is 1
+  // unless the modeler changed it.
+  const qc = n.quadratic_cost.result(VM.t);
+  if(DEBUGGING) {
+    console.log('add_quadratic_cost: ' + n.displayName + ' ' + VM.sig4Dig(qc));
+  }
+  if(qc) {
+    VM.quadratic[VM.offset + n.level_var_index] =
+        -n.actor.weight.result(VM.t) * qc;
+  }
+}
+
 function VMI_set_const_rhs(c) {
   if(DEBUGGING) console.log('set_const_rhs: ' + VM.sig4Dig(c));
   VM.rhs = c;
@@ -9227,6 +11739,14 @@ function VMI_set_var_rhs(x) {
   }
 }
 
+function VMI_add_product_balance_constraint(p) {
+  // Records the index of the balance row of product `p` for the current
+  // time step, and then appends it as EQ constraint to the matrix.
+  if(DEBUGGING) console.log('add_product_balance_constraint: ' + p.displayName);
+  VM.product_balance_rows[VM.matrix.length] = [p, VM.t];
+  VMI_add_constraint(VM.EQ);
+}
+
 function VMI_add_constraint(ct) {
   // Appends the current coefficients as a row to the matrix, the current
   // RHS to the RHS vector, and `ct` to the constraint type vector.
@@ -9250,7 +11770,6 @@ function VMI_add_constraint(ct) {
       (ct === VM.GE && rhs < 0.1 * VM.MINUS_INFINITY)) {
     if(DEBUGGING) console.log('Ignored infinite bound constraint');
   } else {
-    VM.matrix.push(row);
     if(rhs >= VM.PLUS_INFINITY) {
       rhs = (VM.diagnose ? VM.DIAGNOSIS_UPPER_BOUND :
           VM.SOLVER_PLUS_INFINITY);
@@ -9258,8 +11777,7 @@ function VMI_add_constraint(ct) {
       rhs = (VM.diagnose ? -VM.DIAGNOSIS_UPPER_BOUND :
           VM.SOLVER_MINUS_INFINITY);
     }
-    VM.right_hand_side.push(rhs);
-    VM.constraint_types.push(ct);
+    VM.matrix.addRow(row, rhs, ct);
   }
 }
 
@@ -9282,16 +11800,12 @@ function VMI_add_semicontinuous_constraints(p) {
       // NOTE: When LB = 0, use a threshold value.
       row[lb_index] = Math.max(lb, VM.SIG_DIF_FROM_ZERO);
       row[l_index] = -1;
-      VM.matrix.push(row);
-      VM.right_hand_side.push(0);
-      VM.constraint_types.push(VM.LE);
+      VM.matrix.addRow(row, 0, VM.LE);
       // level - UB*binary <= 0
       row = {};
       row[l_index] = 1;
       row[lb_index] = -ub - 1;
-      VM.matrix.push(row);
-      VM.right_hand_side.push(0);
-      VM.constraint_types.push(VM.LE);
+      VM.matrix.addRow(row, 0, VM.LE);
     } else {
       console.log('ANOMALY: Failed to set semi-continuous bounds for',
           p.displayName, 'for t =', VM.t, 'LB =', lb, 'UB =', ub);
@@ -9313,9 +11827,7 @@ function VMI_add_NZP_continuous_constraints(p) {
     // (a1) L - POSL = 0.
     row[VM.offset + p.level_var_index] = 1;
     row[VM.offset + p.posl_var_index] = -1;
-    VM.matrix.push(row);
-    VM.right_hand_side.push(0);
-    VM.constraint_types.push(VM.EQ);
+    VM.matrix.addRow(row, 0, VM.EQ);
     row = {};
     // (a2) NEGL = 0.
     row[VM.offset + p.negl_var_index] = 1;
@@ -9325,9 +11837,7 @@ function VMI_add_NZP_continuous_constraints(p) {
     row[VM.offset + p.negl_var_index] = 1;
     row[VM.offset + p.posl_var_index] = -1;
   }
-  VM.matrix.push(row);
-  VM.right_hand_side.push(0);
-  VM.constraint_types.push(VM.EQ);
+  VM.matrix.addRow(row, 0, VM.EQ);
 }
 
 function VMI_add_NZP_binary_constraints(p) {
@@ -9374,9 +11884,7 @@ function VMI_add_NZP_binary_constraints(p) {
   let row = {};
   row[posl_index] = 1;
   row[pos_index] = -big_M;
-  VM.matrix.push(row);
-  VM.right_hand_side.push(0);
-  VM.constraint_types.push(VM.LE);
+  VM.matrix.addRow(row, 0, VM.LE);
   // (e1') epsilon*POS - POSL <= 0  (so POS must be 0 when POSL = 0)
   // NOTE: Scale by the "epsilon multiplier" 1/sqrt(epsilon) to keep
   // the coefficients within reasonable ranges (1e+/-4).
@@ -9388,9 +11896,7 @@ function VMI_add_NZP_binary_constraints(p) {
   if(!p.level_to_zero) {
     row[eps_index] = -VM.SLACK_MULTIPLIER / VM.EPSILON_MULTIPLIER;
   }
-  VM.matrix.push(row);
-  VM.right_hand_side.push(0);
-  VM.constraint_types.push(VM.LE);
+  VM.matrix.addRow(row, 0, VM.LE);
   // NOTE: This VMI is added when LB *may* become negative, so check
   // whether now (at run time) LB >= 0, as then NZP partitioning is
   // trivial and need not be done by the solver.
@@ -9398,26 +11904,20 @@ function VMI_add_NZP_binary_constraints(p) {
     // If L >= 0, NEG must be 0.
     row = {};
     row[neg_index] = 1;
-    VM.matrix.push(row);
-    VM.right_hand_side.push(0);
-    VM.constraint_types.push(VM.EQ);    
+    VM.matrix.addRow(row, 0, VM.EQ);
   } else {
     // (b) NEGL - M*NEG <= 0  (so NEG must be 1 when NEGL > 0)
     row = {};
     row[negl_index] = 1;
     row[neg_index] = -big_M;
-    VM.matrix.push(row);
-    VM.right_hand_side.push(0);
-    VM.constraint_types.push(VM.LE);
+    VM.matrix.addRow(row, 0, VM.LE);
     // (e2') epsilon*NEG - NEGL <= 0  (so NEG must be 0 when NEGL = 0)
     row = {};
     row[neg_index] = VM.EPSILON_MULTIPLIER * VM.ON_OFF_THRESHOLD;
     row[negl_index] = -VM.EPSILON_MULTIPLIER;
     // Provide slack so the constraint can always be met, but at a significant cost.
     row[eps_index] = -VM.SLACK_MULTIPLIER / VM.EPSILON_MULTIPLIER;
-    VM.matrix.push(row);
-    VM.right_hand_side.push(0);
-    VM.constraint_types.push(VM.LE);
+    VM.matrix.addRow(row, 0, VM.LE);
   }
   // Finally, ensure that the binaries add up to 1, because the level must be
   // either < 0, 0 or > 0.
@@ -9426,9 +11926,7 @@ function VMI_add_NZP_binary_constraints(p) {
   row[pos_index] = 1;
   row[neg_index] = 1;
   row[off_index] = 1;
-  VM.matrix.push(row);
-  VM.right_hand_side.push(1);
-  VM.constraint_types.push(VM.EQ);
+  VM.matrix.addRow(row, 1, VM.EQ);
 }
 
 function VMI_add_startup_constraints(p) {
@@ -9458,17 +11956,13 @@ function VMI_add_startup_constraints(p) {
   row[pos_t] = -1;
   row[neg_t] = -1;
   row[su_t] = 1;
-  VM.matrix.push(row);
-  VM.right_hand_side.push(rhs);
-  VM.constraint_types.push(VM.GE);
+  VM.matrix.addRow(row, rhs, VM.GE);
   // (f) ON[t] - SU[t] >= 0
   row = {};
   row[pos_t] = 1;
   row[neg_t] = 1;
   row[su_t] = -1;
-  VM.matrix.push(row);
-  VM.right_hand_side.push(0);
-  VM.constraint_types.push(VM.GE);
+  VM.matrix.addRow(row, 0, VM.GE);
   // (g) ON[t-1] + ON[t] + SU[t] <= 2
   row = {};
   rhs = 2;
@@ -9481,9 +11975,7 @@ function VMI_add_startup_constraints(p) {
   row[pos_t] = 1;
   row[neg_t] = 1;
   row[su_t] = 1;
-  VM.matrix.push(row);
-  VM.right_hand_side.push(rhs);
-  VM.constraint_types.push(VM.LE);
+  VM.matrix.addRow(row, rhs, VM.LE);
 }
 
 function VMI_add_shutdown_constraints(p) {
@@ -9513,17 +12005,13 @@ function VMI_add_shutdown_constraints(p) {
     rhs = (on_t_1 > VM.NEAR_ZERO ? 1 : 0);
   }
   row[sd_t] = 1;
-  VM.matrix.push(row);
-  VM.right_hand_side.push(rhs);
-  VM.constraint_types.push(VM.GE);
+  VM.matrix.addRow(row, rhs, VM.GE);
   // (f2) OO[t] + SD[t] <= 1
   row = {};
   row[pos_t] = 1;
   row[neg_t] = 1;
   row[sd_t] = 1;
-  VM.matrix.push(row);
-  VM.right_hand_side.push(1);
-  VM.constraint_types.push(VM.LE);
+  VM.matrix.addRow(row, 1, VM.LE);
   // (g2) SD[t] - OO[t-1] - OO[t] <= 0
   row = {};
   row[sd_t] = 1;
@@ -9536,9 +12024,63 @@ function VMI_add_shutdown_constraints(p) {
   }
   row[pos_t] = -1;
   row[neg_t] = -1;
-  VM.matrix.push(row);
-  VM.right_hand_side.push(rhs);
-  VM.constraint_types.push(VM.LE);
+  VM.matrix.addRow(row, rhs, VM.LE);
+}
+
+function VMI_add_min_up_time_constraints(p) {
+  // Add the constraint that process `p` must remain ON for at least
+  // MUT time steps after it has started up.
+  const mut = Math.round(p.min_up_time.result(VM.t));
+  // NOTE: A minimum up time of 1 time step or less is always met.
+  if(mut <= 1) return;
+  const
+      neg_t = VM.offset + p.minus_var_index,
+      pos_t = VM.offset + p.plus_var_index,
+      su_t = VM.offset + p.start_up_var_index,
+      row = {};
+  // (p) SU[t-MUT+1] + ... + SU[t] - ON[t] <= 0
+  let hsu = 0;
+  for(let k = 0; k < mut && VM.t - k > 0; k++) {
+    const su_k = su_t - k * VM.cols;
+    if(su_k > 0) {
+      row[su_k] = 1;
+    } else if(p.start_ups.indexOf(VM.t - k) >= 0) {
+      // NOTE: Time step t-k falls before block start, so use the
+      // start-ups recorded for previous blocks.
+      hsu = 1;
+    }
+  }
+  row[pos_t] = -1;
+  row[neg_t] = -1;
+  VM.matrix.addRow(row, -hsu, VM.LE);
+}
+
+function VMI_add_min_down_time_constraints(p) {
+  // Add the constraint that process `p` must remain OFF for at least
+  // MDT time steps after it has shut down.
+  const mdt = Math.round(p.min_down_time.result(VM.t));
+  // NOTE: A minimum down time of 1 time step or less is always met.
+  if(mdt <= 1) return;
+  const
+      neg_t = VM.offset + p.minus_var_index,
+      pos_t = VM.offset + p.plus_var_index,
+      sd_t = VM.offset + p.shut_down_var_index,
+      row = {};
+  // (q) SD[t-MDT+1] + ... + SD[t] + ON[t] <= 1
+  let hsd = 0;
+  for(let k = 0; k < mdt && VM.t - k > 0; k++) {
+    const sd_k = sd_t - k * VM.cols;
+    if(sd_k > 0) {
+      row[sd_k] = 1;
+    } else if(p.shut_downs.indexOf(VM.t - k) >= 0) {
+      // NOTE: Time step t-k falls before block start, so use the
+      // shut-downs recorded for previous blocks.
+      hsd = 1;
+    }
+  }
+  row[pos_t] = 1;
+  row[neg_t] = 1;
+  VM.matrix.addRow(row, 1 - hsd, VM.LE);
 }
 
 function VMI_add_first_commit_constraints(p) {
@@ -9571,23 +12113,17 @@ function VMI_add_first_commit_constraints(p) {
     rhs = su_count_t_1;
   }
   row[su_t] = -1;
-  VM.matrix.push(row);
-  VM.right_hand_side.push(rhs);
-  VM.constraint_types.push(VM.EQ);
+  VM.matrix.addRow(row, rhs, VM.EQ);
   // (i)  SC[t] - SO[t] >= 0
   row = {};
   row[sc_t] = 1;
   row[so_t] = -1;
-  VM.matrix.push(row);
-  VM.right_hand_side.push(0);
-  VM.constraint_types.push(VM.GE);
+  VM.matrix.addRow(row, 0, VM.GE);
   // (j)  SC[t] - run length * SO[t] <= 0
   row = {};
   row[sc_t] = 1;
   row[so_t] = -MODEL.runLength;
-  VM.matrix.push(row);
-  VM.right_hand_side.push(0);
-  VM.constraint_types.push(VM.LE);
+  VM.matrix.addRow(row, 0, VM.LE);
   // (k)  SO[t-1] - SO[t] + FC[t] >= 0
   row = {};
   rhs = 0;
@@ -9601,16 +12137,12 @@ function VMI_add_first_commit_constraints(p) {
   }
   row[so_t] = -1;
   row[fc_t] = 1;
-  VM.matrix.push(row);
-  VM.right_hand_side.push(rhs);
-  VM.constraint_types.push(VM.GE);
+  VM.matrix.addRow(row, rhs, VM.GE);
   // (l)  SO[t] - FC[t] >= 0
   row = {};
   row[so_t] = 1;
   row[fc_t] = -1;
-  VM.matrix.push(row);
-  VM.right_hand_side.push(0);
-  VM.constraint_types.push(VM.GE);
+  VM.matrix.addRow(row, 0, VM.GE);
   // (m)  SO[t-1] + SO[t] + FC[t] <= 2
   row = {};
   // NOTE: Time step t-1 may fall before block start...
@@ -9624,9 +12156,7 @@ function VMI_add_first_commit_constraints(p) {
   }
   row[so_t] = 1;
   row[fc_t] = 1;
-  VM.matrix.push(row);
-  VM.right_hand_side.push(rhs);
-  VM.constraint_types.push(VM.LE);
+  VM.matrix.addRow(row, rhs, VM.LE);
 }
 
 function VMI_add_cash_constraints(args) {
@@ -9661,9 +12191,7 @@ function VMI_add_cash_constraints(args) {
   // Set coefficient for the cash IN variable to 1.
   row[VM.offset + args[0]] = 1;
   // Add the constraint to the tableau.
-  VM.matrix.push(row);
-  VM.right_hand_side.push(VM.cash_in_rhs);
-  VM.constraint_types.push(VM.EQ);
+  VM.matrix.addRow(row, VM.cash_in_rhs, VM.EQ);
   // Clear the cash IN coefficient register and RHS.
   VM.cash_in_coefficients = {};
   VM.cash_in_rhs = 0;
@@ -9682,9 +12210,7 @@ function VMI_add_cash_constraints(args) {
   // Add the cash OUT variable index.
   row[VM.offset + args[1]] = 1;
   // Add the constraint to the tableau.
-  VM.matrix.push(row);
-  VM.right_hand_side.push(VM.cash_out_rhs);
-  VM.constraint_types.push(VM.EQ);
+  VM.matrix.addRow(row, VM.cash_out_rhs, VM.EQ);
   // Clear the cash OUT coefficients register and RHS (just to be sure).
   VM.cash_out_coefficients = {};
   VM.cash_out_rhs = 0;
@@ -9779,6 +12305,35 @@ function VMI_add_kirchhoff_constraints(cb) {
   }
 }
 
+function VMI_add_contingency_constraints(cl) {
+  // Add post-contingency flow limits for each contingency in list `cl`:
+  // after outage of line K, the flow F_L + LODF * F_K through each line L
+  // affected by this outage must not exceed the capacity of L.
+  for(const c of cl) {
+    const k = c.process;
+    // NOTE: Do not add constraints for lines that are already out of
+    // service (UB = 0).
+    if(k.upper_bound.result(VM.t) <= VM.NEAR_ZERO) continue;
+    for(const f of c.factors) {
+      const
+          p = f.process,
+          ub = p.upper_bound.result(VM.t);
+      if(ub < VM.UNLIMITED_POWER_FLOW) {
+        VMI_clear_coefficients();
+        VM.coefficients[VM.offset + p.level_var_index] = 1;
+        VM.coefficients[VM.offset + k.level_var_index] = f.factor;
+        VM.rhs = ub;
+        VMI_add_constraint(VM.LE);
+        VMI_clear_coefficients();
+        VM.coefficients[VM.offset + p.level_var_index] = 1;
+        VM.coefficients[VM.offset + k.level_var_index] = f.factor;
+        VM.rhs = -ub;
+        VMI_add_constraint(VM.GE);
+      }
+    }
+  }
+}
+
 function VMI_add_power_flow_to_coefficients(args) {
   // Special instruction to add power flow rates represented by process
   // P to the coefficient vector that is being constructed to compute the
@@ -10806,5 +13361,6 @@ PRIORITIES.push(9);
 if(NODE) module.exports = {
   Expression: Expression,
   ExpressionParser: ExpressionParser,
+  UnitChecker: UnitChecker,
   VirtualMachine: VirtualMachine
 };